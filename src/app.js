@@ -2,7 +2,16 @@ require('dotenv').config();
 const discordService = require('./services/discord.service');
 const zerodhaService = require('./services/zerodha.service');
 const tokenTrackerService = require('./services/token-tracker.service');
+const feedWatchdog = require('./services/feed-watchdog.service');
+const kiteSocket = require('./services/kite-socket.service');
+const tickRecorder = require('./services/tick-recorder.service');
+const marketStore = require('./services/market-store.service');
+const priceAlerts = require('./services/price-alert.service');
 const scheduledAuth = require('./services/scheduled-auth.service');
+const instrumentMaster = require('./services/instrument-master.service');
+const sessionScheduler = require('./services/session-scheduler.service');
+const eodReport = require('./services/eod-report.service');
+const openingReport = require('./services/opening-report.service');
 const logger = require('./utils/logger');
 
 async function start() {
@@ -17,21 +26,58 @@ async function start() {
     await scheduledAuth.start();
     logger.info('✅ Auto-login scheduler started');
     
+    // Instruments load with the tracker; this keeps them current after Kite's morning regeneration
+    instrumentMaster.start();
+    
+    // Watchdog idles until a feed is streaming during market hours
+    feedWatchdog.start();
+    
+    // Persist closed candles before the tracker starts producing them
+    marketStore.start();
+    
+    // Replay mode feeds a recorded session instead of the live Kite socket
+    const replaySession = process.env.TICK_REPLAY;
+    if (replaySession) {
+      kiteSocket.goOffline();
+      logger.info(`📼 Replay mode: ${replaySession}`);
+    } else if (process.env.TICK_RECORDING === 'true') {
+      tickRecorder.start();
+    }
+    
     // Check if Zerodha is now connected (after potential auto-login)
     const connected = zerodhaService.isConnected;
     
+    // The scheduler streams only during market sessions; replays and SESSION_SCHEDULER=false stream straight away
+    const scheduled = sessionScheduler.ENABLED && !replaySession;
+    if (!replaySession) {
+      openingReport.start();
+      eodReport.start();
+      await sessionScheduler.start();
+    }
+    
     // Initialize Token Tracker Service if connected
-    if (connected) {
+    if (connected && !scheduled) {
       await tokenTrackerService.initialize();
       logger.info('✅ Token Tracker initialized');
-    } else {
+      
+      await priceAlerts.start();
+      
+      if (replaySession) {
+        tickRecorder.replay(replaySession, {
+          speed: parseFloat(process.env.TICK_REPLAY_SPEED || '1')
+        }).catch(error => logger.error('❌ Replay failed:', error));
+      }
+    } else if (!connected) {
       logger.warn('⚠️ Token Tracker not started - Zerodha connection failed');
       logger.warn('⚠️ Please check auto-login logs above');
     }
     
-    const trackerStatus = connected 
+    let trackerStatus = connected 
       ? '✅ Token Tracker: Active' 
       : '⏸️ Token Tracker: Waiting for connection';
+    if (connected && scheduled && !tokenTrackerService.isRunning) {
+      trackerStatus = '⏸️ Token Tracker: Outside market session';
+    }
     
     await discordService.log(
       '🚀 **Token Tracker Bot Started**\n' +
@@ -54,7 +100,15 @@ async function start() {
 process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down...');
   
+  feedWatchdog.stop();
+  instrumentMaster.stop();
+  sessionScheduler.stop();
+  openingReport.stop();
+  eodReport.stop();
+  await tickRecorder.stop();
   await tokenTrackerService.stop();
+  await priceAlerts.stop();
+  await marketStore.stop();
   
   await discordService.log('🛑 Token Tracker shutting down gracefully', 'warning');
   
@@ -74,7 +128,15 @@ process.on('unhandledRejection', async (error) => {
 process.on('SIGINT', async () => {
   logger.info('SIGINT received, shutting down...');
   
+  feedWatchdog.stop();
+  instrumentMaster.stop();
+  sessionScheduler.stop();
+  openingReport.stop();
+  eodReport.stop();
+  await tickRecorder.stop();
   await tokenTrackerService.stop();
+  await priceAlerts.stop();
+  await marketStore.stop();
   
   await discordService.log('🛑 Token Tracker stopped by user', 'warning');
   
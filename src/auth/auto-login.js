@@ -10,7 +10,8 @@ puppeteer.use(StealthPlugin());
 class AutoLogin {
   constructor() {
     this.kite = new KiteConnect({
-      api_key: process.env.ZERODHA_API_KEY
+      api_key: process.env.ZERODHA_API_KEY,
+      ...(process.env.KITE_API_ROOT && { root: process.env.KITE_API_ROOT })
     });
   }
 
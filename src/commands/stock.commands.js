@@ -1,12 +1,19 @@
 const marketData = require('../services/market-data.service');
-const zerodhaService = require('../services/zerodha.service');
+const instrumentMaster = require('../services/instrument-master.service');
+const sectors = require('../services/sector.service');
 const logger = require('../utils/logger');
+const { EXCHANGES, parseSymbol, formatSymbol, displaySymbol, isDerivative, formatPrice, describeContract } = require('../utils/symbols');
 const fs = require('fs');
 const path = require('path');
 
 class StockCommands {
   constructor() {
     this.tickerService = null;
+    // Exchanges searched when the query has no prefix, in the order results are listed
+    this.searchExchanges = (process.env.SEARCH_EXCHANGES || 'NSE,BSE,NFO,MCX,CDS')
+      .split(',')
+      .map(exchange => exchange.trim().toUpperCase())
+      .filter(exchange => EXCHANGES.includes(exchange));
     this.setupStoragePath();
     this.loadSubscriptions();
   }
@@ -55,7 +62,7 @@ class StockCommands {
         logger.info(`✅ Loaded ${subs.length} subscribed stocks`);
         
         if (subs.length > 0) {
-          logger.info(`📊 Stocks: ${subs.map(s => s.replace('NSE:', '')).join(', ')}`);
+          logger.info(`📊 Stocks: ${subs.map(s => displaySymbol(s)).join(', ')}`);
         }
       } else {
         logger.info('📝 No subscriptions file found, creating new one');
@@ -89,24 +96,49 @@ class StockCommands {
     }
   }
 
-  async searchStock(query) {
-    try {
-      const instruments = await zerodhaService.kite.getInstruments('NSE');
-      
-      const results = instruments.filter(inst => 
-        inst.tradingsymbol.toLowerCase().includes(query.toLowerCase()) ||
-        (inst.name && inst.name.toLowerCase().includes(query.toLowerCase()))
-      ).slice(0, 5);
+  // "MCX:CRUDE" searches one exchange, a bare query searches all of searchExchanges
+  async searchStock(query, { exchange = null, segment = null, type = null, expiry = null, page = 1, pageSize = 10 } = {}) {
+    await instrumentMaster.load();
 
-      return results;
-    } catch (error) {
-      logger.error('Error searching stock:', error);
-      return [];
+    let term = query;
+    let exchanges = exchange ? [exchange] : this.searchExchanges;
+    if (query.includes(':')) {
+      const parsed = parseSymbol(query);
+      term = parsed.tradingsymbol;
+      exchanges = [parsed.exchange];
     }
+
+    const { total, items } = instrumentMaster.search(term, {
+      exchanges,
+      segment,
+      type,
+      expiry,
+      offset: (page - 1) * pageSize,
+      limit: pageSize
+    });
+
+    return {
+      total,
+      page,
+      pages: Math.max(1, Math.ceil(total / pageSize)),
+      offset: (page - 1) * pageSize,
+      results: items
+    };
+  }
+
+  async suggestSymbols(symbol, limit = 5) {
+    await instrumentMaster.load();
+    return instrumentMaster.suggest(symbol, limit);
+  }
+
+  // Contract details (lot size, expiry, strike) are only in the instrument dump, not in quotes
+  async getInstrument(symbol) {
+    await instrumentMaster.load();
+    return instrumentMaster.getBySymbol(symbol);
   }
 
   async subscribeStock(symbol) {
-    const formattedSymbol = symbol.startsWith('NSE:') ? symbol : `NSE:${symbol}`;
+    const formattedSymbol = formatSymbol(symbol);
     
     if (marketData.subscribedStocks.includes(formattedSymbol)) {
       return { success: false, message: 'Already subscribed to this stock' };
@@ -118,7 +150,7 @@ class StockCommands {
     logger.info(`➕ Subscribed to ${formattedSymbol}`);
     
     const ticker = this.getTickerService();
-    if (ticker && ticker.isConnected) {
+    if (ticker && ticker.isRunning) {
       try {
         await ticker.addStock(formattedSymbol);
         logger.info(`📊 Added ${formattedSymbol} to ticker stream`);
@@ -137,7 +169,7 @@ class StockCommands {
   }
 
   async unsubscribeStock(symbol) {
-    const formattedSymbol = symbol.startsWith('NSE:') ? symbol : `NSE:${symbol}`;
+    const formattedSymbol = formatSymbol(symbol);
     
     const index = marketData.subscribedStocks.indexOf(formattedSymbol);
     if (index === -1) {
@@ -150,7 +182,7 @@ class StockCommands {
     logger.info(`➖ Unsubscribed from ${formattedSymbol}`);
     
     const ticker = this.getTickerService();
-    if (ticker && ticker.isConnected) {
+    if (ticker && ticker.isRunning) {
       try {
         await ticker.removeStock(formattedSymbol);
         logger.info(`📊 Removed ${formattedSymbol} from ticker stream`);
@@ -167,7 +199,7 @@ class StockCommands {
   }
 
   async getStockInfo(symbol) {
-    const formattedSymbol = symbol.startsWith('NSE:') ? symbol : `NSE:${symbol}`;
+    const formattedSymbol = formatSymbol(symbol);
     
     try {
       const quote = await marketData.getQuote([formattedSymbol]);
@@ -178,27 +210,51 @@ class StockCommands {
     }
   }
 
-  formatStockInfo(symbol, data) {
+  async getInstrumentToken(symbol) {
+    const formattedSymbol = formatSymbol(symbol);
+
+    // The instrument master knows every listed symbol, an LTP call covers it not being loaded
+    const instrument = await this.getInstrument(formattedSymbol);
+    if (instrument) return instrument.instrument_token;
+
+    const ltp = await marketData.getLTP([formattedSymbol]);
+    return ltp && ltp[formattedSymbol] ? ltp[formattedSymbol].instrument_token : null;
+  }
+
+  formatStockInfo(symbol, data, instrument = null) {
     if (!data) return 'Stock data not available';
 
+    const { exchange } = parseSymbol(symbol);
     const change = data.last_price - data.ohlc.close;
     const changePercent = ((change / data.ohlc.close) * 100).toFixed(2);
     const emoji = change >= 0 ? '📈' : '📉';
     const color = change >= 0 ? '🟢' : '🔴';
 
-    let message = `${emoji} **${symbol.replace('NSE:', '')}**\n\n`;
-    message += `${color} **Price:** ₹${data.last_price.toFixed(2)}\n`;
-    message += `**Change:** ${change >= 0 ? '+' : ''}₹${change.toFixed(2)} (${changePercent}%)\n\n`;
-    message += `**Open:** ₹${data.ohlc.open}\n`;
-    message += `**High:** ₹${data.ohlc.high}\n`;
-    message += `**Low:** ₹${data.ohlc.low}\n`;
-    message += `**Close:** ₹${data.ohlc.close}\n\n`;
+    let message = `${emoji} **${displaySymbol(symbol)}**\n`;
+    const contract = describeContract(instrument);
+    if (contract) message += `${contract}\n`;
+    const tags = sectors.describe(parseSymbol(symbol).tradingsymbol, instrument);
+    if (tags) message += `${tags}\n`;
+    message += `\n${color} **Price:** ${formatPrice(data.last_price, exchange)}\n`;
+    message += `**Change:** ${change >= 0 ? '+' : ''}${formatPrice(change, exchange)} (${changePercent}%)\n\n`;
+    message += `**Open:** ${formatPrice(data.ohlc.open, exchange)}\n`;
+    message += `**High:** ${formatPrice(data.ohlc.high, exchange)}\n`;
+    message += `**Low:** ${formatPrice(data.ohlc.low, exchange)}\n`;
+    message += `**Close:** ${formatPrice(data.ohlc.close, exchange)}\n\n`;
     message += `**Volume:** ${data.volume.toLocaleString()}\n`;
-    message += `**Avg Price:** ₹${data.average_price.toFixed(2)}\n`;
+    message += `**Avg Price:** ${formatPrice(data.average_price, exchange)}\n`;
+
+    if (isDerivative(exchange) && data.oi !== undefined) {
+      message += `**Open Interest:** ${data.oi.toLocaleString('en-IN')}`;
+      if (instrument && instrument.lot_size) {
+        message += ` (${Math.round(data.oi / instrument.lot_size).toLocaleString('en-IN')} lots)`;
+      }
+      message += '\n';
+    }
     
     if (data.upper_circuit_limit && data.lower_circuit_limit) {
-      message += `\n**Upper Circuit:** ₹${data.upper_circuit_limit}\n`;
-      message += `**Lower Circuit:** ₹${data.lower_circuit_limit}\n`;
+      message += `\n**Upper Circuit:** ${formatPrice(data.upper_circuit_limit, exchange)}\n`;
+      message += `**Lower Circuit:** ${formatPrice(data.lower_circuit_limit, exchange)}\n`;
     }
 
     return message;
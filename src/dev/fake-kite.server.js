@@ -0,0 +1,590 @@
+// Local stand-in for Kite Connect: REST endpoints the bot uses plus a binary tick WebSocket.
+// Run with `npm run fake-kite`, then start the bot with
+//   KITE_API_ROOT=http://localhost:8765 KITE_WS_URL=ws://localhost:8765
+// and any ZERODHA_API_KEY / ZERODHA_ACCESS_TOKEN values.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const readline = require('readline');
+const { WebSocketServer } = require('ws');
+const tickParser = require('../utils/tick-parser');
+const logger = require('../utils/logger');
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const SESSION_OPEN_MINUTES = 9 * 60 + 15;
+const SESSION_CLOSE_MINUTES = 15 * 60 + 30;
+const INTERVAL_MINUTES = {
+  minute: 1,
+  '3minute': 3,
+  '5minute': 5,
+  '10minute': 10,
+  '15minute': 15,
+  '30minute': 30,
+  '60minute': 60
+};
+
+// A handful of real names so commands like `!RELIANCE` work; token.json tokens get generated names
+const KNOWN_INSTRUMENTS = [
+  { instrument_token: 738561, tradingsymbol: 'RELIANCE', name: 'RELIANCE INDUSTRIES', price: 2850 },
+  { instrument_token: 2953217, tradingsymbol: 'TCS', name: 'TATA CONSULTANCY SERV LT', price: 3900 },
+  { instrument_token: 408065, tradingsymbol: 'INFY', name: 'INFOSYS', price: 1500 },
+  { instrument_token: 341249, tradingsymbol: 'HDFCBANK', name: 'HDFC BANK', price: 1650 },
+  { instrument_token: 779521, tradingsymbol: 'SBIN', name: 'STATE BANK OF INDIA', price: 820 },
+  { instrument_token: 3365633, tradingsymbol: 'PFS', name: 'PTC INDIA FIN SERV', price: 38 },
+  { instrument_token: 256265, tradingsymbol: 'NIFTY 50', name: 'NIFTY 50', price: 25000, segment: 'INDICES', instrument_type: 'EQ' },
+  { instrument_token: 260105, tradingsymbol: 'NIFTY BANK', name: 'NIFTY BANK', price: 56000, segment: 'INDICES', instrument_type: 'EQ' },
+  { instrument_token: 128083204, tradingsymbol: 'RELIANCE', name: 'RELIANCE INDUSTRIES', price: 2850, exchange: 'BSE', segment: 'BSE' },
+  { instrument_token: 13172482, tradingsymbol: 'NIFTY25DECFUT', name: 'NIFTY', price: 25100, exchange: 'NFO', segment: 'NFO-FUT', instrument_type: 'FUT', lot_size: 75, expiry: '2025-12-30' },
+  { instrument_token: 1192711, tradingsymbol: 'CRUDEOIL25DECFUT', name: 'CRUDEOIL', price: 5400, exchange: 'MCX', segment: 'MCX-FUT', instrument_type: 'FUT', lot_size: 100, expiry: '2025-12-18' },
+  { instrument_token: 412675, tradingsymbol: 'USDINR25DECFUT', name: 'USDINR', price: 88.25, exchange: 'CDS', segment: 'CDS-FUT', instrument_type: 'FUT', lot_size: 1000, expiry: '2025-12-29', tick_size: 0.0025 }
+];
+
+// Small deterministic PRNG so historical candles are stable across requests
+function mulberry32(seed) {
+  return function () {
+    seed |= 0;
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function hashSeed(...parts) {
+  let hash = 2166136261;
+  parts.join('|').split('').forEach(char => {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 16777619);
+  });
+  return hash >>> 0;
+}
+
+function roundToTick(price, tickSize) {
+  const rounded = Math.round(price / tickSize) * tickSize;
+  return Math.max(tickSize, Math.round(rounded * 10000) / 10000);
+}
+
+function formatKiteTime(time) {
+  const ist = new Date(time + IST_OFFSET_MS).toISOString();
+  return `${ist.slice(0, 10)} ${ist.slice(11, 19)}`;
+}
+
+function formatHistoricalTime(time) {
+  return new Date(time + IST_OFFSET_MS).toISOString().slice(0, 19) + '+0530';
+}
+
+class FakeKiteServer {
+  constructor(options = {}) {
+    this.port = options.port || parseInt(process.env.FAKE_KITE_PORT || '8765');
+    this.tickInterval = options.tickInterval || parseInt(process.env.FAKE_KITE_TICK_MS || '1000');
+    this.volatility = options.volatility || parseFloat(process.env.FAKE_KITE_VOLATILITY || '0.0015');
+    this.scriptFile = options.scriptFile || process.env.FAKE_KITE_SCRIPT || null;
+    this.scriptSpeed = options.scriptSpeed || parseFloat(process.env.FAKE_KITE_SCRIPT_SPEED || '1');
+    this.random = mulberry32(options.seed || parseInt(process.env.FAKE_KITE_SEED || '42'));
+
+    this.instruments = [];
+    this.instrumentsByToken = new Map();
+    this.instrumentsByKey = new Map(); // "NSE:RELIANCE" -> instrument
+    this.market = new Map(); // token -> live state for the random walk
+    this.orders = [];
+    this.clients = new Set();
+    this.server = null;
+    this.wss = null;
+    this.timer = null;
+  }
+
+  loadInstruments() {
+    const seen = new Set();
+    const add = (inst) => {
+      if (seen.has(inst.instrument_token)) return;
+      seen.add(inst.instrument_token);
+
+      const instrument = {
+        instrument_token: inst.instrument_token,
+        exchange_token: inst.instrument_token >> 8,
+        tradingsymbol: inst.tradingsymbol,
+        name: inst.name,
+        last_price: 0,
+        expiry: inst.expiry || '',
+        strike: 0,
+        tick_size: inst.tick_size || 0.05,
+        lot_size: inst.lot_size || 1,
+        instrument_type: inst.instrument_type || 'EQ',
+        segment: inst.segment || 'NSE',
+        exchange: inst.exchange || 'NSE',
+        basePrice: inst.price
+      };
+
+      this.instruments.push(instrument);
+      this.instrumentsByToken.set(instrument.instrument_token, instrument);
+      this.instrumentsByKey.set(`${instrument.exchange}:${instrument.tradingsymbol}`, instrument);
+    };
+
+    KNOWN_INSTRUMENTS.forEach(add);
+
+    const tokenFile = path.join(__dirname, '../../token.json');
+    if (fs.existsSync(tokenFile)) {
+      JSON.parse(fs.readFileSync(tokenFile, 'utf8')).forEach((token, index) => {
+        const numToken = parseInt(token);
+        const rand = mulberry32(hashSeed(numToken));
+        add({
+          instrument_token: numToken,
+          tradingsymbol: `STOCK${index + 1}`,
+          name: `FAKE STOCK ${index + 1}`,
+          price: Math.round((50 + rand() * 3000) * 20) / 20
+        });
+      });
+    }
+
+    const subsFile = path.join(__dirname, '../../subscriptions.json');
+    if (fs.existsSync(subsFile)) {
+      JSON.parse(fs.readFileSync(subsFile, 'utf8')).forEach(symbol => {
+        if (this.instrumentsByKey.has(symbol)) return;
+        const [exchange, tradingsymbol] = symbol.split(':');
+        add({
+          instrument_token: ((hashSeed(symbol) % 0xffff) << 8) | (tickParser.SEGMENTS[exchange] || tickParser.SEGMENTS.NSE),
+          tradingsymbol,
+          name: tradingsymbol,
+          exchange,
+          segment: exchange,
+          price: 100
+        });
+      });
+    }
+
+    this.instruments.forEach(inst => this.initMarketState(inst));
+    logger.info(`🧪 Fake Kite: ${this.instruments.length} instruments`);
+  }
+
+  initMarketState(inst) {
+    const close = inst.basePrice;
+    const open = roundToTick(close * (1 + (this.random() - 0.5) * 0.02), inst.tick_size);
+    this.market.set(inst.instrument_token, {
+      last_price: open,
+      ohlc: { open, high: open, low: open, close },
+      volume_traded: 0,
+      turnover: 0,
+      last_traded_quantity: 0,
+      total_buy_quantity: Math.round(this.random() * 100000),
+      total_sell_quantity: Math.round(this.random() * 100000),
+      oi: inst.instrument_type === 'FUT' ? Math.round(this.random() * 1000000) : 0,
+      last_trade_time: new Date()
+    });
+  }
+
+  stepMarket(token) {
+    const inst = this.instrumentsByToken.get(token);
+    const state = this.market.get(token);
+    const shock = (this.random() + this.random() + this.random() - 1.5) * 2 * this.volatility;
+    const price = roundToTick(state.last_price * (1 + shock), inst.tick_size);
+    const quantity = Math.max(1, Math.round(this.random() * 500)) * inst.lot_size;
+
+    state.last_price = price;
+    state.ohlc.high = Math.max(state.ohlc.high, price);
+    state.ohlc.low = Math.min(state.ohlc.low, price);
+    state.last_traded_quantity = quantity;
+    state.volume_traded += quantity;
+    state.turnover += quantity * price;
+    state.total_buy_quantity = Math.max(0, state.total_buy_quantity + Math.round((this.random() - 0.5) * 2000));
+    state.total_sell_quantity = Math.max(0, state.total_sell_quantity + Math.round((this.random() - 0.5) * 2000));
+    state.last_trade_time = new Date();
+  }
+
+  getCircuitLimits(inst) {
+    const close = this.market.get(inst.instrument_token).ohlc.close;
+    return {
+      lower_circuit_limit: roundToTick(close * 0.8, inst.tick_size),
+      upper_circuit_limit: roundToTick(close * 1.2, inst.tick_size)
+    };
+  }
+
+  buildDepth(inst, state) {
+    const depth = { buy: [], sell: [] };
+    for (let i = 0; i < 5; i++) {
+      depth.buy.push({
+        price: roundToTick(state.last_price - inst.tick_size * (i + 1), inst.tick_size),
+        quantity: Math.round(this.random() * 2000) + 1,
+        orders: Math.round(this.random() * 20) + 1
+      });
+      depth.sell.push({
+        price: roundToTick(state.last_price + inst.tick_size * (i + 1), inst.tick_size),
+        quantity: Math.round(this.random() * 2000) + 1,
+        orders: Math.round(this.random() * 20) + 1
+      });
+    }
+    return depth;
+  }
+
+  buildTick(token) {
+    const inst = this.instrumentsByToken.get(token);
+    const state = this.market.get(token);
+    return {
+      instrument_token: token,
+      last_price: state.last_price,
+      last_traded_quantity: state.last_traded_quantity,
+      average_traded_price: state.volume_traded ? state.turnover / state.volume_traded : state.last_price,
+      volume_traded: state.volume_traded,
+      total_buy_quantity: state.total_buy_quantity,
+      total_sell_quantity: state.total_sell_quantity,
+      ohlc: { ...state.ohlc },
+      last_trade_time: state.last_trade_time,
+      oi: state.oi,
+      oi_day_high: state.oi,
+      oi_day_low: state.oi,
+      exchange_timestamp: new Date(),
+      depth: this.buildDepth(inst, state)
+    };
+  }
+
+  // Kite quote payloads, keyed by whatever identifier the client asked for
+  resolveInstrument(key) {
+    if (/^\d+$/.test(key)) return this.instrumentsByToken.get(parseInt(key));
+    return this.instrumentsByKey.get(key);
+  }
+
+  buildQuote(key, type) {
+    const inst = this.resolveInstrument(key);
+    if (!inst) return null;
+    const state = this.market.get(inst.instrument_token);
+
+    if (type === 'ltp') {
+      return { instrument_token: inst.instrument_token, last_price: state.last_price };
+    }
+    if (type === 'ohlc') {
+      return { instrument_token: inst.instrument_token, last_price: state.last_price, ohlc: { ...state.ohlc } };
+    }
+
+    const tick = this.buildTick(inst.instrument_token);
+    return {
+      instrument_token: inst.instrument_token,
+      timestamp: formatKiteTime(Date.now()),
+      last_trade_time: formatKiteTime(state.last_trade_time.getTime()),
+      last_price: state.last_price,
+      last_quantity: state.last_traded_quantity,
+      buy_quantity: state.total_buy_quantity,
+      sell_quantity: state.total_sell_quantity,
+      volume: state.volume_traded,
+      average_price: tick.average_traded_price,
+      oi: state.oi,
+      oi_day_high: state.oi,
+      oi_day_low: state.oi,
+      net_change: 0,
+      ...this.getCircuitLimits(inst),
+      ohlc: { ...state.ohlc },
+      depth: tick.depth
+    };
+  }
+
+  buildHistorical(token, interval, from, to) {
+    const inst = this.instrumentsByToken.get(token);
+    if (!inst) return [];
+
+    const candles = [];
+    const fromTime = new Date(from.replace(' ', 'T') + '+05:30').getTime();
+    const toTime = new Date(to.replace(' ', 'T') + '+05:30').getTime();
+    const dayMs = 24 * 60 * 60 * 1000;
+    let price = inst.basePrice;
+
+    for (let day = Math.floor((fromTime + IST_OFFSET_MS) / dayMs) * dayMs; day <= toTime + IST_OFFSET_MS; day += dayMs) {
+      const weekday = new Date(day).getUTCDay();
+      if (weekday === 0 || weekday === 6) continue;
+
+      const dayKey = new Date(day).toISOString().slice(0, 10);
+      const rand = mulberry32(hashSeed(token, dayKey));
+      const dayOpen = roundToTick(inst.basePrice * (0.9 + rand() * 0.2), inst.tick_size);
+      const sessionStart = day - IST_OFFSET_MS + SESSION_OPEN_MINUTES * 60000;
+
+      if (interval === 'day') {
+        const high = roundToTick(dayOpen * (1 + rand() * 0.03), inst.tick_size);
+        const low = roundToTick(dayOpen * (1 - rand() * 0.03), inst.tick_size);
+        const close = roundToTick(low + (high - low) * rand(), inst.tick_size);
+        if (day - IST_OFFSET_MS >= fromTime - dayMs && day - IST_OFFSET_MS <= toTime) {
+          candles.push([formatHistoricalTime(day - IST_OFFSET_MS), dayOpen, high, low, close, Math.round(rand() * 5000000)]);
+        }
+        continue;
+      }
+
+      const step = INTERVAL_MINUTES[interval] * 60000;
+      price = dayOpen;
+      for (let t = sessionStart; t < day - IST_OFFSET_MS + SESSION_CLOSE_MINUTES * 60000; t += step) {
+        const open = price;
+        const close = roundToTick(open * (1 + (rand() - 0.5) * this.volatility * 10), inst.tick_size);
+        const high = roundToTick(Math.max(open, close) * (1 + rand() * this.volatility * 3), inst.tick_size);
+        const low = roundToTick(Math.min(open, close) * (1 - rand() * this.volatility * 3), inst.tick_size);
+        price = close;
+        if (t >= fromTime && t <= toTime) {
+          candles.push([formatHistoricalTime(t), open, high, low, close, Math.round(rand() * 50000 * INTERVAL_MINUTES[interval])]);
+        }
+      }
+    }
+
+    return candles;
+  }
+
+  instrumentsCsv(exchange) {
+    const columns = ['instrument_token', 'exchange_token', 'tradingsymbol', 'name', 'last_price', 'expiry', 'strike', 'tick_size', 'lot_size', 'instrument_type', 'segment', 'exchange'];
+    const rows = this.instruments
+      .filter(inst => !exchange || inst.exchange === exchange)
+      .map(inst => columns.map(column => {
+        const value = column === 'last_price' ? this.market.get(inst.instrument_token).last_price : inst[column];
+        return /[",]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : value;
+      }).join(','));
+    return [columns.join(','), ...rows].join('\n');
+  }
+
+  sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(status === 200 ? { status: 'success', data } : data));
+  }
+
+  sendError(res, status, message, errorType = 'GeneralException') {
+    this.sendJson(res, status, { status: 'error', message, error_type: errorType, data: null });
+  }
+
+  readBody(req) {
+    return new Promise(resolve => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => resolve(Object.fromEntries(new URLSearchParams(body))));
+    });
+  }
+
+  async handleRequest(req, res) {
+    const url = new URL(req.url, `http://localhost:${this.port}`);
+    const route = url.pathname.replace(/\/+$/, '');
+    const parts = route.split('/').filter(Boolean);
+
+    try {
+      if (req.method === 'GET' && route === '/user/profile') {
+        return this.sendJson(res, 200, {
+          user_id: 'FK0001',
+          user_name: 'Fake Trader',
+          user_shortname: 'Fake',
+          email: 'fake@example.com',
+          broker: 'ZERODHA',
+          exchanges: ['NSE', 'BSE', 'NFO', 'MCX', 'CDS', 'BFO'],
+          products: ['CNC', 'MIS', 'NRML'],
+          order_types: ['MARKET', 'LIMIT', 'SL', 'SL-M']
+        });
+      }
+
+      if (req.method === 'POST' && route === '/session/token') {
+        return this.sendJson(res, 200, {
+          user_id: 'FK0001',
+          user_name: 'Fake Trader',
+          access_token: 'fake-access-token',
+          login_time: formatKiteTime(Date.now())
+        });
+      }
+
+      if (req.method === 'GET' && parts[0] === 'instruments' && parts[1] === 'historical') {
+        const candles = this.buildHistorical(parseInt(parts[2]), parts[3], url.searchParams.get('from'), url.searchParams.get('to'));
+        return this.sendJson(res, 200, { candles });
+      }
+
+      if (req.method === 'GET' && parts[0] === 'instruments' && parts.length <= 2) {
+        res.writeHead(200, { 'Content-Type': 'text/csv' });
+        return res.end(this.instrumentsCsv(parts[1]));
+      }
+
+      if (req.method === 'GET' && parts[0] === 'quote') {
+        const type = parts[1] || 'full';
+        const data = {};
+        url.searchParams.getAll('i').forEach(key => {
+          const quote = this.buildQuote(key, type);
+          if (quote) data[key] = quote;
+        });
+        return this.sendJson(res, 200, data);
+      }
+
+      if (req.method === 'GET' && route === '/orders') {
+        return this.sendJson(res, 200, this.orders);
+      }
+
+      if (req.method === 'POST' && parts[0] === 'orders' && parts.length === 2) {
+        const params = await this.readBody(req);
+        const order = {
+          order_id: String(Date.now()),
+          variety: parts[1],
+          status: 'COMPLETE',
+          order_timestamp: formatKiteTime(Date.now()),
+          ...params
+        };
+        this.orders.push(order);
+        logger.info(`🧪 Fake order: ${params.transaction_type} ${params.quantity} ${params.tradingsymbol}`);
+        return this.sendJson(res, 200, { order_id: order.order_id });
+      }
+
+      if (req.method === 'DELETE' && parts[0] === 'orders' && parts.length === 3) {
+        const order = this.orders.find(o => o.order_id === parts[2]);
+        if (!order) return this.sendError(res, 404, 'Order not found', 'InputException');
+        order.status = 'CANCELLED';
+        return this.sendJson(res, 200, { order_id: order.order_id });
+      }
+
+      if (req.method === 'GET' && route === '/portfolio/positions') {
+        return this.sendJson(res, 200, { net: [], day: [] });
+      }
+
+      if (req.method === 'GET' && route === '/portfolio/holdings') {
+        return this.sendJson(res, 200, []);
+      }
+
+      this.sendError(res, 404, `Route not found: ${req.method} ${route}`);
+    } catch (error) {
+      logger.error('🧪 Fake Kite request failed:', error.message);
+      this.sendError(res, 500, error.message);
+    }
+  }
+
+  handleSocket(ws) {
+    const client = { ws, modes: new Map() };
+    this.clients.add(client);
+    logger.info(`🧪 Fake Kite: WebSocket client connected (${this.clients.size})`);
+
+    ws.on('message', (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch (error) {
+        message = null;
+      }
+
+      // Same shapes Kite accepts: { a, v: [tokens] } or { a: 'mode', v: [mode, [tokens]] }
+      const tokens = message && (message.a === 'mode' ? Array.isArray(message.v) && message.v[1] : message.v);
+      if (!Array.isArray(tokens)) {
+        ws.send(JSON.stringify({ type: 'error', data: 'Invalid message' }));
+        return;
+      }
+
+      if (message.a === 'subscribe') {
+        tokens.forEach(token => {
+          if (!client.modes.has(token)) client.modes.set(token, 'quote');
+        });
+      } else if (message.a === 'unsubscribe') {
+        tokens.forEach(token => client.modes.delete(token));
+      } else if (message.a === 'mode') {
+        const [mode] = message.v;
+        tokens.forEach(token => client.modes.set(token, mode));
+      }
+    });
+
+    ws.on('close', () => {
+      this.clients.delete(client);
+    });
+  }
+
+  broadcastTicks() {
+    const moved = new Set();
+
+    this.clients.forEach(client => {
+      const packets = [];
+      client.modes.forEach((mode, token) => {
+        if (!this.instrumentsByToken.has(token)) return;
+        if (!moved.has(token)) {
+          // Not every instrument trades every interval
+          if (this.random() > 0.6) return;
+          this.stepMarket(token);
+          moved.add(token);
+        }
+        packets.push(tickParser.encodePacket(this.buildTick(token), mode));
+      });
+
+      if (packets.length === 0) {
+        client.ws.send(Buffer.from([0x00]));
+        return;
+      }
+
+      // Stay well inside the uint16 packet-count field
+      for (let i = 0; i < packets.length; i += 1000) {
+        client.ws.send(tickParser.encodeFrame(packets.slice(i, i + 1000)));
+      }
+    });
+  }
+
+  // Loops a session captured by the tick recorder, sending frames as they were received
+  async playScript() {
+    while (this.server) {
+      const lines = readline.createInterface({
+        input: fs.createReadStream(this.scriptFile).pipe(zlib.createGunzip()),
+        crlfDelay: Infinity
+      });
+
+      let firstFrameTime = null;
+      let wallStart = null;
+
+      try {
+        for await (const line of lines) {
+          if (!this.server) return;
+          if (!line) continue;
+
+          const entry = JSON.parse(line);
+          if (firstFrameTime === null) {
+            firstFrameTime = entry.t;
+            wallStart = Date.now();
+          }
+
+          const wait = wallStart + (entry.t - firstFrameTime) / this.scriptSpeed - Date.now();
+          if (wait > 0) {
+            await new Promise(resolve => setTimeout(resolve, wait));
+          }
+
+          const frame = entry.b !== undefined ? Buffer.from(entry.b, 'base64') : entry.x;
+          this.clients.forEach(client => client.ws.send(frame, { binary: entry.b !== undefined }));
+        }
+      } catch (error) {
+        if (error.code !== 'Z_BUF_ERROR') throw error;
+      }
+
+      logger.info('🧪 Fake Kite: script finished, looping');
+    }
+  }
+
+  start() {
+    this.loadInstruments();
+
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    this.wss = new WebSocketServer({ server: this.server });
+    this.wss.on('connection', (ws) => this.handleSocket(ws));
+
+    return new Promise(resolve => {
+      this.server.listen(this.port, () => {
+        logger.info(`🧪 Fake Kite listening on http://localhost:${this.port} (ws://localhost:${this.port})`);
+
+        if (this.scriptFile) {
+          logger.info(`🧪 Fake Kite: streaming script ${this.scriptFile} at ${this.scriptSpeed}x`);
+          this.playScript().catch(error => logger.error('🧪 Fake Kite script failed:', error.message));
+        } else {
+          this.timer = setInterval(() => this.broadcastTicks(), this.tickInterval);
+        }
+        resolve();
+      });
+    });
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.clients.forEach(client => client.ws.terminate());
+    const server = this.server;
+    this.server = null;
+    if (this.wss) this.wss.close();
+    return new Promise(resolve => (server ? server.close(() => resolve()) : resolve()));
+  }
+}
+
+if (require.main === module) {
+  const fakeKite = new FakeKiteServer();
+  fakeKite.start();
+
+  process.on('SIGINT', async () => {
+    await fakeKite.stop();
+    process.exit(0);
+  });
+}
+
+module.exports = FakeKiteServer;
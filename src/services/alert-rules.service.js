@@ -0,0 +1,575 @@
+const fs = require('fs');
+const path = require('path');
+const discordService = require('./discord.service');
+const indicatorService = require('./indicator.service');
+const rollingWindow = require('./rolling-window.service');
+const circuitLimits = require('./circuit-limit.service');
+const breakouts = require('./breakout.service');
+const depthAnalytics = require('./depth-analytics.service');
+const logger = require('../utils/logger');
+const { compile } = require('../utils/expression');
+const { displaySymbol } = require('../utils/symbols');
+const { getDataDir } = require('../utils/data-path');
+const { getDayKey } = require('../utils/market-calendar');
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+// Prefixes for reading an indicator on a specific interval, e.g. m15.rsi14
+const INTERVAL_PREFIXES = {
+  m1: 'minute',
+  m3: '3minute',
+  m5: '5minute',
+  m15: '15minute',
+  m60: '60minute'
+};
+
+// Fields computed from the tick and the previous tick for the same instrument
+const LIVE_FIELDS = {
+  price: ({ tick }) => tick.last_price,
+  open: ({ tick }) => tick.ohlc && tick.ohlc.open,
+  high: ({ tick }) => tick.ohlc && tick.ohlc.high,
+  low: ({ tick }) => tick.ohlc && tick.ohlc.low,
+  prev_close: ({ tick }) => tick.ohlc && tick.ohlc.close,
+  change: ({ tick }) => tick.change,
+  change_pct: ({ tick }) => tick.change_percent,
+  volume: ({ tick }) => tick.volume_traded,
+  avg_price: ({ tick }) => tick.average_traded_price,
+  vwap_dist_pct: ({ tick }) => (tick.average_traded_price
+    ? ((tick.last_price - tick.average_traded_price) / tick.average_traded_price) * 100
+    : null),
+  buy_qty: ({ tick }) => tick.total_buy_quantity,
+  sell_qty: ({ tick }) => tick.total_sell_quantity,
+  buy_sell_ratio: ({ tick }) => (tick.total_sell_quantity ? tick.total_buy_quantity / tick.total_sell_quantity : null),
+  // Change over the rolling window (ALERT_MOVE_WINDOW_MS) ending at this tick
+  move_pct: ({ window }) => window && window.changePct,
+  move_start_price: ({ window }) => window && window.startPrice,
+  move_seconds: ({ window }) => window && window.seconds,
+  move_minutes: ({ window }) => window && Math.floor(window.seconds / 60),
+  window_volume: ({ window }) => window && window.volume,
+  expected_volume: ({ token, window }) => (window
+    ? rollingWindow.getExpectedVolume(token, window.startTime, window.endTime)
+    : null),
+  // Window volume against the usual volume for the same time of day over recent sessions
+  volume_ratio: ({ token }) => rollingWindow.getVolumeRatio(token),
+  upper_circuit: ({ token }) => circuitLimits.getBand(token) && circuitLimits.getBand(token).upper,
+  lower_circuit: ({ token }) => circuitLimits.getBand(token) && circuitLimits.getBand(token).lower,
+  upper_circuit_dist_pct: ({ token, tick }) => {
+    const distances = circuitLimits.getDistances(token, tick.last_price);
+    return distances && distances.upper;
+  },
+  lower_circuit_dist_pct: ({ token, tick }) => {
+    const distances = circuitLimits.getDistances(token, tick.last_price);
+    return distances && distances.lower;
+  },
+  at_upper_circuit: ({ token, tick }) => (circuitLimits.getBand(token) ? circuitLimits.isLocked(token, tick, 'upper') : null),
+  at_lower_circuit: ({ token, tick }) => (circuitLimits.getBand(token) ? circuitLimits.isLocked(token, tick, 'lower') : null),
+  high_52w: ({ token }) => breakouts.getLevels(token) && breakouts.getLevels(token).high52,
+  low_52w: ({ token }) => breakouts.getLevels(token) && breakouts.getLevels(token).low52,
+  // Order book, only for instruments subscribed in full mode; -1 (all asks) to +1 (all bids)
+  book_imbalance: ({ token }) => depthAnalytics.getMetrics(token) && depthAnalytics.getMetrics(token).imbalance,
+  bid_ask_ratio: ({ token }) => depthAnalytics.getMetrics(token) && depthAnalytics.getMetrics(token).bidAskRatio,
+  spread_pct: ({ token }) => depthAnalytics.getMetrics(token) && depthAnalytics.getMetrics(token).spreadPct
+};
+
+// Fields read from the latest closed-candle indicator snapshot
+const INDICATOR_FIELDS = {
+  sma20: (v) => v.sma20,
+  sma50: (v) => v.sma50,
+  ema9: (v) => v.ema9,
+  ema21: (v) => v.ema21,
+  wma20: (v) => v.wma20,
+  rsi: (v) => v.rsi14,
+  rsi14: (v) => v.rsi14,
+  macd: (v) => v.macd && v.macd.macd,
+  macd_signal: (v) => v.macd && v.macd.signal,
+  macd_hist: (v) => v.macd && v.macd.histogram,
+  bb_upper: (v) => v.bollinger && v.bollinger.upper,
+  bb_middle: (v) => v.bollinger && v.bollinger.middle,
+  bb_lower: (v) => v.bollinger && v.bollinger.lower,
+  bb_pctb: (v) => v.bollinger && v.bollinger.percentB,
+  bb_width: (v) => v.bollinger && v.bollinger.bandwidth,
+  atr: (v) => v.atr14,
+  atr14: (v) => v.atr14,
+  supertrend: (v) => v.supertrend && v.supertrend.value,
+  supertrend_dir: (v) => v.supertrend && v.supertrend.direction,
+  vwap: (v) => v.vwap,
+  stoch_k: (v) => v.stochastic && v.stochastic.k,
+  stoch_d: (v) => v.stochastic && v.stochastic.d
+};
+
+// Printed as whole numbers in alert messages, everything numeric else gets two decimals
+const COUNT_FIELDS = ['volume', 'buy_qty', 'sell_qty', 'move_minutes', 'window_volume', 'expected_volume'];
+
+function parseDuration(value) {
+  if (typeof value === 'number') return value * 1000;
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(s|m|h)?$/);
+  if (!match) return null;
+  const multiplier = { s: 1000, m: 60000, h: 3600000 }[match[2] || 's'];
+  return parseFloat(match[1]) * multiplier;
+}
+
+// 300 -> "5m", 272 -> "4m 32s"
+function formatWindow(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const rest = Math.round(seconds % 60);
+  if (minutes === 0) return `${rest}s`;
+  return rest ? `${minutes}m ${rest}s` : `${minutes}m`;
+}
+
+class AlertRulesService {
+  constructor() {
+    this.rules = [];
+    this.universeRules = [];
+    this.rulesBySymbol = new Map(); // symbol -> rules scoped to it
+    this.alertState = new Map(); // "ruleId|token" -> { level, firedAt }, level -1 when armed
+    this.invalidRules = []; // { id, error, raw } for entries that failed validation
+    this.loaded = false;
+    this.alertsSent = 0;
+    this.digestsSent = 0;
+    this.outbox = []; // alerts waiting for the digest window to close
+    this.daily = { day: null, counts: {} }; // alerts enqueued today by source (rule id, circuit, breakout, depth)
+    this.flushTimer = null;
+
+    this.DEFAULT_INTERVAL = '5minute';
+    // Alerts for the same rule and level within one window are merged once there are this many
+    this.DIGEST_WINDOW = parseInt(process.env.ALERT_DIGEST_WINDOW_MS || '3000');
+    this.DIGEST_THRESHOLD = parseInt(process.env.ALERT_DIGEST_THRESHOLD || '5');
+  }
+
+  // The bundled file holds the defaults; edits made from Discord go to the data dir and win from then on
+  getRulesFile() {
+    const override = this.getOverrideFile();
+    return fs.existsSync(override) ? override : path.join(__dirname, '../../alert-rules.json');
+  }
+
+  getOverrideFile() {
+    return path.join(getDataDir(), 'alert-rules.json');
+  }
+
+  isKnownField(name) {
+    if (LIVE_FIELDS[name] || INDICATOR_FIELDS[name]) return true;
+    const [prefix, field, ...rest] = name.split('.');
+    return rest.length === 0 && !!INTERVAL_PREFIXES[prefix] && !!INDICATOR_FIELDS[field];
+  }
+
+  // Returns the compiled rule or throws with a message naming what is wrong
+  validateRule(raw) {
+    if (!raw || typeof raw !== 'object') throw new Error('Rule must be an object');
+    if (!raw.id || !/^[a-z0-9_-]+$/i.test(raw.id)) throw new Error('Rule needs an id made of letters, digits, - or _');
+
+    const severity = raw.severity || 'warning';
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(`severity must be one of ${SEVERITIES.join(', ')}`);
+    }
+
+    const cooldown = parseDuration(raw.cooldown === undefined ? '15m' : raw.cooldown);
+    if (cooldown === null) throw new Error(`Invalid cooldown '${raw.cooldown}' (use e.g. 300, "30s", "15m", "1h")`);
+
+    const scope = raw.scope === undefined ? 'universe' : raw.scope;
+    let symbols = null;
+    if (scope !== 'universe') {
+      const list = Array.isArray(scope) ? scope : [scope];
+      if (list.length === 0 || list.some(symbol => typeof symbol !== 'string' || !symbol.trim())) {
+        throw new Error('scope must be "universe", a symbol or a list of symbols');
+      }
+      symbols = new Set(list.map(symbol => displaySymbol(symbol)));
+    }
+
+    const interval = raw.interval || this.DEFAULT_INTERVAL;
+    if (!Object.values(INTERVAL_PREFIXES).includes(interval)) {
+      throw new Error(`interval must be one of ${Object.values(INTERVAL_PREFIXES).join(', ')}`);
+    }
+
+    const isKnownField = (name) => this.isKnownField(name);
+    const compileField = (label, source) => {
+      try {
+        return compile(source, isKnownField);
+      } catch (error) {
+        throw new Error(`${label}: ${error.message}`);
+      }
+    };
+
+    const condition = compileField('condition', raw.condition);
+    const rearm = raw.rearm === undefined ? null : compileField('rearm', raw.rearm);
+    const name = raw.name || raw.id;
+
+    // Level 0 is the rule itself, each escalation step is a stronger condition with its own message
+    const escalate = raw.escalate === undefined ? [] : raw.escalate;
+    if (!Array.isArray(escalate)) throw new Error('escalate must be a list of levels');
+
+    const levels = [{ name, condition, severity, message: raw.message || null }];
+    escalate.forEach((step, index) => {
+      const label = `escalate[${index}]`;
+      if (!step || typeof step !== 'object') throw new Error(`${label} must be an object`);
+      if (step.severity && !SEVERITIES.includes(step.severity)) {
+        throw new Error(`${label}.severity must be one of ${SEVERITIES.join(', ')}`);
+      }
+      levels.push({
+        name: step.name || `${name} (level ${index + 2})`,
+        condition: compileField(`${label}.condition`, step.condition),
+        severity: step.severity || severity,
+        message: step.message || raw.message || null
+      });
+    });
+
+    return {
+      id: raw.id,
+      name,
+      enabled: raw.enabled !== false,
+      condition,
+      rearm,
+      levels,
+      scope,
+      symbols,
+      cooldown,
+      severity,
+      channel: raw.channel || 'alerts',
+      interval,
+      message: raw.message || null,
+      raw
+    };
+  }
+
+  load() {
+    const file = this.getRulesFile();
+    let rawRules;
+    try {
+      rawRules = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (!Array.isArray(rawRules)) throw new Error('File must contain a JSON array of rules');
+    } catch (error) {
+      logger.error(`❌ Could not read alert rules from ${file}:`, error.message);
+      discordService.log(`❌ **Alert Rules Not Loaded**\n${error.message}\nKeeping ${this.rules.length} previous rule(s)`, 'error');
+      return { loaded: this.rules.length, invalid: [{ id: '(file)', error: error.message }] };
+    }
+
+    const rules = [];
+    const invalid = [];
+    const seen = new Set();
+
+    rawRules.forEach((raw, index) => {
+      try {
+        const rule = this.validateRule(raw);
+        if (seen.has(rule.id)) throw new Error('Duplicate id');
+        seen.add(rule.id);
+        rules.push(rule);
+      } catch (error) {
+        invalid.push({ id: (raw && raw.id) || `#${index + 1}`, error: error.message, raw });
+      }
+    });
+
+    this.setRules(rules);
+    this.invalidRules = invalid;
+    this.loaded = true;
+
+    logger.info(`📋 Loaded ${rules.length} alert rule(s)${invalid.length ? `, ${invalid.length} invalid` : ''}`);
+    if (invalid.length > 0) {
+      invalid.forEach(rule => logger.warn(`⚠️ Alert rule ${rule.id} skipped: ${rule.error}`));
+      discordService.log(
+        `⚠️ **Invalid Alert Rules Skipped**\n` + invalid.map(rule => `• ${rule.id}: ${rule.error}`).join('\n'),
+        'warning'
+      );
+    }
+
+    return { loaded: rules.length, invalid };
+  }
+
+  setRules(rules) {
+    this.rules = rules;
+    this.universeRules = rules.filter(rule => !rule.symbols);
+    this.rulesBySymbol = new Map();
+
+    rules.filter(rule => rule.symbols).forEach(rule => {
+      rule.symbols.forEach(symbol => {
+        if (!this.rulesBySymbol.has(symbol)) this.rulesBySymbol.set(symbol, []);
+        this.rulesBySymbol.get(symbol).push(rule);
+      });
+    });
+
+    // Keep per-instrument state for rules that survived a reload, drop the rest
+    const ids = new Set(rules.map(rule => rule.id));
+    Array.from(this.alertState.keys()).forEach(key => {
+      if (!ids.has(key.split('|')[0])) this.alertState.delete(key);
+    });
+  }
+
+  // Rules are edited from Discord outside market hours too, so read the file before changing anything
+  ensureLoaded() {
+    if (!this.loaded) this.load();
+    if (!this.loaded) throw new Error('Alert rules file could not be read, fix it and run `!rules reload`');
+  }
+
+  // Invalid entries are written back untouched so a typo is not lost on the next edit
+  save() {
+    const file = this.getOverrideFile();
+    const rawRules = [...this.rules.map(rule => rule.raw), ...this.invalidRules.map(rule => rule.raw)];
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(rawRules, null, 2) + '\n');
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  addRule(raw) {
+    this.ensureLoaded();
+    const rule = this.validateRule(raw);
+    if (this.rules.some(existing => existing.id === rule.id)) {
+      throw new Error(`Rule ${rule.id} already exists`);
+    }
+    this.setRules([...this.rules, rule]);
+    this.save();
+    return rule;
+  }
+
+  removeRule(id) {
+    this.ensureLoaded();
+    const remaining = this.rules.filter(rule => rule.id !== id);
+    if (remaining.length === this.rules.length) return false;
+    this.setRules(remaining);
+    this.save();
+    return true;
+  }
+
+  setEnabled(id, enabled) {
+    this.ensureLoaded();
+    const rule = this.rules.find(existing => existing.id === id);
+    if (!rule) return false;
+    rule.enabled = enabled;
+    rule.raw.enabled = enabled;
+    this.save();
+    return true;
+  }
+
+  // Rules evaluated for the same tick share the cache, so every field is computed at most once
+  createResolver(item, rule, cache = new Map()) {
+    return (name) => {
+      const key = `${rule.interval}|${name}`;
+      if (cache.has(key)) return cache.get(key);
+
+      let value = null;
+      if (LIVE_FIELDS[name]) {
+        value = LIVE_FIELDS[name](item);
+      } else {
+        const [prefix, field] = name.includes('.') ? name.split('.') : [null, name];
+        const interval = prefix ? INTERVAL_PREFIXES[prefix] : rule.interval;
+        const values = indicatorService.getIndicators(item.token, interval);
+        value = values ? INDICATOR_FIELDS[field](values) : null;
+      }
+
+      if (value === undefined) value = null;
+      cache.set(key, value);
+      return value;
+    };
+  }
+
+  // items: [{ token, symbol, name, tick }]
+  evaluate(items, now = Date.now()) {
+    if (this.rules.length === 0) return;
+
+    items.forEach(tickItem => {
+      const item = { ...tickItem, window: rollingWindow.getWindow(tickItem.token) };
+      const scoped = this.rulesBySymbol.get(item.symbol);
+      const rules = scoped ? this.universeRules.concat(scoped) : this.universeRules;
+      const cache = new Map();
+
+      rules.forEach(rule => {
+        if (!rule.enabled) return;
+
+        const key = `${rule.id}|${item.token}`;
+        let state = this.alertState.get(key);
+        if (!state) {
+          state = { level: -1, firedAt: 0 };
+          this.alertState.set(key, state);
+        }
+
+        const resolve = this.createResolver(item, rule, cache);
+
+        // Fired alerts stay quiet until the rearm condition clears the hysteresis band, or the cooldown has run out
+        // and none of the levels sent so far still holds; an instrument parked past the trigger is not re-sent every cooldown
+        if (state.level >= 0 && ((rule.rearm && rule.rearm.evaluate(resolve)) ||
+            (now - state.firedAt >= rule.cooldown && !this.isStillFiring(rule, state.level, resolve)))) {
+          state.level = -1;
+        }
+
+        // Only levels above the one already sent can fire, so an escalation goes out even inside the cooldown
+        let reached = -1;
+        for (let level = rule.levels.length - 1; level > state.level; level--) {
+          if (rule.levels[level].condition.evaluate(resolve)) {
+            reached = level;
+            break;
+          }
+        }
+        if (reached === -1) return;
+
+        state.level = reached;
+        state.firedAt = now;
+        this.fire(rule, reached, item, resolve);
+      });
+    });
+  }
+
+  isStillFiring(rule, level, resolve) {
+    return rule.levels.slice(0, level + 1).some(step => step.condition.evaluate(resolve));
+  }
+
+  formatValue(name, value) {
+    if (value === null) return '—';
+    if (typeof value !== 'number') return String(value);
+    if (COUNT_FIELDS.includes(name)) return Math.round(value).toLocaleString('en-IN');
+    return value.toFixed(2);
+  }
+
+  formatMessage(rule, level, item, resolve) {
+    const { name, severity, message, condition } = rule.levels[level];
+    const template = message || `🔔 {rule}\n{name}\n₹{price}\n${condition.source}`;
+
+    return template.replace(/\{([a-z0-9_.]+)\}/gi, (match, field) => {
+      if (field === 'rule') return name;
+      if (field === 'symbol') return item.symbol;
+      if (field === 'name') return item.name;
+      if (field === 'severity') return severity;
+      if (field === 'level') return String(level + 1);
+      if (field === 'window') return item.window ? formatWindow(item.window.seconds) : '—';
+      if (!this.isKnownField(field)) return match;
+      return this.formatValue(field, resolve(field));
+    });
+  }
+
+  // One line per instrument for digests: the price and whatever the condition looked at
+  formatDigestLine(rule, level, item, resolve) {
+    const values = rule.levels[level].condition.fields
+      .filter(field => field !== 'price')
+      .map(field => `${field} ${this.formatValue(field, resolve(field))}`);
+    return `• **${item.symbol}** ₹${this.formatValue('price', resolve('price'))}${values.length ? ` | ${values.join(', ')}` : ''}`;
+  }
+
+  resolveChannel(channel) {
+    const tracker = require('./token-tracker.service');
+    const channelId = channel === 'alerts'
+      ? tracker.alertChannelId
+      : channel === 'log' ? process.env.DISCORD_LOG_CHANNEL_ID : channel;
+    return discordService.client.channels.cache.get(channelId);
+  }
+
+  fire(rule, level, item, resolve) {
+    const { name, severity } = rule.levels[level];
+    this.alertsSent++;
+
+    const label = level > 0 ? `${rule.id}#${level + 1}` : rule.id;
+    if (severity === 'info') {
+      logger.info(`🔔 Alert [${severity}] ${label} - ${item.symbol}`);
+    } else {
+      logger.warn(`🔔 Alert [${severity}] ${label} - ${item.symbol}`);
+    }
+
+    // Messages are rendered now, while the resolver still reflects this tick
+    this.enqueue({
+      group: `${rule.id}|${level}`,
+      name,
+      severity,
+      channel: rule.channel,
+      message: this.formatMessage(rule, level, item, resolve),
+      line: this.formatDigestLine(rule, level, item, resolve)
+    });
+  }
+
+  // Shared outbox for rule alerts and other alert producers (circuit limits), so a market-wide
+  // event becomes one digest per group. alert: { group, name, severity, channel, message, line }
+  enqueue(alert) {
+    this.outbox.push(alert);
+    this.countDaily(alert);
+
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => {
+        this.flushTimer = null;
+        this.flushOutbox().catch(error => logger.error('Failed to send alerts:', error));
+      }, this.DIGEST_WINDOW);
+    }
+  }
+
+  countDaily(alert, now = Date.now()) {
+    const day = getDayKey(now);
+    if (this.daily.day !== day) this.daily = { day, counts: {} };
+    const source = alert.group.split('|')[0];
+    this.daily.counts[source] = (this.daily.counts[source] || 0) + 1;
+  }
+
+  getDailyCounts(day = getDayKey()) {
+    return this.daily.day === day ? { ...this.daily.counts } : {};
+  }
+
+  async flushOutbox() {
+    const pending = this.outbox;
+    this.outbox = [];
+
+    const groups = new Map(); // group -> alerts
+    pending.forEach(alert => {
+      if (!groups.has(alert.group)) groups.set(alert.group, []);
+      groups.get(alert.group).push(alert);
+    });
+
+    for (const alerts of groups.values()) {
+      const { name, channel } = alerts[0];
+      if (alerts.length >= this.DIGEST_THRESHOLD) {
+        await this.send(channel, this.formatDigest(alerts));
+        this.digestsSent++;
+        logger.warn(`🌊 ${name} triggered for ${alerts.length} instruments, sent as one digest`);
+      } else {
+        for (const alert of alerts) {
+          await this.send(channel, alert.message);
+        }
+      }
+    }
+  }
+
+  formatDigest(alerts) {
+    const { name, severity } = alerts[0];
+    const emoji = { info: '📊', warning: '⚠️', critical: '🚨' }[severity];
+    let message = `${emoji} **${name}: ${alerts.length} instruments**\n`;
+
+    // Stay under Discord's 2000 character limit
+    let shown = 0;
+    for (const alert of alerts) {
+      if (message.length + alert.line.length > 1900) break;
+      message += `${alert.line}\n`;
+      shown++;
+    }
+    if (shown < alerts.length) {
+      message += `…and ${alerts.length - shown} more`;
+    }
+    return message;
+  }
+
+  async send(channelName, message) {
+    if (discordService.isDisabled) return;
+
+    const channel = this.resolveChannel(channelName);
+    if (!channel) {
+      logger.warn(`⚠️ Alert channel ${channelName} not found`);
+      return;
+    }
+    try {
+      await channel.send(message);
+    } catch (error) {
+      logger.error(`Failed to send alert to ${channelName}:`, error.message);
+    }
+  }
+
+  getFieldNames() {
+    return {
+      live: Object.keys(LIVE_FIELDS),
+      indicators: Object.keys(INDICATOR_FIELDS),
+      prefixes: Object.keys(INTERVAL_PREFIXES)
+    };
+  }
+
+  getStatus() {
+    return {
+      rules: this.rules.length,
+      enabled: this.rules.filter(rule => rule.enabled).length,
+      invalid: this.invalidRules.length,
+      alertsSent: this.alertsSent,
+      digestsSent: this.digestsSent,
+      activeAlerts: Array.from(this.alertState.values()).filter(state => state.level >= 0).length,
+      file: this.getRulesFile()
+    };
+  }
+}
+
+module.exports = new AlertRulesService();
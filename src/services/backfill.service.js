@@ -0,0 +1,371 @@
+const fs = require('fs');
+const path = require('path');
+const zerodhaService = require('./zerodha.service');
+const discordService = require('./discord.service');
+const marketStore = require('./market-store.service');
+const candleAggregator = require('./candle-aggregator.service');
+const logger = require('../utils/logger');
+const { getDataDir } = require('../utils/data-path');
+const { loadTokens } = require('../utils/token-file');
+const { getTokenExchange } = require('../utils/symbols');
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// Longest range Kite's historical API accepts per request, in days
+const MAX_DAYS_PER_REQUEST = {
+  minute: 60,
+  '3minute': 100,
+  '5minute': 100,
+  '10minute': 100,
+  '15minute': 200,
+  '30minute': 200,
+  '60minute': 400,
+  day: 2000
+};
+
+const INTERVAL_MINUTES = {
+  minute: 1,
+  '3minute': 3,
+  '5minute': 5,
+  '10minute': 10,
+  '15minute': 15,
+  '30minute': 30,
+  '60minute': 60,
+  day: 24 * 60
+};
+
+// Kite expects exchange (IST) wall-clock times; the client library would format in the server's timezone
+function toKiteTime(time) {
+  return new Date(time + IST_OFFSET_MS).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+function getISTDayStart(time) {
+  return Math.floor((time + IST_OFFSET_MS) / DAY_MS) * DAY_MS - IST_OFFSET_MS;
+}
+
+class BackfillService {
+  constructor() {
+    this.manifestFile = null;
+    this.manifest = null; // "token|interval" -> [[from, to], ...] ranges already fetched from Kite
+    this.requestChain = Promise.resolve();
+    this.lastRequestAt = 0;
+    this.requests = 0;
+    this.candlesFetched = 0;
+    this.failures = 0;
+    this.job = null;
+
+    // Kite allows 3 historical requests per second
+    this.MIN_REQUEST_GAP = parseInt(process.env.BACKFILL_MIN_REQUEST_GAP_MS || '350');
+    this.MAX_RETRIES = 3;
+    // Calendar days of minute candles; a week covers the 5 sessions the volume baseline averages
+    this.INTRADAY_DAYS = parseInt(process.env.BACKFILL_INTRADAY_DAYS || '7');
+    // Daily history is one request per instrument either way, and all-time levels need the depth
+    this.DAILY_DAYS = parseInt(process.env.BACKFILL_DAILY_DAYS || '2000');
+  }
+
+  getManifestFile() {
+    if (!this.manifestFile) {
+      this.manifestFile = path.join(getDataDir('market'), 'backfill-manifest.json');
+    }
+    return this.manifestFile;
+  }
+
+  loadManifest() {
+    if (this.manifest) return this.manifest;
+
+    try {
+      this.manifest = fs.existsSync(this.getManifestFile())
+        ? JSON.parse(fs.readFileSync(this.getManifestFile(), 'utf8'))
+        : {};
+    } catch (error) {
+      logger.error('❌ Backfill manifest unreadable, starting fresh:', error.message);
+      this.manifest = {};
+    }
+    return this.manifest;
+  }
+
+  saveManifest() {
+    const tmp = `${this.getManifestFile()}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(this.manifest));
+    fs.renameSync(tmp, this.getManifestFile());
+  }
+
+  getCoverage(token, interval) {
+    return this.loadManifest()[`${token}|${interval}`] || [];
+  }
+
+  markCovered(token, interval, from, to) {
+    const key = `${token}|${interval}`;
+    const ranges = [...this.getCoverage(token, interval), [from, to]].sort((a, b) => a[0] - b[0]);
+
+    // Merge overlapping or touching ranges
+    const merged = [];
+    ranges.forEach(([start, end]) => {
+      const last = merged[merged.length - 1];
+      if (last && start <= last[1] + 1) {
+        last[1] = Math.max(last[1], end);
+      } else {
+        merged.push([start, end]);
+      }
+    });
+
+    this.manifest[key] = merged;
+  }
+
+  // Parts of [from, to] never fetched from Kite. Live-built candles do not count as coverage,
+  // so a session the bot joined late is filled in the first time it is backfilled.
+  findGaps(token, interval, from, to) {
+    const gaps = [];
+    let cursor = from;
+
+    this.getCoverage(token, interval).forEach(([start, end]) => {
+      if (end < cursor || start > to) return;
+      if (start > cursor) {
+        gaps.push([cursor, start - 1]);
+      }
+      cursor = Math.max(cursor, end + 1);
+    });
+
+    if (cursor <= to) {
+      gaps.push([cursor, to]);
+    }
+    return gaps;
+  }
+
+  // Kite includes the candle that is still forming, so never ask past the last closed one
+  clampToClosed(interval, to, now = Date.now()) {
+    if (interval === 'day') {
+      return Math.min(to, getISTDayStart(now) - 1);
+    }
+    return Math.min(to, now - INTERVAL_MINUTES[interval] * MINUTE_MS);
+  }
+
+  splitRange(interval, from, to) {
+    const maxSpan = MAX_DAYS_PER_REQUEST[interval] * DAY_MS;
+    const windows = [];
+    for (let start = from; start <= to; start += maxSpan) {
+      windows.push([start, Math.min(to, start + maxSpan - 1)]);
+    }
+    return windows;
+  }
+
+  // Every historical call goes through this chain so the whole process stays under the rate limit
+  throttle(fn) {
+    const run = this.requestChain.then(async () => {
+      const wait = this.lastRequestAt + this.MIN_REQUEST_GAP - Date.now();
+      if (wait > 0) {
+        await new Promise(resolve => setTimeout(resolve, wait));
+      }
+      this.lastRequestAt = Date.now();
+      this.requests++;
+      return fn();
+    });
+
+    this.requestChain = run.catch(() => {});
+    return run;
+  }
+
+  async fetchWindow(token, interval, from, to) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.throttle(() => zerodhaService.kite.getHistoricalData(
+          token, interval, toKiteTime(from), toKiteTime(to)
+        ));
+      } catch (error) {
+        const message = error.message || String(error);
+        const retryable = error.error_type === 'NetworkException' || /too many requests/i.test(message);
+
+        if (!retryable || attempt >= this.MAX_RETRIES) {
+          throw new Error(`Historical ${interval} for ${token} failed: ${message}`);
+        }
+
+        const delay = 1000 * Math.pow(2, attempt);
+        logger.warn(`⚠️ Historical request throttled/failed (${message}), retrying in ${delay / 1000}s`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  toStoreCandles(rows) {
+    return rows.map(row => ({
+      time: new Date(row.date),
+      open: row.open,
+      high: row.high,
+      low: row.low,
+      close: row.close,
+      volume: row.volume
+    }));
+  }
+
+  // Rolls minute candles up into the session-aligned buckets the live aggregator uses
+  resample(candles, interval, exchange = 'NSE') {
+    const buckets = new Map();
+
+    candles.forEach(candle => {
+      const bucketStart = candleAggregator.getBucketStart(candle.time.getTime(), interval, exchange);
+      if (bucketStart === null) return;
+
+      const bucket = buckets.get(bucketStart);
+      if (!bucket) {
+        buckets.set(bucketStart, { ...candle, time: new Date(bucketStart) });
+        return;
+      }
+      bucket.high = Math.max(bucket.high, candle.high);
+      bucket.low = Math.min(bucket.low, candle.low);
+      bucket.close = candle.close;
+      bucket.volume += candle.volume;
+    });
+
+    return Array.from(buckets.values());
+  }
+
+  async backfill(token, interval, from, to) {
+    if (!MAX_DAYS_PER_REQUEST[interval]) {
+      throw new Error(`Unknown interval: ${interval}`);
+    }
+
+    const end = this.clampToClosed(interval, new Date(to).getTime());
+    const gaps = this.findGaps(token, interval, new Date(from).getTime(), end);
+    let fetched = 0;
+
+    for (const [gapStart, gapEnd] of gaps) {
+      for (const [windowStart, windowEnd] of this.splitRange(interval, gapStart, gapEnd)) {
+        const candles = this.toStoreCandles(await this.fetchWindow(token, interval, windowStart, windowEnd));
+        marketStore.appendCandles(token, interval, candles);
+        this.markCovered(token, interval, windowStart, windowEnd);
+        fetched += candles.length;
+      }
+    }
+
+    if (gaps.length > 0) {
+      await marketStore.flush();
+      this.saveManifest();
+    }
+
+    this.candlesFetched += fetched;
+    return { gaps: gaps.length, candles: fetched };
+  }
+
+  // One minute-candle request per window fills every live interval, instead of one request per interval
+  async backfillIntraday(token, from, to) {
+    const intervals = candleAggregator.intervals.filter(interval => interval !== 'minute');
+    const exchange = getTokenExchange(token);
+    const fromTime = new Date(from).getTime();
+    const end = this.clampToClosed('minute', new Date(to).getTime());
+    const gaps = this.findGaps(token, 'minute', fromTime, end);
+    let fetched = 0;
+
+    for (const [gapStart, gapEnd] of gaps) {
+      for (const [windowStart, windowEnd] of this.splitRange('minute', gapStart, gapEnd)) {
+        // Start at the first bucket boundary that every interval shares, so no bucket is built from half its minutes
+        const alignedStart = Math.min(windowStart, ...intervals
+          .map(interval => candleAggregator.getBucketStart(windowStart, interval, exchange))
+          .filter(start => start !== null));
+
+        const candles = this.toStoreCandles(await this.fetchWindow(token, 'minute', alignedStart, windowEnd));
+        marketStore.appendCandles(token, 'minute', candles);
+        this.markCovered(token, 'minute', windowStart, windowEnd);
+        fetched += candles.length;
+
+        intervals.forEach(interval => {
+          const whole = this.resample(candles, interval, exchange).filter(candle =>
+            candleAggregator.getBucketEnd(candle.time.getTime(), interval, exchange) <= windowEnd + 1
+          );
+          marketStore.appendCandles(token, interval, whole);
+        });
+      }
+    }
+
+    if (gaps.length > 0) {
+      await marketStore.flush();
+      this.saveManifest();
+    }
+
+    this.candlesFetched += fetched;
+    return { gaps: gaps.length, candles: fetched };
+  }
+
+  // Fills today's session up to now, e.g. after a restart during market hours
+  async fillSessionGaps(tokens, now = Date.now()) {
+    const sessionStart = getISTDayStart(now);
+    return this.runJob('session', tokens, async (token) => {
+      await this.backfillIntraday(token, sessionStart, now);
+    });
+  }
+
+  async runUniverseBackfill(now = Date.now()) {
+    const tokens = this.loadUniverse();
+    const today = getISTDayStart(now);
+
+    return this.runJob('universe', tokens, async (token) => {
+      await this.backfillIntraday(token, today - this.INTRADAY_DAYS * DAY_MS, now);
+      await this.backfill(token, 'day', today - this.DAILY_DAYS * DAY_MS, now);
+    });
+  }
+
+  // Same universe the tracker streams
+  loadUniverse() {
+    return loadTokens();
+  }
+
+  async runJob(name, tokens, work) {
+    if (this.job) {
+      logger.warn(`⚠️ Backfill ${name} skipped, ${this.job.name} job still running`);
+      return null;
+    }
+
+    if (!zerodhaService.isConnected) {
+      logger.warn(`⚠️ Backfill ${name} skipped, Zerodha not connected`);
+      return null;
+    }
+
+    this.job = { name, total: tokens.length, done: 0, failed: 0, startedAt: new Date() };
+    logger.info(`📚 Backfill ${name} started for ${tokens.length} instruments`);
+
+    for (const token of tokens) {
+      try {
+        await work(token);
+      } catch (error) {
+        this.job.failed++;
+        this.failures++;
+        logger.error(`❌ Backfill ${name} failed for ${token}:`, error.message);
+
+        // Expired session or similar, every remaining request would fail the same way
+        if (/TokenException|api_key|access_token/i.test(error.message)) break;
+      }
+      this.job.done++;
+    }
+
+    const summary = {
+      ...this.job,
+      duration: Math.round((Date.now() - this.job.startedAt) / 1000)
+    };
+    this.job = null;
+
+    logger.info(`📚 Backfill ${name} finished: ${summary.done - summary.failed}/${summary.total} ok in ${summary.duration}s`);
+    if (name === 'universe') {
+      await discordService.log(
+        `📚 **Historical Backfill Complete**\n` +
+        `Instruments: ${summary.done - summary.failed}/${summary.total}` +
+        (summary.failed ? ` (${summary.failed} failed)` : '') + `\n` +
+        `Duration: ${Math.round(summary.duration / 60)}m`,
+        summary.failed ? 'warning' : 'success'
+      );
+    }
+
+    return summary;
+  }
+
+  getStatus() {
+    return {
+      job: this.job,
+      requests: this.requests,
+      candlesFetched: this.candlesFetched,
+      failures: this.failures
+    };
+  }
+}
+
+module.exports = new BackfillService();
@@ -0,0 +1,241 @@
+const fs = require('fs');
+const path = require('path');
+const cron = require('node-cron');
+const marketStore = require('./market-store.service');
+const logger = require('../utils/logger');
+const { getDataDir } = require('../utils/data-path');
+const { formatPrice, getTokenExchange } = require('../utils/symbols');
+const { isTradingDay } = require('../utils/market-calendar');
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_DAYS = 365;
+
+function getISTDateKey(time) {
+  return new Date(time + IST_OFFSET_MS).toISOString().split('T')[0];
+}
+
+function getISTDayStart(time) {
+  return Math.floor((time + IST_OFFSET_MS) / DAY_MS) * DAY_MS - IST_OFFSET_MS;
+}
+
+function formatDate(time) {
+  return new Date(time).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata', day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+// Checked strongest first, so an all-time high is reported as such rather than as a 52-week high
+const BREAKOUTS = [
+  { type: 'ath', side: 'high', level: 'allTimeHigh', allTime: true, name: 'All-Time High', emoji: '⭐', text: 'new all-time high' },
+  { type: 'high52', side: 'high', level: 'high52', name: '52-Week High', emoji: '🏔️', text: 'new 52-week high' },
+  { type: 'atl', side: 'low', level: 'allTimeLow', allTime: true, name: 'All-Time Low', emoji: '🕳️', text: 'new all-time low' },
+  { type: 'low52', side: 'low', level: 'low52', name: '52-Week Low', emoji: '📉', text: 'new 52-week low' }
+];
+
+class BreakoutService {
+  constructor() {
+    this.levels = new Map(); // token -> { high52, high52Time, low52, low52Time, allTimeHigh, allTimeHighTime, allTimeLow, allTimeLowTime, since }
+    this.day = null;
+    this.events = []; // today's breakouts, persisted so a restart neither repeats nor forgets them
+    this.fired = new Set(); // "token|type" already reported this session
+    this.seedJob = null;
+  }
+
+  getEventsFile(day) {
+    return path.join(getDataDir('breakouts'), `${day}.json`);
+  }
+
+  start() {
+    if (this.seedJob) return;
+
+    // Yesterday's daily candle lands with the morning backfill, so levels are rebuilt before the open.
+    // Runs every day so special Saturday sessions are covered; holidays are skipped by the calendar.
+    this.seedJob = cron.schedule('0 9 * * *', async () => {
+      if (!isTradingDay('NSE')) return;
+      const tracker = require('./token-tracker.service');
+      await this.seedAll(tracker.tokens);
+    }, {
+      timezone: 'Asia/Kolkata'
+    });
+  }
+
+  stop() {
+    if (this.seedJob) {
+      this.seedJob.stop();
+      this.seedJob = null;
+    }
+  }
+
+  async seedAll(tokens, now = Date.now()) {
+    const started = Date.now();
+    this.startDay(getISTDateKey(now));
+
+    for (const token of tokens) {
+      try {
+        await this.seed(token, now);
+      } catch (error) {
+        logger.error(`❌ Failed to load 52-week levels for ${token}:`, error.message);
+      }
+    }
+
+    logger.info(`🏔️ Loaded 52-week levels for ${this.levels.size}/${tokens.length} instruments in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+  }
+
+  // Levels come from completed sessions only; today's candle would make every new high look old
+  async seed(token, now = Date.now()) {
+    const candles = await marketStore.getCandles(token, 'day', { to: getISTDayStart(now) - 1 });
+    if (candles.length === 0) {
+      this.levels.delete(token);
+      return;
+    }
+
+    const yearStart = getISTDayStart(now) - YEAR_DAYS * DAY_MS;
+    const levels = { since: candles[0].time.getTime() };
+
+    candles.forEach(candle => {
+      const time = candle.time.getTime();
+      if (levels.allTimeHigh === undefined || candle.high > levels.allTimeHigh) {
+        levels.allTimeHigh = candle.high;
+        levels.allTimeHighTime = time;
+      }
+      if (levels.allTimeLow === undefined || candle.low < levels.allTimeLow) {
+        levels.allTimeLow = candle.low;
+        levels.allTimeLowTime = time;
+      }
+      if (time < yearStart) return;
+      if (levels.high52 === undefined || candle.high > levels.high52) {
+        levels.high52 = candle.high;
+        levels.high52Time = time;
+      }
+      if (levels.low52 === undefined || candle.low < levels.low52) {
+        levels.low52 = candle.low;
+        levels.low52Time = time;
+      }
+    });
+
+    if (levels.high52 === undefined) {
+      this.levels.delete(token);
+      return;
+    }
+
+    // Without history beyond the 52-week window an all-time level would just repeat the 52-week one
+    if (levels.since >= yearStart) {
+      levels.allTimeHigh = undefined;
+      levels.allTimeLow = undefined;
+    }
+    this.levels.set(token, levels);
+  }
+
+  startDay(day) {
+    if (this.day === day) return;
+    this.day = day;
+    this.events = this.loadEvents(day);
+    this.fired = new Set();
+    this.events.forEach(event => this.markFired(event.token, event.type));
+  }
+
+  // A breakout also covers the weaker levels on its side: an all-time high is a 52-week high too
+  markFired(token, type) {
+    const breakout = BREAKOUTS.find(candidate => candidate.type === type);
+    BREAKOUTS
+      .filter(candidate => candidate.side === breakout.side && BREAKOUTS.indexOf(candidate) >= BREAKOUTS.indexOf(breakout))
+      .forEach(candidate => this.fired.add(`${token}|${candidate.type}`));
+  }
+
+  loadEvents(day) {
+    try {
+      const file = this.getEventsFile(day);
+      return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : [];
+    } catch (error) {
+      logger.error(`❌ Could not read breakouts for ${day}:`, error.message);
+      return [];
+    }
+  }
+
+  saveEvents() {
+    try {
+      const file = this.getEventsFile(this.day);
+      fs.writeFileSync(`${file}.tmp`, JSON.stringify(this.events, null, 2));
+      fs.renameSync(`${file}.tmp`, file);
+    } catch (error) {
+      logger.error('❌ Could not save breakouts:', error.message);
+    }
+  }
+
+  getLevels(token) {
+    return this.levels.get(token) || null;
+  }
+
+  // items: [{ token, symbol, name, tick }] from the tracker
+  evaluate(items, now = Date.now()) {
+    if (this.levels.size === 0) return;
+    this.startDay(getISTDateKey(now));
+
+    let changed = false;
+    items.forEach(item => {
+      const levels = this.levels.get(item.token);
+      const price = item.tick.last_price;
+      if (!levels || !price) return;
+
+      const breakout = BREAKOUTS.find(candidate => {
+        const level = levels[candidate.level];
+        return candidate.side === 'high' ? price > level : price < level;
+      });
+      if (!breakout || this.fired.has(`${item.token}|${breakout.type}`)) return;
+      this.markFired(item.token, breakout.type);
+
+      const event = {
+        token: item.token,
+        symbol: item.symbol,
+        type: breakout.type,
+        side: breakout.side,
+        price,
+        level: levels[breakout.level],
+        levelTime: levels[`${breakout.level}Time`],
+        time: new Date(now).toISOString()
+      };
+      this.events.push(event);
+      changed = true;
+      this.alert(breakout, event, item, levels);
+    });
+
+    if (changed) this.saveEvents();
+  }
+
+  alert(breakout, event, item, levels) {
+    const alertRules = require('./alert-rules.service');
+    const beyond = ((event.price - event.level) / event.level) * 100;
+    const history = breakout.allTime ? ` (data since ${formatDate(levels.since)})` : '';
+    const exchange = getTokenExchange(item.token);
+    const price = formatPrice(event.price, exchange);
+    const level = formatPrice(event.level, exchange);
+
+    logger.info(`${breakout.emoji} ${item.symbol} ${breakout.text} at ${price}`);
+    alertRules.enqueue({
+      group: `breakout|${breakout.type}`,
+      name: breakout.name,
+      severity: breakout.side === 'high' ? 'info' : 'warning',
+      channel: 'alerts',
+      message:
+        `${breakout.emoji} **${item.symbol}** ${breakout.text}\n` +
+        `${item.name}\n` +
+        `${price} (${beyond >= 0 ? '+' : ''}${beyond.toFixed(2)}% vs ${level} on ${formatDate(event.levelTime)})${history}`,
+      line: `• **${item.symbol}** ${price} | previous ${level} (${formatDate(event.levelTime)})`
+    });
+  }
+
+  getEvents(day = null) {
+    if (!day || day === this.day) return this.events;
+    return this.loadEvents(day);
+  }
+
+  getStatus() {
+    return {
+      instruments: this.levels.size,
+      day: this.day,
+      highs: this.events.filter(event => event.side === 'high').length,
+      lows: this.events.filter(event => event.side === 'low').length
+    };
+  }
+}
+
+module.exports = new BreakoutService();
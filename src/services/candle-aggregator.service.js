@@ -0,0 +1,272 @@
+const EventEmitter = require('events');
+const kiteSocket = require('./kite-socket.service');
+const logger = require('../utils/logger');
+const { getTokenExchange } = require('../utils/symbols');
+const { getTradingHours } = require('../utils/market-calendar');
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// Buckets are aligned to the exchange's open like Kite's historical candles, so an NSE 60minute candle
+// runs 9:15-10:15 and an MCX one 9:00-10:00. Days the calendar has as shut (test feeds) use the NSE hours.
+const SESSION_OPEN_MS = (9 * 60 + 15) * MINUTE_MS;
+const SESSION_CLOSE_MS = (15 * 60 + 30) * MINUTE_MS;
+
+// Same names as Kite's historical API
+const INTERVALS = {
+  minute: 1,
+  '3minute': 3,
+  '5minute': 5,
+  '15minute': 15,
+  '60minute': 60
+};
+
+class CandleAggregatorService extends EventEmitter {
+  constructor() {
+    super();
+    this.intervals = this.parseIntervals(process.env.CANDLE_INTERVALS);
+    this.series = new Map(); // token -> { exchange, volumeDay, volumeBaseline, candles: Map interval -> Map bucketStart -> candle, closedThrough }
+    this.sessions = new Map(); // "exchange|day" -> { open, close } offsets from IST midnight
+    this.clock = 0; // Latest tick time seen, drives candle closes during replays
+    this.closeTimer = null;
+    this.candlesClosed = 0;
+    this.lateTicksDropped = 0;
+
+    this.INTERVALS = INTERVALS;
+
+    // Ticks are accepted into a candle for this long after it ends, to absorb network reordering
+    this.GRACE_MS = parseInt(process.env.CANDLE_CLOSE_GRACE_MS || '2000');
+  }
+
+  parseIntervals(value) {
+    if (!value) return Object.keys(INTERVALS);
+
+    const names = value.split(',').map(name => name.trim()).filter(Boolean);
+    const unknown = names.filter(name => !INTERVALS[name]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown candle interval(s): ${unknown.join(', ')}`);
+    }
+    return names;
+  }
+
+  start() {
+    if (this.closeTimer) return;
+
+    // Wall-clock closes cover quiet instruments; during replays the tick clock does the work instead
+    this.closeTimer = setInterval(() => {
+      if (!kiteSocket.offline) {
+        this.closeDueCandles(Date.now());
+      }
+    }, 1000);
+
+    logger.info(`🕯️ Candle aggregation started (${this.intervals.join(', ')})`);
+  }
+
+  stop() {
+    if (this.closeTimer) {
+      clearInterval(this.closeTimer);
+      this.closeTimer = null;
+    }
+    this.series.clear();
+    this.sessions.clear();
+  }
+
+  // Trading hours for the exchange on time's IST day, including special sessions like Muhurat
+  getSession(time, exchange = 'NSE') {
+    const day = Math.floor((time + IST_OFFSET_MS) / DAY_MS);
+    const key = `${exchange}|${day}`;
+
+    if (!this.sessions.has(key)) {
+      const dayStart = day * DAY_MS - IST_OFFSET_MS;
+      const hours = getTradingHours(exchange, time);
+      this.sessions.set(key, hours
+        ? { open: hours.open.getTime() - dayStart, close: hours.close.getTime() - dayStart }
+        : { open: SESSION_OPEN_MS, close: SESSION_CLOSE_MS });
+    }
+    return this.sessions.get(key);
+  }
+
+  getBucketStart(time, interval, exchange = 'NSE') {
+    const dayStart = Math.floor((time + IST_OFFSET_MS) / DAY_MS) * DAY_MS - IST_OFFSET_MS;
+    const sinceMidnight = time - dayStart;
+    const session = this.getSession(time, exchange);
+
+    // Pre-open auction trades belong to the first candle of the day
+    if (sinceMidnight < session.open) {
+      return dayStart + session.open;
+    }
+
+    if (sinceMidnight >= session.close) {
+      return null;
+    }
+
+    const intervalMs = INTERVALS[interval] * MINUTE_MS;
+    const bucket = Math.floor((sinceMidnight - session.open) / intervalMs);
+    return dayStart + session.open + bucket * intervalMs;
+  }
+
+  getBucketEnd(bucketStart, interval, exchange = 'NSE') {
+    const dayStart = Math.floor((bucketStart + IST_OFFSET_MS) / DAY_MS) * DAY_MS - IST_OFFSET_MS;
+    // The last candle of the day is cut short at the close, e.g. 15:15-15:30 for 60minute
+    return Math.min(bucketStart + INTERVALS[interval] * MINUTE_MS, dayStart + this.getSession(bucketStart, exchange).close);
+  }
+
+  getSeries(token) {
+    let series = this.series.get(token);
+    if (!series) {
+      series = { exchange: getTokenExchange(token), volumeDay: null, volumeBaseline: 0, candles: new Map(), closedThrough: new Map() };
+      this.intervals.forEach(interval => {
+        series.candles.set(interval, new Map());
+        series.closedThrough.set(interval, 0);
+      });
+      this.series.set(token, series);
+    }
+    return series;
+  }
+
+  processTicks(ticks) {
+    ticks.forEach(tick => this.processTick(tick));
+    this.closeDueCandles(this.clock);
+  }
+
+  processTick(tick) {
+    const time = (tick.exchange_timestamp || tick.received_at || new Date()).getTime();
+    if (time > this.clock) {
+      this.clock = time;
+    }
+
+    const series = this.getSeries(tick.instrument_token);
+    const volume = this.getVolumeDelta(series, tick, time);
+
+    this.intervals.forEach(interval => {
+      const bucketStart = this.getBucketStart(time, interval, series.exchange);
+      if (bucketStart === null) return;
+
+      const candles = series.candles.get(interval);
+      let candle = candles.get(bucketStart);
+
+      if (!candle) {
+        // Its candle has already been closed and published
+        if (bucketStart <= series.closedThrough.get(interval) ||
+            this.getBucketEnd(bucketStart, interval, series.exchange) + this.GRACE_MS <= this.clock) {
+          this.lateTicksDropped++;
+          return;
+        }
+
+        candle = {
+          instrument_token: tick.instrument_token,
+          interval,
+          start: bucketStart,
+          end: this.getBucketEnd(bucketStart, interval, series.exchange),
+          open: tick.last_price,
+          high: tick.last_price,
+          low: tick.last_price,
+          close: tick.last_price,
+          volume: 0,
+          ticks: 0,
+          openTime: time,
+          closeTime: time
+        };
+        candles.set(bucketStart, candle);
+      }
+
+      candle.high = Math.max(candle.high, tick.last_price);
+      candle.low = Math.min(candle.low, tick.last_price);
+      candle.volume += volume;
+      candle.ticks++;
+
+      // Out-of-order ticks may only move the open/close if they are earlier/later than what we have
+      if (time < candle.openTime) {
+        candle.open = tick.last_price;
+        candle.openTime = time;
+      }
+      if (time >= candle.closeTime) {
+        candle.close = tick.last_price;
+        candle.closeTime = time;
+      }
+    });
+  }
+
+  // volume_traded is cumulative for the day; a tick carrying a lower total than we have
+  // already seen arrived out of order and contributes nothing
+  getVolumeDelta(series, tick, time) {
+    if (tick.volume_traded === undefined) return 0;
+
+    const day = Math.floor((time + IST_OFFSET_MS) / DAY_MS);
+    if (series.volumeDay !== day) {
+      series.volumeDay = day;
+
+      // Joining mid-session (a restart), the total so far was traded in candles we never built
+      const dayStart = day * DAY_MS - IST_OFFSET_MS;
+      if (time - dayStart >= this.getSession(time, series.exchange).open + MINUTE_MS) {
+        series.volumeBaseline = tick.volume_traded;
+        return 0;
+      }
+      series.volumeBaseline = 0;
+    }
+
+    const delta = Math.max(0, tick.volume_traded - series.volumeBaseline);
+    series.volumeBaseline = Math.max(series.volumeBaseline, tick.volume_traded);
+    return delta;
+  }
+
+  closeDueCandles(now) {
+    this.series.forEach(series => {
+      series.candles.forEach((candles, interval) => {
+        candles.forEach((candle, bucketStart) => {
+          if (candle.end + this.GRACE_MS > now) return;
+          candles.delete(bucketStart);
+          series.closedThrough.set(interval, Math.max(series.closedThrough.get(interval), bucketStart));
+          this.emitCandle(candle);
+        });
+      });
+    });
+  }
+
+  emitCandle(candle) {
+    this.candlesClosed++;
+    const closed = {
+      instrument_token: candle.instrument_token,
+      interval: candle.interval,
+      time: new Date(candle.start),
+      open: candle.open,
+      high: candle.high,
+      low: candle.low,
+      close: candle.close,
+      volume: candle.volume,
+      ticks: candle.ticks
+    };
+
+    try {
+      this.emit('candle', closed);
+    } catch (error) {
+      logger.error(`❌ Candle listener failed for ${candle.instrument_token} ${candle.interval}:`, error.message);
+    }
+  }
+
+  getOpenCandle(token, interval) {
+    const series = this.series.get(token);
+    if (!series || !series.candles.has(interval)) return null;
+
+    // The newest bucket is the one still forming
+    let latest = null;
+    series.candles.get(interval).forEach(candle => {
+      if (!latest || candle.start > latest.start) latest = candle;
+    });
+    return latest;
+  }
+
+  getStatus() {
+    return {
+      running: !!this.closeTimer,
+      intervals: this.intervals,
+      instruments: this.series.size,
+      candlesClosed: this.candlesClosed,
+      lateTicksDropped: this.lateTicksDropped,
+      clock: this.clock ? new Date(this.clock) : null
+    };
+  }
+}
+
+module.exports = new CandleAggregatorService();
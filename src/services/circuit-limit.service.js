@@ -0,0 +1,262 @@
+const cron = require('node-cron');
+const zerodhaService = require('./zerodha.service');
+const discordService = require('./discord.service');
+const kiteSocket = require('./kite-socket.service');
+const logger = require('../utils/logger');
+const { formatPrice, getTokenExchange } = require('../utils/symbols');
+const { isTradingDay, getDayKey } = require('../utils/market-calendar');
+
+// Kite's quote endpoint takes up to 500 instruments per call, one call per second
+const QUOTE_BATCH_SIZE = 500;
+const QUOTE_GAP_MS = 1100;
+
+const TRANSITIONS = {
+  near_upper: { name: 'Near Upper Circuit', severity: 'info', emoji: '📈', text: 'nearing upper circuit' },
+  upper: { name: 'Upper Circuit Locked', severity: 'warning', emoji: '🔒', text: 'locked at upper circuit' },
+  off_upper: { name: 'Off Upper Circuit', severity: 'info', emoji: '🔓', text: 'came off upper circuit' },
+  near_lower: { name: 'Near Lower Circuit', severity: 'warning', emoji: '📉', text: 'nearing lower circuit' },
+  lower: { name: 'Lower Circuit Locked', severity: 'critical', emoji: '🔒', text: 'locked at lower circuit' },
+  off_lower: { name: 'Off Lower Circuit', severity: 'info', emoji: '🔓', text: 'came off lower circuit' }
+};
+
+class CircuitLimitService {
+  constructor() {
+    this.tokens = [];
+    this.bands = new Map(); // token -> { upper, lower, updatedAt }
+    this.states = new Map(); // token -> normal | near_upper | upper | near_lower | lower
+    this.hits = new Map(); // "token|upper" -> first lock of the day, kept after the session for reports
+    this.hitsDay = null;
+    this.refreshJob = null;
+    this.refreshTimer = null;
+    this.refreshing = null;
+    this.lastRefresh = null;
+    this.revisions = 0;
+    this.alertsSent = 0;
+
+    this.PROXIMITY_PCT = parseFloat(process.env.CIRCUIT_PROXIMITY_PCT || '1');
+    // A stock has to move this much further away before "near" can fire again
+    this.HYSTERESIS_PCT = parseFloat(process.env.CIRCUIT_HYSTERESIS_PCT || '0.5');
+    this.REFRESH_INTERVAL = parseInt(process.env.CIRCUIT_REFRESH_MINUTES || '30') * 60 * 1000;
+  }
+
+  async start(tokens) {
+    this.tokens = tokens;
+    if (this.refreshJob) return;
+
+    // Bands for the day are published before the pre-open session
+    this.refreshJob = cron.schedule('5 9 * * *', async () => {
+      if (!isTradingDay('NSE')) return;
+      this.bands.clear();
+      this.states.clear();
+      await this.refresh();
+    }, {
+      timezone: 'Asia/Kolkata'
+    });
+
+    // Exchanges revise bands intraday (e.g. after a stock hits its limit a few times)
+    this.refreshTimer = setInterval(() => {
+      if (!kiteSocket.isTradingHours(this.tokens) || kiteSocket.offline) return;
+      this.refresh().catch(error => logger.error('❌ Circuit band refresh failed:', error.message));
+    }, this.REFRESH_INTERVAL);
+
+    await this.refresh();
+  }
+
+  stop() {
+    if (this.refreshJob) {
+      this.refreshJob.stop();
+      this.refreshJob = null;
+    }
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+    // Tomorrow's bands are computed from today's close, so they must not be compared as revisions
+    this.bands.clear();
+    this.states.clear();
+  }
+
+  async refresh() {
+    if (this.refreshing) return this.refreshing;
+    this.refreshing = this.loadBands().finally(() => {
+      this.refreshing = null;
+    });
+    return this.refreshing;
+  }
+
+  async loadBands() {
+    if (!zerodhaService.isConnected || this.tokens.length === 0) return;
+
+    const revised = [];
+    let loaded = 0;
+
+    for (let i = 0; i < this.tokens.length; i += QUOTE_BATCH_SIZE) {
+      if (i > 0) await new Promise(resolve => setTimeout(resolve, QUOTE_GAP_MS));
+
+      const batch = this.tokens.slice(i, i + QUOTE_BATCH_SIZE);
+      let quotes;
+      try {
+        quotes = await zerodhaService.kite.getQuote(batch.map(String));
+      } catch (error) {
+        logger.error('❌ Could not load circuit bands:', error.message);
+        continue;
+      }
+
+      Object.values(quotes || {}).forEach(quote => {
+        const upper = quote.upper_circuit_limit;
+        const lower = quote.lower_circuit_limit;
+        if (!upper || !lower) return;
+
+        const token = quote.instrument_token;
+        const previous = this.bands.get(token);
+        if (previous && (previous.upper !== upper || previous.lower !== lower)) {
+          revised.push({ token, previous, upper, lower });
+          this.states.delete(token);
+        }
+
+        this.bands.set(token, { upper, lower, updatedAt: new Date() });
+        loaded++;
+      });
+    }
+
+    this.lastRefresh = new Date();
+    logger.info(`🚦 Loaded circuit bands for ${loaded}/${this.tokens.length} instruments`);
+
+    if (revised.length > 0) {
+      this.revisions += revised.length;
+      const tracker = require('./token-tracker.service');
+      const lines = revised.slice(0, 20).map(({ token, previous, upper, lower }) => {
+        const symbol = tracker.tokenToSymbolMap.get(token)?.symbol || token;
+        const exchange = getTokenExchange(token);
+        return `• **${symbol}** ${formatPrice(previous.lower, exchange)}-${formatPrice(previous.upper, exchange)} → ${formatPrice(lower, exchange)}-${formatPrice(upper, exchange)}`;
+      });
+      logger.info(`🚦 Circuit bands revised for ${revised.length} instrument(s)`);
+      await discordService.log(
+        `🚦 **Circuit Bands Revised (${revised.length})**\n` + lines.join('\n') +
+        (revised.length > lines.length ? `\n…and ${revised.length - lines.length} more` : ''),
+        'info'
+      );
+    }
+  }
+
+  getBand(token) {
+    return this.bands.get(token) || null;
+  }
+
+  // Distance from the band as % of price; 0 or less means at (or through) it
+  getDistances(token, price) {
+    const band = this.bands.get(token);
+    if (!band || !price) return null;
+    return {
+      upper: ((band.upper - price) / price) * 100,
+      lower: ((price - band.lower) / price) * 100
+    };
+  }
+
+  // Locked means trading at the band with nobody on the other side of the book
+  isLocked(token, tick, side) {
+    const band = this.bands.get(token);
+    if (!band) return false;
+    return side === 'upper'
+      ? tick.last_price >= band.upper && !tick.total_sell_quantity
+      : tick.last_price <= band.lower && !tick.total_buy_quantity;
+  }
+
+  nextState(token, tick, previous) {
+    if (this.isLocked(token, tick, 'upper')) return 'upper';
+    if (this.isLocked(token, tick, 'lower')) return 'lower';
+
+    const distances = this.getDistances(token, tick.last_price);
+    const nearUpperLimit = this.PROXIMITY_PCT + (previous === 'near_upper' || previous === 'upper' ? this.HYSTERESIS_PCT : 0);
+    const nearLowerLimit = this.PROXIMITY_PCT + (previous === 'near_lower' || previous === 'lower' ? this.HYSTERESIS_PCT : 0);
+
+    if (distances.upper <= nearUpperLimit) return 'near_upper';
+    if (distances.lower <= nearLowerLimit) return 'near_lower';
+    return 'normal';
+  }
+
+  // items: [{ token, symbol, name, tick }] from the tracker
+  evaluate(items) {
+    items.forEach(({ token, symbol, name, tick }) => {
+      if (!this.bands.has(token) || !tick.last_price) return;
+
+      const previous = this.states.get(token) || 'normal';
+      const state = this.nextState(token, tick, previous);
+      if (state === previous) return;
+      this.states.set(token, state);
+
+      let transition = null;
+      if (state === 'upper' || state === 'lower') {
+        transition = state;
+        this.recordHit(token, symbol, state, tick.last_price);
+      } else if (previous === 'upper' || previous === 'lower') {
+        transition = `off_${previous}`;
+      } else if (state !== 'normal') {
+        transition = state;
+      }
+
+      if (transition) this.alert(transition, { token, symbol, name, tick });
+    });
+  }
+
+  recordHit(token, symbol, side, price, now = Date.now()) {
+    const day = getDayKey(now);
+    if (this.hitsDay !== day) {
+      this.hitsDay = day;
+      this.hits.clear();
+    }
+    const key = `${token}|${side}`;
+    if (!this.hits.has(key)) {
+      this.hits.set(key, { token, symbol, side, price, time: new Date(now).toISOString() });
+    }
+  }
+
+  getHits(day = getDayKey()) {
+    return this.hitsDay === day ? Array.from(this.hits.values()) : [];
+  }
+
+  alert(transition, { token, symbol, name, tick }) {
+    const alertRules = require('./alert-rules.service');
+    const { name: title, severity, emoji, text } = TRANSITIONS[transition];
+    const band = this.bands.get(token);
+    const limit = transition.endsWith('upper') ? band.upper : band.lower;
+    const buyQty = (tick.total_buy_quantity || 0).toLocaleString('en-IN');
+    const sellQty = (tick.total_sell_quantity || 0).toLocaleString('en-IN');
+    const exchange = getTokenExchange(token);
+    const price = formatPrice(tick.last_price, exchange);
+    const bandText = `${formatPrice(band.lower, exchange)} - ${formatPrice(band.upper, exchange)}`;
+
+    this.alertsSent++;
+    logger.info(`🚦 ${symbol} ${text} (${price}, band ${bandText})`);
+
+    alertRules.enqueue({
+      group: `circuit|${transition}`,
+      name: title,
+      severity,
+      channel: 'alerts',
+      message:
+        `${emoji} **${symbol}** ${text}\n` +
+        `${name}\n` +
+        `${price} | Circuit ${formatPrice(limit, exchange)} (band ${bandText})\n` +
+        `Pending buy: ${buyQty} | Pending sell: ${sellQty}`,
+      line: `• **${symbol}** ${price} | buy ${buyQty} / sell ${sellQty}`
+    });
+  }
+
+  getStatus() {
+    const counts = { near_upper: 0, upper: 0, near_lower: 0, lower: 0 };
+    this.states.forEach(state => {
+      if (counts[state] !== undefined) counts[state]++;
+    });
+
+    return {
+      instruments: this.bands.size,
+      lastRefresh: this.lastRefresh,
+      revisions: this.revisions,
+      alertsSent: this.alertsSent,
+      ...counts
+    };
+  }
+}
+
+module.exports = new CircuitLimitService();
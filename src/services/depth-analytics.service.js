@@ -0,0 +1,245 @@
+const logger = require('../utils/logger');
+const { parseSymbol, displaySymbol, getPriceDecimals, formatPrice } = require('../utils/symbols');
+
+// Smoothing for the per-instrument "normal" spread and level size, roughly the last 50 ticks
+const EMA_ALPHA = 2 / 51;
+
+const ALERTS = {
+  large_bid: { name: 'Large Bid', severity: 'info', emoji: '🐋' },
+  large_ask: { name: 'Large Ask', severity: 'info', emoji: '🐋' },
+  spread: { name: 'Spread Widening', severity: 'warning', emoji: '↔️' },
+  buy_pressure: { name: 'Sustained Buy Pressure', severity: 'info', emoji: '🟢' },
+  sell_pressure: { name: 'Sustained Sell Pressure', severity: 'warning', emoji: '🔴' }
+};
+
+function sumQuantity(levels) {
+  return levels.reduce((sum, level) => sum + level.quantity, 0);
+}
+
+// Kite pads the 5 levels with zero entries when the book is thin
+function activeLevels(levels = []) {
+  return levels.filter(level => level.price > 0 && level.quantity > 0);
+}
+
+class DepthAnalyticsService {
+  constructor() {
+    this.books = new Map(); // token -> { depth, ticks, spreadAvg, levelAvg, pressureSide, pressureSince, pressureReported, metrics }
+    this.lastAlert = new Map(); // "token|type" -> timestamp
+    this.alertsSent = 0;
+
+    this.ENABLED = process.env.DEPTH_ALERTS !== 'false';
+    // Top-5 bid/ask quantity ratio that counts as one-sided, and how long it must hold
+    this.IMBALANCE_RATIO = parseFloat(process.env.DEPTH_IMBALANCE_RATIO || '3');
+    this.PRESSURE_SECONDS = parseInt(process.env.DEPTH_PRESSURE_SECONDS || '60');
+    // A level is "large" at this multiple of the usual level size and at least this many rupees
+    this.LARGE_ORDER_MULTIPLE = parseFloat(process.env.DEPTH_LARGE_ORDER_MULTIPLE || '5');
+    this.LARGE_ORDER_MIN_VALUE = parseFloat(process.env.DEPTH_LARGE_ORDER_MIN_VALUE || '1000000');
+    this.SPREAD_MULTIPLE = parseFloat(process.env.DEPTH_SPREAD_MULTIPLE || '3');
+    this.SPREAD_MIN_PCT = parseFloat(process.env.DEPTH_SPREAD_MIN_PCT || '0.1');
+    this.COOLDOWN = parseInt(process.env.DEPTH_ALERT_COOLDOWN_MS || '600000');
+    this.WARMUP_TICKS = 20;
+  }
+
+  computeMetrics(tick) {
+    const depth = tick.depth || { buy: [], sell: [] };
+    const bids = activeLevels(depth.buy);
+    const asks = activeLevels(depth.sell);
+    const bidQty = sumQuantity(bids);
+    const askQty = sumQuantity(asks);
+    const bestBid = bids[0] ? bids[0].price : null;
+    const bestAsk = asks[0] ? asks[0].price : null;
+    const mid = bestBid && bestAsk ? (bestBid + bestAsk) / 2 : null;
+
+    return {
+      bestBid,
+      bestAsk,
+      spread: mid ? bestAsk - bestBid : null,
+      spreadPct: mid ? ((bestAsk - bestBid) / mid) * 100 : null,
+      bidQty,
+      askQty,
+      // -1 all asks, +1 all bids
+      imbalance: bidQty + askQty > 0 ? (bidQty - askQty) / (bidQty + askQty) : null,
+      bidAskRatio: askQty > 0 ? bidQty / askQty : null,
+      totalBuy: tick.total_buy_quantity || 0,
+      totalSell: tick.total_sell_quantity || 0,
+      totalRatio: tick.total_sell_quantity ? tick.total_buy_quantity / tick.total_sell_quantity : null
+    };
+  }
+
+  // items: [{ token, symbol, tick }] from full-mode consumers
+  evaluate(items, now = Date.now()) {
+    items.forEach(({ token, symbol, tick }) => {
+      if (!tick.depth) return;
+
+      let book = this.books.get(token);
+      if (!book) {
+        book = { depth: null, ticks: 0, spreadAvg: null, levelAvg: null, pressureSide: null, pressureSince: null, pressureReported: false, metrics: null };
+        this.books.set(token, book);
+      }
+
+      const metrics = this.computeMetrics(tick);
+      const previousDepth = book.depth;
+      book.metrics = metrics;
+      book.depth = tick.depth;
+      book.ticks++;
+
+      // Averages need some history before anything can stand out against them
+      if (this.ENABLED && book.ticks > this.WARMUP_TICKS) {
+        this.checkLargeOrders(token, symbol, tick, book, previousDepth, now);
+        this.checkSpread(token, symbol, tick, book, metrics, now);
+      }
+      this.checkPressure(token, symbol, tick, book, metrics, now);
+
+      if (metrics.spreadPct !== null) {
+        book.spreadAvg = book.spreadAvg === null ? metrics.spreadPct : book.spreadAvg + EMA_ALPHA * (metrics.spreadPct - book.spreadAvg);
+      }
+      const levels = activeLevels(tick.depth.buy).concat(activeLevels(tick.depth.sell));
+      if (levels.length > 0) {
+        const levelSize = sumQuantity(levels) / levels.length;
+        book.levelAvg = book.levelAvg === null ? levelSize : book.levelAvg + EMA_ALPHA * (levelSize - book.levelAvg);
+      }
+    });
+  }
+
+  // A level that grew by a large multiple of the usual level size since the last tick
+  checkLargeOrders(token, symbol, tick, book, previousDepth, now) {
+    if (!previousDepth || !book.levelAvg) return;
+
+    ['buy', 'sell'].forEach(side => {
+      const previousLevels = activeLevels(previousDepth[side]);
+      if (previousLevels.length === 0) return;
+      const before = new Map(previousLevels.map(level => [level.price, level.quantity]));
+      const deepest = previousLevels[previousLevels.length - 1].price;
+
+      const level = activeLevels(tick.depth[side]).find(candidate => {
+        // Levels scrolling into the top 5 from deeper in the book were already there
+        if (side === 'buy' ? candidate.price < deepest : candidate.price > deepest) return false;
+        const added = candidate.quantity - (before.get(candidate.price) || 0);
+        return added >= this.LARGE_ORDER_MULTIPLE * book.levelAvg && added * candidate.price >= this.LARGE_ORDER_MIN_VALUE;
+      });
+      if (!level) return;
+
+      const added = level.quantity - (before.get(level.price) || 0);
+      const { exchange } = parseSymbol(symbol);
+      this.alert(side === 'buy' ? 'large_bid' : 'large_ask', token, symbol, tick, now,
+        `${added.toLocaleString('en-IN')} added at ${formatPrice(level.price, exchange)} (${(added / book.levelAvg).toFixed(1)}x usual level, ₹${(added * level.price / 100000).toFixed(1)}L)\n` +
+        `Level now ${level.quantity.toLocaleString('en-IN')} in ${level.orders} order(s)`);
+    });
+  }
+
+  checkSpread(token, symbol, tick, book, metrics, now) {
+    if (metrics.spreadPct === null || !book.spreadAvg) return;
+    if (metrics.spreadPct < this.SPREAD_MIN_PCT || metrics.spreadPct < this.SPREAD_MULTIPLE * book.spreadAvg) return;
+
+    const { exchange } = parseSymbol(symbol);
+    this.alert('spread', token, symbol, tick, now,
+      `Spread ${formatPrice(metrics.spread, exchange)} (${metrics.spreadPct.toFixed(2)}%) vs usual ${book.spreadAvg.toFixed(2)}%\n` +
+      `Bid ${formatPrice(metrics.bestBid, exchange)} | Ask ${formatPrice(metrics.bestAsk, exchange)}`);
+  }
+
+  // One side outweighing the other by IMBALANCE_RATIO for PRESSURE_SECONDS straight
+  checkPressure(token, symbol, tick, book, metrics, now) {
+    let side = null;
+    if (metrics.bidQty && metrics.askQty) {
+      if (metrics.bidQty >= this.IMBALANCE_RATIO * metrics.askQty) side = 'buy';
+      if (metrics.askQty >= this.IMBALANCE_RATIO * metrics.bidQty) side = 'sell';
+    }
+
+    if (side !== book.pressureSide) {
+      book.pressureSide = side;
+      book.pressureSince = side ? now : null;
+      book.pressureReported = false;
+      return;
+    }
+    if (!side || book.pressureReported || now - book.pressureSince < this.PRESSURE_SECONDS * 1000) return;
+
+    book.pressureReported = true;
+    if (!this.ENABLED) return;
+
+    const ratio = side === 'buy' ? metrics.bidQty / metrics.askQty : metrics.askQty / metrics.bidQty;
+    this.alert(`${side}_pressure`, token, symbol, tick, now,
+      `Top 5 ${side === 'buy' ? 'bids' : 'asks'} ${ratio.toFixed(1)}x the other side for ${Math.round((now - book.pressureSince) / 1000)}s\n` +
+      `Bid qty ${metrics.bidQty.toLocaleString('en-IN')} | Ask qty ${metrics.askQty.toLocaleString('en-IN')} | ` +
+      `Total buy/sell ${metrics.totalBuy.toLocaleString('en-IN')} / ${metrics.totalSell.toLocaleString('en-IN')}`);
+  }
+
+  alert(type, token, symbol, tick, now, details) {
+    const key = `${token}|${type}`;
+    const last = this.lastAlert.get(key);
+    if (last && now - last < this.COOLDOWN) return;
+    this.lastAlert.set(key, now);
+    this.alertsSent++;
+
+    const alertRules = require('./alert-rules.service');
+    const { name, severity, emoji } = ALERTS[type];
+    const shortSymbol = displaySymbol(symbol);
+    const price = formatPrice(tick.last_price, parseSymbol(symbol).exchange);
+
+    logger.info(`${emoji} ${name} - ${shortSymbol}`);
+    alertRules.enqueue({
+      group: `depth|${type}`,
+      name,
+      severity,
+      channel: 'alerts',
+      message: `${emoji} **${name}: ${shortSymbol}** ${price}\n${details}`,
+      line: `• **${shortSymbol}** ${price} | ${details.split('\n')[0]}`
+    });
+  }
+
+  getMetrics(token) {
+    const book = this.books.get(token);
+    return book ? book.metrics : null;
+  }
+
+  // Text ladder for Discord: asks top-down, then bids, with quantity, orders and the imbalance
+  formatLadder(symbol, quote) {
+    const depth = quote.depth || { buy: [], sell: [] };
+    const metrics = this.computeMetrics({ ...quote, depth, total_buy_quantity: quote.total_buy_quantity ?? quote.buy_quantity, total_sell_quantity: quote.total_sell_quantity ?? quote.sell_quantity });
+    const bids = activeLevels(depth.buy);
+    const asks = activeLevels(depth.sell);
+    const { exchange } = parseSymbol(symbol);
+    const decimals = getPriceDecimals(exchange);
+
+    if (bids.length === 0 && asks.length === 0) {
+      return `📭 No market depth for ${symbol} right now`;
+    }
+
+    const maxQty = Math.max(...bids.concat(asks).map(level => level.quantity));
+    const bar = (quantity) => '█'.repeat(Math.max(1, Math.round((quantity / maxQty) * 10)));
+    const row = (level) =>
+      `${level.price.toFixed(decimals).padStart(10)} ${level.quantity.toLocaleString('en-IN').padStart(10)} ${String(level.orders).padStart(5)}  ${bar(level.quantity)}`;
+
+    let ladder = `${'Price'.padStart(10)} ${'Qty'.padStart(10)} ${'Ord'.padStart(5)}\n`;
+    ladder += asks.slice().reverse().map(level => `🔴${row(level)}`).join('\n') + '\n';
+    ladder += `${'─'.repeat(40)}\n`;
+    ladder += bids.map(level => `🟢${row(level)}`).join('\n');
+
+    let reply = `📖 **${symbol} - Market Depth** | LTP ${formatPrice(quote.last_price, exchange)}\n`;
+    reply += '```\n' + ladder + '\n```\n';
+    if (metrics.spreadPct !== null) {
+      reply += `**Spread:** ${formatPrice(metrics.spread, exchange)} (${metrics.spreadPct.toFixed(3)}%)\n`;
+    }
+    if (metrics.imbalance !== null) {
+      const leaning = metrics.imbalance > 0.2 ? 'bids heavier' : metrics.imbalance < -0.2 ? 'asks heavier' : 'balanced';
+      reply += `**Top 5:** Bid ${metrics.bidQty.toLocaleString('en-IN')} | Ask ${metrics.askQty.toLocaleString('en-IN')} (${metrics.bidAskRatio !== null ? metrics.bidAskRatio.toFixed(2) + 'x, ' : ''}${leaning})\n`;
+    }
+    reply += `**Total pending:** Buy ${metrics.totalBuy.toLocaleString('en-IN')} | Sell ${metrics.totalSell.toLocaleString('en-IN')}`;
+    if (metrics.totalRatio !== null) reply += ` (${metrics.totalRatio.toFixed(2)}x)`;
+
+    return reply;
+  }
+
+  getStatus() {
+    return {
+      enabled: this.ENABLED,
+      instruments: this.books.size,
+      alertsSent: this.alertsSent
+    };
+  }
+
+  clear() {
+    this.books.clear();
+  }
+}
+
+module.exports = new DepthAnalyticsService();
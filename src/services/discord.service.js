@@ -1,5 +1,6 @@
 const { Client, GatewayIntentBits } = require('discord.js');
 const logger = require('../utils/logger');
+const { parseSymbol, formatSymbol, displaySymbol, isDerivative, formatPrice, getPriceDecimals, describeContract } = require('../utils/symbols');
 
 class DiscordService {
   constructor() {
@@ -13,9 +14,16 @@ class DiscordService {
     this.logChannel = null;
     this.commandPrefix = '!';
     this.isReady = false;
+    this.isDisabled = false;
   }
 
   async initialize() {
+    if (!process.env.DISCORD_BOT_TOKEN) {
+      this.isDisabled = true;
+      logger.warn('⚠️ DISCORD_BOT_TOKEN not set, running without Discord (console logging only)');
+      return;
+    }
+
     return new Promise((resolve) => {
       this.client.once('ready', () => {
         this.logChannel = this.client.channels.cache.get(process.env.DISCORD_LOG_CHANNEL_ID);
@@ -85,6 +93,41 @@ class DiscordService {
         await this.timeCommand(message);
         break;
 
+      case 'recorder':
+        await this.recorderCommand(args, message);
+        break;
+
+      case 'replay':
+        await this.replayCommand(args, message);
+        break;
+
+      case 'backfill':
+        await this.backfillCommand(args, message);
+        break;
+
+      case 'rules':
+      case 'rule':
+        await this.rulesCommand(args, message);
+        break;
+
+      case 'breakouts':
+        await this.breakoutsCommand(args, message);
+        break;
+
+      case 'eod':
+        await this.eodCommand(args, message);
+        break;
+
+      case 'sectors':
+      case 'sector':
+        await this.sectorsCommand(args, message);
+        break;
+
+      case 'alert':
+      case 'alerts':
+        await this.alertCommand(args, message, stockCommands);
+        break;
+
       case 'help':
         await this.helpCommand(message);
         break;
@@ -206,8 +249,22 @@ class DiscordService {
           await this.showOHLC(symbol, message, stockCommands);
           break;
 
+        case 'candles':
+          await this.showCandles(symbol, options.slice(1), message, stockCommands);
+          break;
+
+        case 'indicators':
+        case 'ind':
+          await this.showIndicators(symbol, options.slice(1), message, stockCommands);
+          break;
+
+        case 'depth':
+        case 'book':
+          await this.showDepth(symbol, message, stockCommands);
+          break;
+
         default:
-          await message.reply(`❓ Unknown option: ${action}\n\nAvailable options:\n\`!${symbol} subscribe\` - Subscribe\n\`!${symbol} full\` - Full details\n\`!${symbol} ohlc\` - OHLC data`);
+          await message.reply(`❓ Unknown option: ${action}\n\nAvailable options:\n\`!${symbol} subscribe\` - Subscribe\n\`!${symbol} full\` - Full details\n\`!${symbol} ohlc\` - OHLC data\n\`!${symbol} candles <interval> [sessions]\` - Stored candles\n\`!${symbol} indicators <interval>\` - Technical indicators\n\`!${symbol} depth\` - Market depth`);
       }
     }
   }
@@ -217,19 +274,33 @@ class DiscordService {
     const data = await stockCommands.getStockInfo(symbol);
 
     if (!data) {
-      await message.reply(`❌ Could not fetch data for ${symbol}. Try \`!search ${symbol}\``);
+      const suggestions = await stockCommands.suggestSymbols(symbol);
+      let reply = `❌ Could not fetch data for ${symbol}.`;
+      if (suggestions.length > 0) {
+        reply += ` Did you mean:\n` + suggestions
+          .map(inst => `• \`!${displaySymbol(`${inst.exchange}:${inst.tradingsymbol}`)}\` - ${inst.name || inst.tradingsymbol}`)
+          .join('\n');
+      } else {
+        reply += ` Try \`!search ${symbol}\``;
+      }
+      await message.reply(reply);
       return;
     }
 
+    const { exchange } = parseSymbol(symbol);
     const change = data.last_price - data.ohlc.close;
     const changePercent = ((change / data.ohlc.close) * 100).toFixed(2);
     const emoji = change >= 0 ? '📈' : '📉';
     const color = change >= 0 ? '🟢' : '🔴';
 
-    let reply = `${emoji} **${symbol}**\n\n`;
-    reply += `${color} **₹${data.last_price.toFixed(2)}**\n`;
-    reply += `${change >= 0 ? '+' : ''}₹${change.toFixed(2)} (${changePercent}%)\n\n`;
-    reply += `High: ₹${data.ohlc.high} | Low: ₹${data.ohlc.low}\n`;
+    const sectors = require('./sector.service');
+    const instrument = require('./instrument-master.service').getBySymbol(symbol);
+    const tags = sectors.describe(parseSymbol(symbol).tradingsymbol, instrument);
+
+    let reply = `${emoji} **${symbol}**\n${tags ? `${tags}\n` : ''}\n`;
+    reply += `${color} **${formatPrice(data.last_price, exchange)}**\n`;
+    reply += `${change >= 0 ? '+' : ''}${formatPrice(change, exchange)} (${changePercent}%)\n\n`;
+    reply += `High: ${formatPrice(data.ohlc.high, exchange)} | Low: ${formatPrice(data.ohlc.low, exchange)}\n`;
     reply += `Volume: ${(data.volume / 100000).toFixed(2)}L\n\n`;
     reply += `💡 **Options:**\n\`!${symbol} subscribe\` - Subscribe\n\`!${symbol} full\` - Full details\n\`!${symbol} ohlc\` - OHLC data`;
 
@@ -245,8 +316,9 @@ class DiscordService {
       return;
     }
 
-    const formattedSymbol = symbol.startsWith('NSE:') ? symbol : `NSE:${symbol}`;
-    const formattedInfo = stockCommands.formatStockInfo(formattedSymbol, data);
+    const formattedSymbol = formatSymbol(symbol);
+    const instrument = isDerivative(parseSymbol(symbol).exchange) ? await stockCommands.getInstrument(symbol) : null;
+    const formattedInfo = stockCommands.formatStockInfo(formattedSymbol, data, instrument);
     await message.reply(formattedInfo);
   }
 
@@ -259,9 +331,138 @@ class DiscordService {
       return;
     }
 
+    const { exchange } = parseSymbol(symbol);
     let reply = `📊 **${symbol} - OHLC Data**\n\n`;
-    reply += `**Open:** ₹${data.ohlc.open}\n**High:** ₹${data.ohlc.high}\n**Low:** ₹${data.ohlc.low}\n**Close:** ₹${data.ohlc.close}\n**Last Price:** ₹${data.last_price}\n\n`;
-    reply += `**Volume:** ${data.volume.toLocaleString()}\n**Avg Price:** ₹${data.average_price.toFixed(2)}`;
+    reply += `**Open:** ${formatPrice(data.ohlc.open, exchange)}\n**High:** ${formatPrice(data.ohlc.high, exchange)}\n**Low:** ${formatPrice(data.ohlc.low, exchange)}\n**Close:** ${formatPrice(data.ohlc.close, exchange)}\n**Last Price:** ${formatPrice(data.last_price, exchange)}\n\n`;
+    reply += `**Volume:** ${data.volume.toLocaleString()}\n**Avg Price:** ${formatPrice(data.average_price, exchange)}`;
+
+    await message.reply(reply);
+  }
+
+  async showDepth(symbol, message, stockCommands) {
+    const tickerService = require('./ticker.service');
+    const depthAnalytics = require('./depth-analytics.service');
+    const formattedSymbol = formatSymbol(symbol);
+
+    // Subscribed stocks already stream the book; anything else needs a quote
+    let data = tickerService.stockData.get(formattedSymbol);
+    if (!data || !data.depth) {
+      data = await stockCommands.getStockInfo(symbol);
+    }
+
+    if (!data) {
+      await message.reply(`❌ Could not fetch data for ${symbol}`);
+      return;
+    }
+
+    await message.reply(depthAnalytics.formatLadder(symbol, data));
+  }
+
+  async showCandles(symbol, args, message, stockCommands) {
+    const marketStore = require('./market-store.service');
+    const candleAggregator = require('./candle-aggregator.service');
+
+    const interval = marketStore.resolveInterval(args[0] || '5minute');
+    const sessions = Math.min(parseInt(args[1]) || 1, 30);
+    if (!interval) {
+      await message.reply(`❌ Unknown interval. Use one of: ${marketStore.INTERVALS.join(', ')} (or 1m, 5m, 15m, 1h, 1d)`);
+      return;
+    }
+
+    const token = await stockCommands.getInstrumentToken(symbol);
+    if (!token) {
+      await message.reply(`❌ Could not find instrument for ${symbol}. Try \`!search ${symbol}\``);
+      return;
+    }
+
+    const candles = await marketStore.getSessionCandles(token, interval, sessions);
+    const forming = candleAggregator.getOpenCandle(token, interval);
+    if (candles.length === 0 && !forming) {
+      await message.reply(`📭 No stored ${interval} candles for ${symbol} yet`);
+      return;
+    }
+
+    const all = candles.slice();
+    if (forming && (all.length === 0 || forming.start > all[all.length - 1].time.getTime())) {
+      all.push({ time: new Date(forming.start), open: forming.open, high: forming.high, low: forming.low, close: forming.close, volume: forming.volume, forming: true });
+    }
+
+    const { exchange } = parseSymbol(symbol);
+    const decimals = getPriceDecimals(exchange);
+    const high = Math.max(...all.map(c => c.high));
+    const low = Math.min(...all.map(c => c.low));
+    const volume = all.reduce((sum, c) => sum + c.volume, 0);
+    const change = all[all.length - 1].close - all[0].open;
+    const changePercent = ((change / all[0].open) * 100).toFixed(2);
+    const format = interval === 'day'
+      ? { timeZone: 'Asia/Kolkata', day: '2-digit', month: 'short' }
+      : { timeZone: 'Asia/Kolkata', day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit', hour12: false };
+
+    let reply = `🕯️ **${symbol} ${interval}** (${sessions} session${sessions > 1 ? 's' : ''}, ${all.length} candles)\n`;
+    reply += `${change >= 0 ? '📈' : '📉'} ${formatPrice(all[0].open, exchange)} → ${formatPrice(all[all.length - 1].close, exchange)} (${change >= 0 ? '+' : ''}${changePercent}%)\n`;
+    reply += `High: ${formatPrice(high, exchange)} | Low: ${formatPrice(low, exchange)} | Volume: ${volume.toLocaleString()}\n`;
+    reply += '```\nTime          Open      High      Low       Close     Volume\n';
+    all.slice(-12).forEach(c => {
+      const time = c.time.toLocaleString('en-IN', format).replace(',', '');
+      const cells = [c.open, c.high, c.low, c.close].map(value => value.toFixed(decimals).padEnd(10)).join('');
+      reply += `${time.padEnd(14)}${cells}${c.volume}${c.forming ? ' *' : ''}\n`;
+    });
+    reply += '```';
+    if (forming) reply += '* still forming';
+
+    await message.reply(reply);
+  }
+
+  async showIndicators(symbol, args, message, stockCommands) {
+    const marketStore = require('./market-store.service');
+    const indicatorService = require('./indicator.service');
+
+    const interval = marketStore.resolveInterval(args[0] || '15minute');
+    if (!interval) {
+      await message.reply(`❌ Unknown interval. Use one of: ${marketStore.INTERVALS.join(', ')} (or 5m, 15m, 1h, 1d)`);
+      return;
+    }
+
+    const token = await stockCommands.getInstrumentToken(symbol);
+    if (!token) {
+      await message.reply(`❌ Could not find instrument for ${symbol}. Try \`!search ${symbol}\``);
+      return;
+    }
+
+    const values = await indicatorService.getIndicatorsAsync(token, interval);
+    if (values.candles === 0) {
+      await message.reply(`📭 No stored ${interval} candles for ${symbol}. Try \`!backfill ${symbol} ${interval}\``);
+      return;
+    }
+
+    // Price-level indicators follow the exchange's tick precision, oscillators stay at 2 decimals
+    const { exchange } = parseSymbol(symbol);
+    const fmt = (value) => (value === null || value === undefined ? '—' : value.toFixed(2));
+    const price = (value) => (value === null || value === undefined ? '—' : value.toFixed(getPriceDecimals(exchange)));
+    const asOf = values.time.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata', day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit', hour12: false });
+
+    let reply = `📐 **${symbol} ${interval} indicators**\n`;
+    reply += `Close ${formatPrice(values.close, exchange)} as of ${asOf} (${values.candles} candles)\n\n`;
+    reply += `**Trend**\n`;
+    reply += `SMA 20: ${price(values.sma20)} | SMA 50: ${price(values.sma50)}\n`;
+    reply += `EMA 9: ${price(values.ema9)} | EMA 21: ${price(values.ema21)} | WMA 20: ${price(values.wma20)}\n`;
+    reply += `VWAP: ${price(values.vwap)}\n`;
+    if (values.supertrend) {
+      reply += `SuperTrend (10, 3): ${price(values.supertrend.value)} ${values.supertrend.direction === 'up' ? '🟢 up' : '🔴 down'}${values.supertrend.flipped ? ' (just flipped)' : ''}\n`;
+    }
+    if (values.macd) {
+      reply += `MACD: ${price(values.macd.macd)} | Signal: ${price(values.macd.signal)} | Hist: ${price(values.macd.histogram)}\n`;
+    }
+    reply += `\n**Momentum**\n`;
+    reply += `RSI 14: ${fmt(values.rsi14)}${values.rsi14 >= 70 ? ' 🔥 overbought' : values.rsi14 !== null && values.rsi14 <= 30 ? ' 🧊 oversold' : ''}\n`;
+    if (values.stochastic) {
+      reply += `Stochastic (14, 3, 3): %K ${fmt(values.stochastic.k)} | %D ${fmt(values.stochastic.d)}\n`;
+    }
+    reply += `\n**Volatility**\n`;
+    reply += `ATR 14: ${price(values.atr14)}\n`;
+    if (values.bollinger) {
+      reply += `Bollinger (20, 2): ${price(values.bollinger.lower)} / ${price(values.bollinger.middle)} / ${price(values.bollinger.upper)} (%B ${fmt(values.bollinger.percentB)})\n`;
+    }
 
     await message.reply(reply);
   }
@@ -282,7 +483,8 @@ class DiscordService {
       const changePercent = ((change / stockInfo.ohlc.close) * 100).toFixed(2);
       const emoji = change >= 0 ? '📈' : '📉';
 
-      let reply = `✅ Subscribed to **${symbol}**\n\n${emoji} Current Price: ₹${stockInfo.last_price.toFixed(2)}\nChange: ${change >= 0 ? '+' : ''}₹${change.toFixed(2)} (${changePercent}%)`;
+      const { exchange } = parseSymbol(symbol);
+      let reply = `✅ Subscribed to **${symbol}**\n\n${emoji} Current Price: ${formatPrice(stockInfo.last_price, exchange)}\nChange: ${change >= 0 ? '+' : ''}${formatPrice(change, exchange)} (${changePercent}%)`;
       await message.reply(reply);
     } else {
       await message.reply(`✅ Subscribed to **${symbol}**`);
@@ -301,27 +503,57 @@ class DiscordService {
   }
 
   async searchCommand(args, message, stockCommands) {
-    if (args.length === 0) {
-      await message.reply('❌ Usage: `!search <stock name>`');
+    // Words are the query; key:value words filter it, e.g. !search nifty type:FUT expiry:2025-12 page:2
+    const filters = {};
+    const words = [];
+    args.forEach(arg => {
+      const match = arg.match(/^(exchange|ex|segment|seg|type|expiry|exp|page):(.+)$/i);
+      if (!match) {
+        words.push(arg);
+        return;
+      }
+      const key = match[1].toLowerCase();
+      const value = match[2].toUpperCase();
+      if (key === 'exchange' || key === 'ex') filters.exchange = value;
+      if (key === 'segment' || key === 'seg') filters.segment = value;
+      if (key === 'type') filters.type = value;
+      if (key === 'expiry' || key === 'exp') filters.expiry = value;
+      if (key === 'page') filters.page = Math.max(1, parseInt(value) || 1);
+    });
+
+    if (words.length === 0) {
+      await message.reply('❌ Usage: `!search <name> [exchange:NSE] [segment:NFO-OPT] [type:FUT|CE|PE|EQ] [expiry:2025-12] [page:2]`\nPrefix one exchange with `!search MCX:CRUDEOIL`');
       return;
     }
 
-    const query = args.join(' ');
+    const query = words.join(' ');
     await message.reply(`🔎 Searching for "${query}"...`);
 
-    const results = await stockCommands.searchStock(query);
+    const { total, page, pages, offset, results } = await stockCommands.searchStock(query, filters);
 
+    if (total === 0) {
+      await message.reply(`❌ No instruments found matching "${query}".`);
+      return;
+    }
     if (results.length === 0) {
-      await message.reply('❌ No stocks found matching your query.');
+      await message.reply(`❌ Only ${pages} page(s) of results for "${query}".`);
       return;
     }
 
-    let reply = `📊 **Search Results for "${query}":**\n\n`;
+    let reply = `📊 **Search Results for "${query}"** (${total} match${total === 1 ? '' : 'es'}, page ${page}/${pages}):\n\n`;
     results.forEach((stock, index) => {
-      reply += `${index + 1}. **${stock.tradingsymbol}** - ${stock.name || 'N/A'}\n   Type: \`!${stock.tradingsymbol}\` for info\n\n`;
+      const symbol = displaySymbol(`${stock.exchange}:${stock.tradingsymbol}`);
+      const contract = describeContract(stock);
+      reply += `${offset + index + 1}. **${symbol}** - ${stock.name || 'N/A'}\n`;
+      if (contract) reply += `   ${contract}\n`;
     });
+    reply += `\nType \`!SYMBOL\` for info`;
+    if (page < pages) {
+      const rest = args.filter(arg => !/^page:/i.test(arg)).join(' ');
+      reply += ` | Next: \`!search ${rest} page:${page + 1}\``;
+    }
 
-    await message.reply(reply);
+    await message.reply(reply.slice(0, 1990));
   }
 
   async subscribeCommand(args, message, stockCommands) {
@@ -354,7 +586,7 @@ class DiscordService {
 
     let reply = `📋 **Subscribed Stocks (${subscribed.length}):**\n\n`;
     subscribed.forEach((stock, index) => {
-      const symbol = stock.replace('NSE:', '');
+      const symbol = displaySymbol(stock);
       reply += `${index + 1}. ${symbol} - Type \`!${symbol}\` for info\n`;
     });
 
@@ -371,12 +603,7 @@ class DiscordService {
       const now = new Date();
       const istTime = now.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
 
-      const istHour = parseInt(new Date().toLocaleString('en-IN', {
-        timeZone: 'Asia/Kolkata',
-        hour: 'numeric',
-        hour12: false
-      }));
-      const isMarketHours = istHour >= 9 && istHour < 16;
+      const marketCalendar = require('../utils/market-calendar');
 
       let debug = `🔍 **System Debug Status**\n\n`;
 
@@ -397,6 +624,26 @@ class DiscordService {
       }
       debug += `\n`;
 
+      debug += this.formatWatchdogStatus();
+      debug += `\n`;
+
+      const candles = require('./candle-aggregator.service').getStatus();
+      debug += `**Candles:**\n`;
+      debug += `${candles.running ? '✅' : '❌'} Aggregator: ${candles.running ? candles.intervals.join(', ') : 'Stopped'}\n`;
+      debug += `🕯️ Closed: ${candles.candlesClosed} | 🐢 Late ticks dropped: ${candles.lateTicksDropped}\n`;
+      const store = require('./market-store.service').getStatus();
+      debug += `${store.running ? '💾' : '❌'} Store: ${store.candlesWritten} candles${store.recordingTicks ? `, ${store.ticksWritten} ticks` : ''} written\n`;
+      const circuits = require('./circuit-limit.service').getStatus();
+      debug += `🚦 Circuit bands: ${circuits.instruments} | Locked: ${circuits.upper} upper, ${circuits.lower} lower | Near: ${circuits.near_upper + circuits.near_lower}\n`;
+      const instruments = require('./instrument-master.service').getStatus();
+      debug += `${instruments.instruments ? '📚' : '❌'} Instruments: ${instruments.instruments} (${Object.entries(instruments.exchanges).map(([exchange, count]) => `${exchange} ${count}`).join(', ') || 'not loaded'})${instruments.day ? ` from ${instruments.day}` : ''}\n`;
+      const depth = require('./depth-analytics.service').getStatus();
+      debug += `${depth.enabled ? '📖' : '❌'} Depth alerts: ${depth.instruments} order books, ${depth.alertsSent} sent\n`;
+      const priceAlerts = require('./price-alert.service').getStatus();
+      debug += `${priceAlerts.running ? '🔔' : '❌'} Price alerts: ${priceAlerts.alerts} on ${priceAlerts.instruments} instruments, ${priceAlerts.triggered} triggered\n`;
+      const sectors = require('./sector.service').getStatus();
+      debug += `🏷️ Sectors: ${sectors.symbols} symbols, ${sectors.indices} indices | ${sectors.alertsSent} alerts${sectors.moving.length ? ` | moving: ${sectors.moving.join(', ')}` : ''}\n\n`;
+
       debug += `**Discord Ticker:**\n`;
       const tickerChannel = this.client.channels.cache.get(status.channelId);
       debug += `${tickerChannel ? '✅' : '❌'} Channel Found: ${tickerChannel ? 'Yes' : 'No'}\n`;
@@ -405,12 +652,18 @@ class DiscordService {
 
       debug += `**Market Status:**\n`;
       debug += `⏰ Current IST Time: ${istTime}\n`;
-      debug += `${isMarketHours ? '✅' : '⏸️'} Market: ${isMarketHours ? 'OPEN (9:15 AM - 3:30 PM)' : 'CLOSED'}\n\n`;
+      debug += `${marketCalendar.describeStatus('NSE', now)}\n`;
+      debug += `${marketCalendar.describeStatus('MCX', now)}\n`;
+      const session = require('./session-scheduler.service').getStatus(now);
+      const sessionClock = (date) => date.toLocaleTimeString('en-IN', { timeZone: 'Asia/Kolkata', hour: 'numeric', minute: '2-digit' });
+      debug += `${session.streaming ? '▶️' : '⏹️'} Session scheduler: ${session.running ? (session.streaming ? 'streaming' : 'paused') : 'off'}`;
+      debug += session.window ? ` | ${sessionClock(session.window.startAt)} - ${sessionClock(session.window.stopAt)}` : ' | no session today';
+      debug += session.lastEvent ? ` | last: ${session.lastEvent.event} ${session.lastEvent.exchange}\n\n` : `\n\n`;
 
       debug += `**Subscriptions:**\n`;
       debug += `📋 Total: ${marketData.subscribedStocks.length}\n`;
       if (marketData.subscribedStocks.length > 0) {
-        debug += `Stocks: ${marketData.subscribedStocks.map(s => s.replace('NSE:', '')).join(', ')}\n`;
+        debug += `Stocks: ${marketData.subscribedStocks.map(s => displaySymbol(s)).join(', ')}\n`;
       } else {
         debug += `⚠️ No stocks subscribed. Use \`!subscribe SYMBOL\`\n`;
       }
@@ -444,6 +697,8 @@ class DiscordService {
         reply += `Last tick: ${secAgo}s ago\n`;
       }
 
+      reply += `\n${this.formatWatchdogStatus()}`;
+
       await message.reply(reply);
       return;
     }
@@ -487,6 +742,29 @@ class DiscordService {
     }
   }
 
+  formatWatchdogStatus() {
+    const feedWatchdog = require('./feed-watchdog.service');
+    const watchdog = feedWatchdog.getStatus();
+
+    let text = `**Feed Watchdog:**\n`;
+    text += `${watchdog.running ? '✅' : '❌'} Watchdog: ${watchdog.running ? 'Running' : 'Stopped'}`;
+    text += watchdog.marketOpen ? ' (watching live session)\n' : ' (idle, market closed)\n';
+
+    if (watchdog.lastCheck) {
+      const secAgo = Math.floor((Date.now() - watchdog.lastCheck) / 1000);
+      text += `⏱️ Last Check: ${secAgo}s ago\n`;
+    }
+    text += `🚨 Incidents: ${watchdog.incidents}`;
+    text += ` | 🔇 Silent Tokens: ${watchdog.starvedTokens}\n`;
+
+    if (watchdog.lastIncident) {
+      const time = watchdog.lastIncident.time.toLocaleTimeString('en-IN', { timeZone: 'Asia/Kolkata' });
+      text += `📝 Last: ${watchdog.lastIncident.type} on shard #${watchdog.lastIncident.shard} at ${time}\n`;
+    }
+
+    return text;
+  }
+
   async tickerDebugCommand(message, tickerService) {
     try {
       await tickerService.debugSubscription();
@@ -545,9 +823,7 @@ class DiscordService {
     try {
       await message.reply('🔄 Resubscribing to all stocks...');
       
-      tickerService.ticker.subscribe(tickerService.subscribedTokens);
-      await new Promise(resolve => setTimeout(resolve, 500));
-      tickerService.ticker.setMode(tickerService.ticker.modeFull, tickerService.subscribedTokens);
+      await tickerService.resubscribe();
       
       await message.reply(`✅ Resubscribed to ${tickerService.subscribedTokens.length} stocks. Check logs for ticks.`);
     } catch (error) {
@@ -555,6 +831,512 @@ class DiscordService {
     }
   }
 
+  async recorderCommand(args, message) {
+    const tickRecorder = require('./tick-recorder.service');
+    const action = (args[0] || 'status').toLowerCase();
+
+    switch (action) {
+      case 'start':
+        tickRecorder.start();
+        await message.reply('⏺️ Tick recording started');
+        break;
+
+      case 'stop':
+        await tickRecorder.stop();
+        await message.reply('⏹️ Tick recording stopped');
+        break;
+
+      case 'list': {
+        const sessions = tickRecorder.listSessions();
+        if (sessions.length === 0) {
+          await message.reply('📭 No recorded sessions yet. Use `!recorder start`');
+          return;
+        }
+
+        let reply = `📼 **Recorded Sessions (${sessions.length}):**\n\n`;
+        sessions.forEach(session => {
+          reply += `• ${session.day} - ${session.files} file(s), ${(session.bytes / 1024 / 1024).toFixed(1)} MB\n`;
+        });
+        reply += `\n💡 Replay with \`!replay <date> [speed|max]\``;
+        await message.reply(reply);
+        break;
+      }
+
+      case 'status': {
+        const status = tickRecorder.getStatus();
+        let reply = `📼 **Tick Recorder**\n\n`;
+        reply += `Recording: ${status.recording ? '✅ On' : '⏸️ Off'}\n`;
+        reply += `Current file: ${status.currentFile || 'None'}\n`;
+        reply += `Frames recorded: ${status.framesRecorded}\n`;
+        if (status.replay) {
+          reply += `\n▶️ Replaying ${status.replay.session} at ${status.replay.speed === 0 ? 'max' : status.replay.speed + 'x'}`;
+          reply += ` (${status.replay.frames} frames, ${status.replay.ticks} ticks)\n`;
+        }
+        await message.reply(reply);
+        break;
+      }
+
+      default:
+        await message.reply('Usage: `!recorder [status|start|stop|list]`');
+    }
+  }
+
+  async replayCommand(args, message) {
+    const tickRecorder = require('./tick-recorder.service');
+
+    if (args.length === 0) {
+      await message.reply('❌ Usage: `!replay <YYYY-MM-DD> [speed|max]` or `!replay stop`');
+      return;
+    }
+
+    if (args[0].toLowerCase() === 'stop') {
+      const stopped = tickRecorder.stopReplay();
+      await message.reply(stopped ? '⏹️ Stopping replay...' : '❌ No replay running');
+      return;
+    }
+
+    const session = args[0];
+    const speedArg = (args[1] || '1').toLowerCase();
+    const speed = speedArg === 'max' ? 0 : parseFloat(speedArg);
+
+    if (isNaN(speed) || speed < 0) {
+      await message.reply('❌ Speed must be a number (e.g. `10`) or `max`');
+      return;
+    }
+
+    try {
+      tickRecorder.resolveSession(session);
+    } catch (error) {
+      await message.reply(`❌ ${error.message}. See \`!recorder list\``);
+      return;
+    }
+
+    await message.reply(`▶️ Replaying **${session}** at ${speed === 0 ? 'max speed' : speed + 'x'}. Live feed paused until it finishes.`);
+
+    tickRecorder.replay(session, {
+      speed,
+      onFinish: async (summary) => {
+        await message.reply(
+          `${summary.stopped ? '⏹️ Replay stopped' : '✅ Replay finished'}: ${summary.session}\n` +
+          `${summary.frames} frames, ${summary.ticks} ticks in ${summary.duration}s. Live feed resumed.`
+        );
+      }
+    }).catch(async (error) => {
+      logger.error('Replay failed:', error);
+      await message.reply(`❌ Replay failed: ${error.message}`);
+    });
+  }
+
+  async backfillCommand(args, message) {
+    const backfill = require('./backfill.service');
+    const stockCommands = require('../commands/stock.commands');
+    const action = (args[0] || 'status').toLowerCase();
+
+    if (action === 'status') {
+      const status = backfill.getStatus();
+      let reply = `📚 **Historical Backfill**\n\n`;
+      reply += status.job
+        ? `▶️ ${status.job.name}: ${status.job.done}/${status.job.total} instruments (${status.job.failed} failed)\n`
+        : `⏸️ Idle\n`;
+      reply += `Requests: ${status.requests} | Candles: ${status.candlesFetched} | Failures: ${status.failures}\n`;
+      await message.reply(reply);
+      return;
+    }
+
+    if (action === 'universe') {
+      await message.reply('📚 Backfilling every tracked instrument in the background. Check `!backfill status`');
+      backfill.runUniverseBackfill().catch(error => logger.error('Universe backfill failed:', error));
+      return;
+    }
+
+    // !backfill SYMBOL [interval] [days]
+    const symbol = args[0].toUpperCase();
+    const marketStore = require('./market-store.service');
+    const interval = marketStore.resolveInterval(args[1] || 'day');
+    const days = parseInt(args[2]) || (interval === 'day' ? 365 : 5);
+    if (!interval) {
+      await message.reply(`❌ Unknown interval. Use one of: ${marketStore.INTERVALS.join(', ')}`);
+      return;
+    }
+
+    const token = await stockCommands.getInstrumentToken(symbol);
+    if (!token) {
+      await message.reply(`❌ Could not find instrument for ${symbol}`);
+      return;
+    }
+
+    await message.reply(`⏳ Backfilling ${symbol} ${interval} for ${days} days...`);
+    const now = Date.now();
+    const result = interval === 'minute'
+      ? await backfill.backfillIntraday(token, now - days * 24 * 60 * 60 * 1000, now)
+      : await backfill.backfill(token, interval, now - days * 24 * 60 * 60 * 1000, now);
+
+    await message.reply(result.gaps === 0
+      ? `✅ ${symbol} ${interval} already stored for that range`
+      : `✅ ${symbol} ${interval}: filled ${result.gaps} gap(s), ${result.candles} candles`);
+  }
+
+  async rulesCommand(args, message) {
+    const alertRules = require('./alert-rules.service');
+    const action = (args[0] || 'list').toLowerCase();
+
+    switch (action) {
+      case 'list': {
+        alertRules.ensureLoaded();
+        if (alertRules.rules.length === 0) {
+          await message.reply('📭 No alert rules loaded. Add one with `!rules add`');
+          return;
+        }
+
+        let reply = `📋 **Alert Rules (${alertRules.rules.length}):**\n\n`;
+        alertRules.rules.forEach(rule => {
+          const scope = rule.symbols ? Array.from(rule.symbols).join(', ') : 'all tracked';
+          reply += `${rule.enabled ? '✅' : '⏸️'} **${rule.id}** [${rule.severity}] \`${rule.condition.source}\`\n`;
+          reply += `   Scope: ${scope} | Cooldown: ${rule.cooldown / 60000}m | Channel: ${rule.channel}\n`;
+          if (rule.rearm) reply += `   Re-arms: \`${rule.rearm.source}\`\n`;
+          rule.levels.slice(1).forEach((level, index) => {
+            reply += `   Level ${index + 2} [${level.severity}]: \`${level.condition.source}\`\n`;
+          });
+        });
+        if (alertRules.invalidRules.length > 0) {
+          reply += `\n⚠️ ${alertRules.invalidRules.length} invalid rule(s) skipped: ${alertRules.invalidRules.map(rule => rule.id).join(', ')}`;
+        }
+
+        // Discord caps messages at 2000 characters
+        if (reply.length > 1990) {
+          reply = reply.slice(0, 1950) + '\n…(truncated)';
+        }
+        await message.reply(reply);
+        break;
+      }
+
+      case 'reload': {
+        const result = alertRules.load();
+        await message.reply(`🔄 Reloaded ${result.loaded} rule(s)${result.invalid.length ? `, ${result.invalid.length} invalid (see log channel)` : ''}`);
+        break;
+      }
+
+      case 'enable':
+      case 'disable': {
+        if (!args[1]) {
+          await message.reply(`❌ Usage: \`!rules ${action} <id>\``);
+          return;
+        }
+        const found = alertRules.setEnabled(args[1], action === 'enable');
+        await message.reply(found ? `${action === 'enable' ? '✅ Enabled' : '⏸️ Disabled'} rule **${args[1]}**` : `❌ No rule named ${args[1]}`);
+        break;
+      }
+
+      case 'add': {
+        // !rules add <id> <all|SYM1,SYM2> [severity=..] [cooldown=..] [channel=..] [interval=..] <condition>
+        const [id, scopeArg, ...rest] = args.slice(1);
+        const options = {};
+        while (rest.length > 0 && /^(severity|cooldown|channel|interval)=/.test(rest[0])) {
+          const [key, value] = rest.shift().split('=');
+          options[key] = value;
+        }
+
+        if (!id || !scopeArg || rest.length === 0) {
+          await message.reply('❌ Usage: `!rules add <id> <all|SYM1,SYM2> [severity=critical] [cooldown=15m] [channel=alerts] <condition>`\nExample: `!rules add rel_dip RELIANCE cooldown=30m change_pct <= -2`');
+          return;
+        }
+
+        try {
+          const rule = alertRules.addRule({
+            id,
+            scope: scopeArg.toLowerCase() === 'all' ? 'universe' : scopeArg.split(',').map(symbol => symbol.toUpperCase()),
+            condition: rest.join(' '),
+            ...options
+          });
+          await message.reply(`✅ Added rule **${rule.id}**: \`${rule.condition.source}\``);
+        } catch (error) {
+          await message.reply(`❌ Invalid rule: ${error.message}`);
+        }
+        break;
+      }
+
+      case 'delete':
+      case 'remove': {
+        const removed = args[1] && alertRules.removeRule(args[1]);
+        await message.reply(removed ? `🗑️ Deleted rule **${args[1]}**` : `❌ No rule named ${args[1] || '(missing id)'}`);
+        break;
+      }
+
+      case 'fields': {
+        const fields = alertRules.getFieldNames();
+        let reply = `🧮 **Rule Fields**\n\n`;
+        reply += `**Live:** ${fields.live.join(', ')}\n\n`;
+        reply += `**Indicators:** ${fields.indicators.join(', ')}\n`;
+        reply += `Use the rule's interval, or prefix with ${fields.prefixes.join('/')} (e.g. \`m15.rsi14\`)\n\n`;
+        reply += `**Operators:** and, or, not, == != < <= > >=, + - * / %, abs() min() max() round()`;
+        await message.reply(reply);
+        break;
+      }
+
+      default:
+        await message.reply('Usage: `!rules [list|reload|enable|disable|add|delete|fields]`');
+    }
+  }
+
+  async breakoutsCommand(args, message) {
+    const breakouts = require('./breakout.service');
+    const day = args[0] && /^\d{4}-\d{2}-\d{2}$/.test(args[0]) ? args[0] : null;
+    const events = breakouts.getEvents(day);
+    const label = day || 'Today';
+
+    if (events.length === 0) {
+      const status = breakouts.getStatus();
+      await message.reply(`📭 No 52-week highs or lows ${day ? `on ${day}` : 'yet today'} (${status.instruments} instruments with levels)`);
+      return;
+    }
+
+    const format = (event) => {
+      const beyond = ((event.price - event.level) / event.level) * 100;
+      const time = new Date(event.time).toLocaleTimeString('en-IN', { timeZone: 'Asia/Kolkata', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+      const star = event.type === 'ath' || event.type === 'atl' ? ' ⭐ all-time' : '';
+      return `• **${event.symbol}** ₹${event.price.toFixed(2)} (${beyond >= 0 ? '+' : ''}${beyond.toFixed(2)}% vs ₹${event.level.toFixed(2)}) at ${time}${star}\n`;
+    };
+
+    const highs = events.filter(event => event.side === 'high');
+    const lows = events.filter(event => event.side === 'low');
+
+    let reply = `🏔️ **Breakouts - ${label}**\n\n`;
+    reply += `**New 52-week highs (${highs.length}):**\n`;
+    reply += highs.length ? highs.map(format).join('') : 'None\n';
+    reply += `\n**New 52-week lows (${lows.length}):**\n`;
+    reply += lows.length ? lows.map(format).join('') : 'None\n';
+
+    // Discord caps messages at 2000 characters
+    if (reply.length > 1990) {
+      reply = reply.slice(0, 1950) + '\n…(truncated)';
+    }
+    await message.reply(reply);
+  }
+
+  async eodCommand(args, message) {
+    const eodReport = require('./eod-report.service');
+    const day = args.find(arg => /^\d{4}-\d{2}-\d{2}$/.test(arg)) || null;
+    const wantsCsv = args.some(arg => arg.toLowerCase() === 'csv');
+
+    const report = await eodReport.getReport(day);
+    if (!report) {
+      await message.reply(`📭 No end-of-day data ${day ? `for ${day}` : 'yet'}. Reports are saved after each close.`);
+      return;
+    }
+
+    if (wantsCsv) {
+      await message.reply({
+        content: `📎 End-of-day data for ${report.day} (${report.rows.length} instruments)`,
+        files: [{ attachment: Buffer.from(eodReport.toCsv(report)), name: `eod-${report.day}.csv` }]
+      });
+      return;
+    }
+
+    const [first, ...rest] = eodReport.format(report);
+    await message.reply(first);
+    for (const chunk of rest) {
+      await message.channel.send(chunk);
+    }
+  }
+
+  async sectorsCommand(args, message) {
+    const sectors = require('./sector.service');
+    const tracker = require('./token-tracker.service');
+    const action = (args[0] || '').toLowerCase();
+    const pct = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+    const truncate = (text) => text.length > 1990 ? `${text.slice(0, 1950)}\n…(truncated)` : text;
+
+    switch (action) {
+      case 'set': {
+        // !sectors set <SYMBOL> <Sector words> [/ Industry words]
+        const [symbol, ...rest] = args.slice(1);
+        const [sector, industry] = rest.join(' ').split('/').map(part => part.trim());
+        if (!symbol || !sector) {
+          await message.reply('❌ Usage: `!sectors set <SYMBOL> <Sector> [/ Industry]`\nExample: `!sectors set TATAMOTORS Automobile / Passenger Cars`');
+          return;
+        }
+        const key = sectors.setSymbol(symbol.toUpperCase(), sector, industry || null);
+        await message.reply(`✅ ${key} → **${sector}**${industry ? ` · ${industry}` : ''}`);
+        break;
+      }
+
+      case 'remove':
+      case 'delete': {
+        const removed = args[1] && sectors.removeSymbol(args[1].toUpperCase());
+        await message.reply(removed ? `🗑️ Removed sector mapping for **${args[1].toUpperCase()}**` : `❌ No sector mapping for ${args[1] || '(missing symbol)'}`);
+        break;
+      }
+
+      case 'index': {
+        // !sectors index <INDEX NAME> add|remove <SYMBOL>; index names can contain spaces
+        const rest = args.slice(1);
+        const opIndex = rest.findIndex(arg => ['add', 'remove'].includes(arg.toLowerCase()));
+        if (opIndex < 1 || !rest[opIndex + 1]) {
+          await message.reply(`❌ Usage: \`!sectors index <INDEX> add|remove <SYMBOL>\`\nIndices: ${sectors.getIndices().join(', ') || 'none'}`);
+          return;
+        }
+        const result = sectors.setIndexMember(rest.slice(0, opIndex).join(' '), rest[opIndex + 1].toUpperCase(), rest[opIndex].toLowerCase() === 'add');
+        await message.reply(`✅ ${result.index}: ${rest[opIndex].toLowerCase() === 'add' ? 'added' : 'removed'} ${result.symbol} (${result.members} members)`);
+        break;
+      }
+
+      case 'board': {
+        const mode = (args[1] || '').toLowerCase();
+        if (mode !== 'on' && mode !== 'off') {
+          await message.reply(`📊 Tracker board is ${tracker.groupBySector ? 'grouped by sector' : 'in token order'}. Use \`!sectors board on|off\``);
+          return;
+        }
+        tracker.groupBySector = mode === 'on';
+        await message.reply(tracker.groupBySector ? '✅ Tracker board grouped by sector' : '✅ Tracker board back to token order');
+        break;
+      }
+
+      case 'reload': {
+        sectors.load();
+        const status = sectors.getStatus();
+        await message.reply(`🔄 Reloaded ${status.symbols} sector mappings and ${status.indices} indices`);
+        break;
+      }
+
+      default: {
+        if (tracker.stockData.size === 0) {
+          await message.reply('📭 No live prices yet. Sector heat needs the tracker to be streaming.');
+          return;
+        }
+
+        if (args.length > 0) {
+          const sector = sectors.findSector(tracker.stockData, args.join(' '));
+          if (!sector) {
+            await message.reply(`❌ No sector matching "${args.join(' ')}". Try \`!sectors\` for the list`);
+            return;
+          }
+          const members = sectors.getSectorMembers(tracker.stockData, sector);
+          let reply = `🏷️ **${sector}** (${members.length})\n\n`;
+          members.forEach(item => {
+            reply += `${item.change >= 0 ? '🟢' : '🔴'} **${item.symbol}** ${pct(item.change)}${item.industry ? ` · ${item.industry}` : ''}\n`;
+          });
+          await message.reply(truncate(reply));
+          return;
+        }
+
+        const heat = sectors.getSectorHeat(tracker.stockData);
+        let reply = `🧭 **Sector Heat** (${tracker.stockData.size} tracked)\n\n`;
+        heat.forEach(sector => {
+          reply += `${sector.avgChange >= 0 ? '🟢' : '🔴'} **${sector.name}** ${pct(sector.avgChange)} | ${sector.advances}▲ ${sector.declines}▼ of ${sector.count}`;
+          reply += ` | ⬆️ ${sector.best.symbol} ${pct(sector.best.change)} ⬇️ ${sector.worst.symbol} ${pct(sector.worst.change)}\n`;
+        });
+
+        const indices = sectors.getIndexHeat(tracker.stockData);
+        if (indices.length > 0) {
+          reply += `\n**Indices (tracked members):**\n`;
+          indices.forEach(index => {
+            reply += `• **${index.name}** ${pct(index.avgChange)} | ${index.advances}▲ ${index.declines}▼ of ${index.count}\n`;
+          });
+        }
+        await message.reply(truncate(reply));
+      }
+    }
+  }
+
+  async alertCommand(args, message, stockCommands) {
+    const priceAlerts = require('./price-alert.service');
+    const action = (args[0] || 'list').toLowerCase();
+
+    switch (action) {
+      case 'add': {
+        // !alert add <SYMBOL> above|below|crosses <price> [repeat]
+        // !alert add <SYMBOL> up|down <percent>% [repeat]
+        const [symbolArg, typeArg, targetArg, modeArg] = args.slice(1);
+        const type = (typeArg || '').toLowerCase();
+        const target = parseFloat((targetArg || '').replace(/[₹,%]/g, ''));
+
+        if (!symbolArg || !type || isNaN(target)) {
+          await message.reply('❌ Usage: `!alert add <SYMBOL> above|below|crosses <price> [repeat]` or `!alert add <SYMBOL> up|down <percent>% [repeat]`\nExample: `!alert add RELIANCE crosses 2500`');
+          return;
+        }
+
+        const symbol = displaySymbol(symbolArg);
+        const data = await stockCommands.getStockInfo(symbol);
+        if (!data) {
+          await message.reply(`❌ Could not find ${symbol}. Try \`!search ${symbol}\``);
+          return;
+        }
+
+        try {
+          const alert = await priceAlerts.addAlert({
+            userId: message.author.id,
+            username: message.author.username,
+            channelId: message.channel.id,
+            symbol,
+            token: data.instrument_token,
+            type,
+            target,
+            repeat: (modeArg || '').toLowerCase() === 'repeat',
+            price: data.last_price
+          });
+
+          let reply = `✅ Alert **#${alert.id}**: ${symbol} ${priceAlerts.describe(alert)}`;
+          reply += alert.repeat ? ' (repeating)' : ' (once)';
+          reply += `\nNow: ${formatPrice(data.last_price, parseSymbol(symbol).exchange)}`;
+          if (priceAlerts.isMet(alert, { last_price: data.last_price, ohlc: data.ohlc }, null)) {
+            reply += `\n⚠️ Condition already met, it will trigger on the next tick`;
+          }
+          await message.reply(reply);
+        } catch (error) {
+          await message.reply(`❌ ${error.message}`);
+        }
+        break;
+      }
+
+      case 'list': {
+        const showAll = (args[1] || '').toLowerCase() === 'all';
+        const alerts = showAll ? priceAlerts.getAlerts() : priceAlerts.getUserAlerts(message.author.id);
+
+        if (alerts.length === 0) {
+          await message.reply(showAll ? '📭 No price alerts set' : '📭 You have no price alerts. Add one with `!alert add`');
+          return;
+        }
+
+        let reply = `🔔 **${showAll ? 'All' : 'Your'} Price Alerts (${alerts.length}):**\n\n`;
+        alerts.forEach(alert => {
+          reply += `**#${alert.id}** ${alert.symbol} ${priceAlerts.describe(alert)}`;
+          reply += alert.repeat ? ` 🔁 (fired ${alert.triggerCount}x)` : '';
+          if (showAll) reply += ` - ${alert.username}`;
+          reply += '\n';
+        });
+
+        // Discord caps messages at 2000 characters
+        if (reply.length > 1990) {
+          reply = reply.slice(0, 1950) + '\n…(truncated)';
+        }
+        await message.reply(reply);
+        break;
+      }
+
+      case 'delete':
+      case 'remove': {
+        const id = parseInt((args[1] || '').replace('#', ''));
+        const alert = priceAlerts.getAlert(id);
+
+        if (!alert) {
+          await message.reply(`❌ No alert #${args[1] || '(missing id)'}`);
+          return;
+        }
+        if (alert.userId !== message.author.id) {
+          await message.reply(`❌ Alert #${id} belongs to ${alert.username}`);
+          return;
+        }
+
+        await priceAlerts.removeAlert(id);
+        await message.reply(`🗑️ Deleted alert **#${id}** (${alert.symbol} ${priceAlerts.describe(alert)})`);
+        break;
+      }
+
+      default:
+        await message.reply('Usage: `!alert [add|list|delete]`');
+    }
+  }
+
   async timeCommand(message) {
     const now = new Date();
 
@@ -564,32 +1346,29 @@ class DiscordService {
       timeStyle: 'long'
     });
 
-    const istHour = parseInt(new Date().toLocaleString('en-IN', {
-      timeZone: 'Asia/Kolkata',
-      hour: 'numeric',
-      hour12: false
-    }));
-
     const dayOfWeek = now.toLocaleString('en-IN', {
       timeZone: 'Asia/Kolkata',
       weekday: 'long'
     });
-    const isWeekend = dayOfWeek === 'Saturday' || dayOfWeek === 'Sunday';
 
     let reply = `🕐 **Time Information**\n\n`;
     reply += `**IST Time:** ${istTime}\n`;
-    reply += `**IST Hour:** ${istHour}:00\n`;
     reply += `**Day:** ${dayOfWeek}\n\n`;
 
+    const marketCalendar = require('../utils/market-calendar');
+    const formatClock = (date) => date.toLocaleTimeString('en-IN', { timeZone: 'Asia/Kolkata', hour: 'numeric', minute: '2-digit' });
+
     reply += `**Market Status:**\n`;
-    if (isWeekend) {
-      reply += `⏸️ Weekend - Market closed\n`;
-    } else if (istHour < 9) {
-      reply += `⏸️ Pre-market - Opens at 9:15 AM\n`;
-    } else if (istHour >= 9 && istHour < 16) {
-      reply += `✅ Market is OPEN (9:15 AM - 3:30 PM)\n`;
-    } else {
-      reply += `⏸️ After hours - Market closed\n`;
+    ['NSE', 'MCX', 'CDS'].forEach(exchange => {
+      reply += `${marketCalendar.describeStatus(exchange, now)}\n`;
+    });
+
+    const schedule = marketCalendar.getSchedule('NSE', now);
+    if (schedule.phases.length > 0) {
+      reply += `\n**NSE Sessions Today${schedule.name ? ` (${schedule.name})` : ''}:**\n`;
+      schedule.phases.forEach(({ phase, start, end }) => {
+        reply += `• ${marketCalendar.PHASE_NAMES[phase]}: ${formatClock(start)} - ${formatClock(end)}\n`;
+      });
     }
 
     reply += `\n**Server Time:** ${now.toString()}`;
@@ -602,20 +1381,38 @@ class DiscordService {
 
 **Quick Stock Info:**
 \`!SYMBOL\` - Get basic stock info
+\`!BSE:SYMBOL\`, \`!NFO:NIFTY25DECFUT\`, \`!MCX:...\`, \`!CDS:...\` - Other exchanges (NSE is the default)
 
 **Stock with Options:**
 \`!SYMBOL subscribe\` - Subscribe to stock
 \`!SYMBOL full\` - Full details
 \`!SYMBOL ohlc\` - OHLC data
+\`!SYMBOL candles <interval> [sessions]\` - Stored candles (e.g. \`!RELIANCE candles 5m 3\`)
+\`!SYMBOL indicators <interval>\` - SMA/EMA/RSI/MACD/BB/ATR/SuperTrend/VWAP/Stochastic
+\`!SYMBOL depth\` - 5-level order book with order counts, spread and imbalance
 
 **Search & Manage:**
-\`!search <name>\` - Search for stocks
+\`!search <name>\` - Search across exchanges (\`!search MCX:CRUDE\` for one exchange)
+\`!search <name> type:FUT expiry:2025-12 segment:NFO-OPT page:2\` - Filter and page results
 \`!subscribe <SYMBOL>\` - Subscribe
 \`!unsubscribe <SYMBOL>\` - Unsubscribe
 \`!list\` - Show subscriptions
 
+**Price Alerts:**
+\`!alert add <SYMBOL> above|below|crosses <price> [repeat]\` - Price alert
+\`!alert add <SYMBOL> up|down <percent>% [repeat]\` - Move from previous close
+\`!alert list [all]\` / \`!alert delete <id>\` - Manage your price alerts
+
 **System:**
 \`!debug\` or \`!status\` - Check system status
+\`!recorder [status|start|stop|list]\` - Record raw ticks to disk
+\`!replay <date> [speed|max]\` - Replay a recorded session
+\`!backfill [status|universe|SYMBOL [interval] [days]]\` - Fetch history into the store
+\`!rules [list|reload|enable|disable|add|delete|fields]\` - Manage alert rules
+\`!breakouts [YYYY-MM-DD]\` - New 52-week highs/lows for the day
+\`!eod [YYYY-MM-DD] [csv]\` - End-of-day summary of the tracked universe, or its CSV export
+\`!sectors [sector]\` - Sector heat (avg change, breadth, best/worst), or one sector's stocks
+\`!sectors set|remove|index|board|reload\` - Edit the sector mapping or group the tracker board by sector
 \`!ticker [status|restart|stop|debug|test|resub]\` - Manage ticker
 \`!time\` - Check IST time and market hours
 \`!test\` - Run diagnostic tests
@@ -642,7 +1439,7 @@ class DiscordService {
 
   async log(message, type = 'info') {
     if (!this.isReady || !this.logChannel) {
-      logger.warn('Discord not ready, logging to console only');
+      if (!this.isDisabled) logger.warn('Discord not ready, logging to console only');
       logger.info(message);
       return;
     }
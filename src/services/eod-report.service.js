@@ -0,0 +1,332 @@
+const fs = require('fs');
+const path = require('path');
+const discordService = require('./discord.service');
+const marketStore = require('./market-store.service');
+const logger = require('../utils/logger');
+const { getDataDir } = require('../utils/data-path');
+const { getDayKey } = require('../utils/market-calendar');
+const { formatPrice } = require('../utils/symbols');
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+const CSV_COLUMNS = [
+  'symbol', 'name', 'exchange', 'open', 'high', 'low', 'close', 'prev_close',
+  'change', 'change_pct', 'volume', 'avg_volume', 'volume_ratio', 'circuit', 'breakout'
+];
+
+const ALERT_SOURCES = {
+  circuit: 'circuit',
+  breakout: '52-week',
+  depth: 'depth',
+  sector: 'sector'
+};
+
+function getISTDayStart(dayKey) {
+  return new Date(`${dayKey}T00:00:00Z`).getTime() - IST_OFFSET_MS;
+}
+
+function round(value, decimals = 2) {
+  return value === null || value === undefined ? null : Number(value.toFixed(decimals));
+}
+
+function formatLakhs(volume) {
+  return `${((volume || 0) / 100000).toFixed(2)}L`;
+}
+
+function formatPct(value) {
+  return `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// End-of-day summary of the token.json universe, built from the tracker's last ticks.
+// Posted after the close, saved per day under data/reports and available on demand with !eod.
+class EodReportService {
+  constructor() {
+    this.closeListener = (event) => this.scheduleReport(event);
+    this.reportTimer = null;
+    this.lastPosted = null;
+
+    this.ENABLED = process.env.EOD_REPORT !== 'false';
+    this.EXCHANGE = (process.env.EOD_REPORT_EXCHANGE || 'NSE').toUpperCase();
+    // The closing session settles the official close after the continuous session ends
+    this.DELAY_MINUTES = parseInt(process.env.EOD_REPORT_DELAY_MINUTES || '10');
+    this.CHANNEL = process.env.EOD_REPORT_CHANNEL || 'alerts';
+    this.TOP = parseInt(process.env.EOD_REPORT_TOP || '10');
+    this.VOLUME_DAYS = parseInt(process.env.EOD_REPORT_VOLUME_DAYS || '20');
+  }
+
+  getReportFile(day) {
+    return path.join(getDataDir('reports'), `eod-${day}.json`);
+  }
+
+  start() {
+    if (!this.ENABLED) return;
+    const sessionScheduler = require('./session-scheduler.service');
+    sessionScheduler.on('close', this.closeListener);
+  }
+
+  stop() {
+    const sessionScheduler = require('./session-scheduler.service');
+    sessionScheduler.removeListener('close', this.closeListener);
+    if (this.reportTimer) {
+      clearTimeout(this.reportTimer);
+      this.reportTimer = null;
+    }
+  }
+
+  scheduleReport(event) {
+    if (event.exchange !== this.EXCHANGE || this.reportTimer) return;
+
+    this.reportTimer = setTimeout(() => {
+      this.reportTimer = null;
+      this.publish(event.day).catch(error => {
+        logger.error('❌ End-of-day report failed:', error);
+      });
+    }, this.DELAY_MINUTES * 60 * 1000);
+  }
+
+  async publish(day = getDayKey()) {
+    if (this.lastPosted === day) return null;
+
+    const report = await this.build(day);
+    if (!report) {
+      logger.warn('⚠️ End-of-day report skipped, the tracker has no data');
+      return null;
+    }
+
+    this.save(report);
+    this.lastPosted = day;
+
+    const alertRules = require('./alert-rules.service');
+    for (const chunk of this.format(report)) {
+      await alertRules.send(this.CHANNEL, chunk);
+    }
+    logger.info(`📊 End-of-day report posted for ${day} (${report.rows.length} instruments)`);
+    return report;
+  }
+
+  async build(day = getDayKey()) {
+    const tracker = require('./token-tracker.service');
+    if (tracker.stockData.size === 0) return null;
+
+    const circuitLimits = require('./circuit-limit.service');
+    const breakouts = require('./breakout.service');
+    const alertRules = require('./alert-rules.service');
+    const priceAlerts = require('./price-alert.service');
+
+    const circuits = circuitLimits.getHits(day);
+    const breakoutEvents = breakouts.getEvents(day);
+    const circuitByToken = new Map(circuits.map(hit => [hit.token, hit.side]));
+    const breakoutByToken = new Map(breakoutEvents.map(event => [event.token, event.type]));
+    const averages = await this.getAverageVolumes(Array.from(tracker.stockData.keys()), day);
+
+    const rows = [];
+    tracker.stockData.forEach((data, token) => {
+      const prevClose = data.ohlc?.close;
+      if (!data.last_price || !prevClose) return;
+
+      const change = data.last_price - prevClose;
+      const avgVolume = averages.get(token) || null;
+      rows.push({
+        token,
+        symbol: data.symbol,
+        name: data.name,
+        exchange: data.exchange,
+        open: data.ohlc.open,
+        high: data.ohlc.high,
+        low: data.ohlc.low,
+        close: data.last_price,
+        prev_close: prevClose,
+        change: round(change, 4),
+        change_pct: round((change / prevClose) * 100),
+        volume: data.volume || 0,
+        avg_volume: avgVolume ? Math.round(avgVolume) : null,
+        volume_ratio: avgVolume ? round((data.volume || 0) / avgVolume) : null,
+        circuit: circuitByToken.get(token) || null,
+        breakout: breakoutByToken.get(token) || null
+      });
+    });
+
+    if (rows.length === 0) return null;
+
+    return {
+      day,
+      generatedAt: new Date().toISOString(),
+      tracked: tracker.tokens.length,
+      rows,
+      circuits,
+      breakouts: breakoutEvents.map(({ token, symbol, type, side, price }) => ({ token, symbol, type, side, price })),
+      alerts: alertRules.getDailyCounts(day),
+      priceAlerts: priceAlerts.getTriggeredCount(day)
+    };
+  }
+
+  // Mean daily volume over the sessions before the report day, from the stored daily candles
+  async getAverageVolumes(tokens, day) {
+    const averages = new Map();
+    const before = getISTDayStart(day) - 1;
+
+    for (const token of tokens) {
+      try {
+        const candles = await marketStore.getCandles(token, 'day', { to: before, limit: this.VOLUME_DAYS });
+        const volumes = candles.map(candle => candle.volume).filter(volume => volume > 0);
+        if (volumes.length > 0) {
+          averages.set(token, volumes.reduce((sum, volume) => sum + volume, 0) / volumes.length);
+        }
+      } catch (error) {
+        logger.error(`❌ Could not read daily candles for ${token}:`, error.message);
+      }
+    }
+
+    return averages;
+  }
+
+  save(report) {
+    try {
+      const file = this.getReportFile(report.day);
+      fs.writeFileSync(`${file}.tmp`, JSON.stringify(report));
+      fs.renameSync(`${file}.tmp`, file);
+    } catch (error) {
+      logger.error('❌ Could not save end-of-day report:', error.message);
+    }
+  }
+
+  load(day) {
+    try {
+      const file = this.getReportFile(day);
+      return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+    } catch (error) {
+      logger.error(`❌ Could not read end-of-day report for ${day}:`, error.message);
+      return null;
+    }
+  }
+
+  getLatestDay() {
+    const days = fs.readdirSync(getDataDir('reports'))
+      .map(file => file.match(/^eod-(\d{4}-\d{2}-\d{2})\.json$/))
+      .filter(Boolean)
+      .map(match => match[1])
+      .sort();
+    return days[days.length - 1] || null;
+  }
+
+  // Live figures while the tracker has data, otherwise the saved report (the tracker clears after the session)
+  async getReport(day = null) {
+    const today = getDayKey();
+    if (!day || day === today) {
+      const live = await this.build(today);
+      if (live) return live;
+    }
+    return this.load(day || this.getLatestDay());
+  }
+
+  summarize(report) {
+    const rows = report.rows;
+    const byChange = [...rows].sort((a, b) => b.change_pct - a.change_pct);
+
+    return {
+      advances: rows.filter(row => row.change > 0).length,
+      declines: rows.filter(row => row.change < 0).length,
+      unchanged: rows.filter(row => row.change === 0).length,
+      gainers: byChange.filter(row => row.change_pct > 0).slice(0, this.TOP),
+      losers: byChange.filter(row => row.change_pct < 0).reverse().slice(0, this.TOP),
+      volumeLeaders: rows
+        .filter(row => row.volume_ratio)
+        .sort((a, b) => b.volume_ratio - a.volume_ratio)
+        .slice(0, this.TOP)
+    };
+  }
+
+  // Sections as Discord messages, each under the 2000 character limit
+  format(report) {
+    const { advances, declines, unchanged, gainers, losers, volumeLeaders } = this.summarize(report);
+    const date = new Date(`${report.day}T12:00:00+05:30`).toLocaleDateString('en-IN', {
+      timeZone: 'Asia/Kolkata', weekday: 'short', day: 'numeric', month: 'short', year: 'numeric'
+    });
+    const priceLine = (row, index) =>
+      `${index + 1}. **${row.symbol}** ${formatPrice(row.close, row.exchange)} (${formatPct(row.change_pct)})`;
+    const symbols = (items) => items.map(item => item.symbol).join(', ');
+
+    const sections = [];
+
+    let header = `📊 **End of Day - ${date}**\n`;
+    header += `Instruments: ${report.rows.length}/${report.tracked} | `;
+    header += `🟢 ${advances} up | 🔴 ${declines} down | ⚪ ${unchanged} unchanged`;
+    header += declines > 0 ? ` | A/D ${(advances / declines).toFixed(2)}\n` : '\n';
+    sections.push(header);
+
+    sections.push(`**🚀 Top Gainers**\n${gainers.length ? gainers.map(priceLine).join('\n') : 'None'}\n`);
+    sections.push(`**📉 Top Losers**\n${losers.length ? losers.map(priceLine).join('\n') : 'None'}\n`);
+    sections.push(
+      `**🔊 Volume vs ${this.VOLUME_DAYS}-day Average**\n` +
+      (volumeLeaders.length
+        ? volumeLeaders.map((row, index) =>
+          `${index + 1}. **${row.symbol}** ${row.volume_ratio.toFixed(1)}x (${formatLakhs(row.volume)} vs ${formatLakhs(row.avg_volume)}) ${formatPct(row.change_pct)}`
+        ).join('\n')
+        : 'No volume history yet') + '\n'
+    );
+
+    const upper = report.circuits.filter(hit => hit.side === 'upper');
+    const lower = report.circuits.filter(hit => hit.side === 'lower');
+    const highs = report.breakouts.filter(event => event.side === 'high');
+    const lows = report.breakouts.filter(event => event.side === 'low');
+    let levels = `**🚦 Circuits & 52-Week Levels**\n`;
+    levels += `🔒 Upper circuit (${upper.length}): ${upper.length ? symbols(upper) : 'None'}\n`;
+    levels += `🔒 Lower circuit (${lower.length}): ${lower.length ? symbols(lower) : 'None'}\n`;
+    levels += `🏔️ 52-week highs (${highs.length}): ${highs.length ? symbols(highs) : 'None'}\n`;
+    levels += `📉 52-week lows (${lows.length}): ${lows.length ? symbols(lows) : 'None'}\n`;
+    sections.push(levels);
+
+    const counts = Object.entries(report.alerts);
+    const total = counts.reduce((sum, [, count]) => sum + count, 0);
+    const ruleCount = counts.filter(([source]) => !ALERT_SOURCES[source]).reduce((sum, [, count]) => sum + count, 0);
+    const parts = [];
+    if (ruleCount) parts.push(`rules ${ruleCount}`);
+    Object.entries(ALERT_SOURCES).forEach(([source, label]) => {
+      if (report.alerts[source]) parts.push(`${label} ${report.alerts[source]}`);
+    });
+    sections.push(
+      `**🔔 Alerts Fired:** ${total}${parts.length ? ` (${parts.join(', ')})` : ''}` +
+      ` | Price alerts: ${report.priceAlerts}\n`
+    );
+
+    // Pack sections into as few messages as fit, trimming any single oversized section
+    const messages = [];
+    let current = '';
+    sections.forEach(section => {
+      const text = section.length > 1990 ? `${section.slice(0, 1950)}\n…(truncated)\n` : section;
+      if (current && current.length + text.length + 1 > 1990) {
+        messages.push(current.trimEnd());
+        current = '';
+      }
+      current += `${current ? '\n' : ''}${text}`;
+    });
+    if (current) messages.push(current.trimEnd());
+    return messages;
+  }
+
+  toCsv(report) {
+    const lines = [CSV_COLUMNS.join(',')];
+    [...report.rows]
+      .sort((a, b) => b.change_pct - a.change_pct)
+      .forEach(row => {
+        lines.push(CSV_COLUMNS.map(column => csvField(row[column])).join(','));
+      });
+    return lines.join('\n') + '\n';
+  }
+
+  getStatus() {
+    return {
+      enabled: this.ENABLED,
+      pending: !!this.reportTimer,
+      lastPosted: this.lastPosted
+    };
+  }
+}
+
+module.exports = new EodReportService();
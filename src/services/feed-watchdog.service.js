@@ -0,0 +1,181 @@
+const kiteSocket = require('./kite-socket.service');
+const discordService = require('./discord.service');
+const logger = require('../utils/logger');
+const { isMarketOpen } = require('../utils/market-calendar');
+const { getTokenExchange } = require('../utils/symbols');
+
+class FeedWatchdogService {
+  constructor() {
+    this.checkInterval = null;
+    this.sessionStarts = new Map(); // exchange -> when it was first seen open this session
+    this.lastCheck = null;
+    this.incidents = [];
+    this.starvedTokens = new Set();
+    this.refreshedTokens = new Set(); // Tokens already resubscribed once this session
+
+    // All timeouts in ms, overridable from the environment
+    this.CHECK_INTERVAL = parseInt(process.env.FEED_WATCHDOG_INTERVAL_MS) || 15000;
+    this.HEARTBEAT_TIMEOUT = parseInt(process.env.FEED_HEARTBEAT_TIMEOUT_MS) || 30000;
+    this.STALE_TICK_TIMEOUT = parseInt(process.env.FEED_STALE_TICK_TIMEOUT_MS) || 60000;
+    this.TOKEN_STARVATION_TIMEOUT = parseInt(process.env.FEED_TOKEN_STARVATION_MS) || 600000;
+    this.MAX_INCIDENTS = 20;
+  }
+
+  start() {
+    if (this.checkInterval) return;
+
+    this.checkInterval = setInterval(() => {
+      this.check().catch(error => {
+        logger.error('❌ Feed watchdog check failed:', error.message);
+      });
+    }, this.CHECK_INTERVAL);
+
+    logger.info(`🐕 Feed watchdog started (${this.CHECK_INTERVAL / 1000}s checks)`);
+  }
+
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+      logger.info('🐕 Feed watchdog stopped');
+    }
+  }
+
+  async check(now = new Date()) {
+    this.lastCheck = now;
+    this.updateSessions(now);
+    if (this.sessionStarts.size === 0) return;
+
+    for (const conn of kiteSocket.connections) {
+      if (!conn.isConnected || conn.tokens.size === 0) continue;
+
+      // MCX keeps a shard busy in the evening while its NSE tokens are rightly silent
+      const starts = Array.from(new Set(Array.from(conn.tokens, getTokenExchange)))
+        .filter(exchange => this.sessionStarts.has(exchange))
+        .map(exchange => this.sessionStarts.get(exchange));
+      if (starts.length === 0) continue;
+      await this.checkConnection(conn, now, new Date(Math.max(...starts)));
+    }
+  }
+
+  // Ticks from a previous session must not count as "recent", so each exchange's session starts when it is first seen open
+  updateSessions(now) {
+    const exchanges = new Set();
+    kiteSocket.connections.forEach(conn => conn.tokens.forEach(token => exchanges.add(getTokenExchange(token))));
+
+    exchanges.forEach(exchange => {
+      if (!isMarketOpen(exchange, now)) {
+        this.endSession(exchange);
+      } else if (!this.sessionStarts.has(exchange)) {
+        this.sessionStarts.set(exchange, now);
+      }
+    });
+    Array.from(this.sessionStarts.keys())
+      .filter(exchange => !exchanges.has(exchange))
+      .forEach(exchange => this.endSession(exchange));
+  }
+
+  endSession(exchange) {
+    if (!this.sessionStarts.delete(exchange)) return;
+    [this.starvedTokens, this.refreshedTokens].forEach(tokens => {
+      tokens.forEach(token => {
+        if (getTokenExchange(token) === exchange) tokens.delete(token);
+      });
+    });
+  }
+
+  async checkConnection(conn, now, sessionStart) {
+    const since = (...times) => now - Math.max(...times.filter(Boolean).map(t => t.getTime()));
+    const silentFor = since(conn.lastMessageTime, conn.connectedAt, sessionStart);
+    const tickAge = since(conn.lastTickTime, conn.connectedAt, sessionStart);
+
+    if (silentFor > this.HEARTBEAT_TIMEOUT) {
+      await this.reportIncident('feed_dead', conn,
+        `No ticks or heartbeats for ${Math.round(silentFor / 1000)}s`);
+      kiteSocket.forceReconnect(conn, 'heartbeats stopped');
+      return;
+    }
+
+    if (tickAge > this.STALE_TICK_TIMEOUT) {
+      await this.reportIncident('tick_starvation', conn,
+        `Heartbeats arriving but no ticks for ${Math.round(tickAge / 1000)}s`);
+      kiteSocket.forceReconnect(conn, 'no ticks during market hours');
+      return;
+    }
+
+    await this.checkTokens(conn, now);
+  }
+
+  // The shard itself is healthy here, so anything silent for this long is a per-token problem
+  async checkTokens(conn, now) {
+    const starving = [];
+
+    conn.tokens.forEach(token => {
+      if (kiteSocket.tokenLastTick.has(token)) {
+        this.starvedTokens.delete(token);
+        return;
+      }
+
+      const sessionStart = this.sessionStarts.get(getTokenExchange(token));
+      if (!sessionStart) return;
+
+      const subscribedAt = kiteSocket.tokenSubscribedAt.get(token);
+      const waitingFor = now - Math.max(subscribedAt.getTime(), sessionStart.getTime());
+      if (waitingFor > this.TOKEN_STARVATION_TIMEOUT && !this.starvedTokens.has(token)) {
+        starving.push(token);
+      }
+    });
+
+    if (starving.length === 0) return;
+
+    starving.forEach(token => this.starvedTokens.add(token));
+
+    const toRefresh = starving.filter(token => !this.refreshedTokens.has(token));
+    toRefresh.forEach(token => this.refreshedTokens.add(token));
+    if (toRefresh.length > 0) {
+      kiteSocket.refreshTokens(toRefresh);
+    }
+
+    const preview = starving.slice(0, 10).join(', ');
+    await this.reportIncident('token_starvation', conn,
+      `${starving.length} token(s) never ticked this session: ${preview}${starving.length > 10 ? ', ...' : ''}\n` +
+      `Resubscribed ${toRefresh.length} of them`);
+  }
+
+  async reportIncident(type, conn, detail) {
+    const incident = { type, shard: conn.id, detail, time: new Date() };
+    this.incidents.push(incident);
+    if (this.incidents.length > this.MAX_INCIDENTS) {
+      this.incidents.shift();
+    }
+
+    const titles = {
+      feed_dead: '💀 **Market Feed Dead**',
+      tick_starvation: '🥶 **Market Feed Stalled**',
+      token_starvation: '🔇 **Silent Instruments Detected**'
+    };
+
+    logger.warn(`🐕 Watchdog [${type}] shard #${conn.id}: ${detail}`);
+    await discordService.log(
+      `${titles[type]}\nShard #${conn.id}: ${detail}` +
+      (type === 'token_starvation' ? '' : '\nForcing reconnect + resubscribe'),
+      type === 'token_starvation' ? 'warning' : 'error'
+    );
+  }
+
+  getStatus() {
+    const lastIncident = this.incidents[this.incidents.length - 1] || null;
+    return {
+      running: !!this.checkInterval,
+      marketOpen: kiteSocket.connections.some(conn => kiteSocket.isTradingHours(conn.tokens)),
+      lastCheck: this.lastCheck,
+      incidents: this.incidents.length,
+      lastIncident,
+      starvedTokens: this.starvedTokens.size,
+      heartbeatTimeout: this.HEARTBEAT_TIMEOUT,
+      staleTickTimeout: this.STALE_TICK_TIMEOUT
+    };
+  }
+}
+
+module.exports = new FeedWatchdogService();
@@ -0,0 +1,153 @@
+const EventEmitter = require('events');
+const candleAggregator = require('./candle-aggregator.service');
+const marketStore = require('./market-store.service');
+const logger = require('../utils/logger');
+const { IndicatorSet } = require('../utils/indicators');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Enough closed candles for the slowest indicator (SMA 50, MACD 26+9) to settle
+const SEED_CANDLES = 200;
+
+// Calendar days to look back for SEED_CANDLES, allowing for weekends and holidays
+const SEED_LOOKBACK_DAYS = {
+  minute: 3,
+  '3minute': 7,
+  '5minute': 10,
+  '10minute': 20,
+  '15minute': 30,
+  '30minute': 60,
+  '60minute': 120,
+  day: 400
+};
+
+class IndicatorService extends EventEmitter {
+  constructor() {
+    super();
+    this.series = new Map(); // "token|interval" -> { set, ready, pending }
+    this.candleListener = (candle) => this.handleCandle(candle);
+    this.isRunning = false;
+
+    // Intervals kept warm for every tracked instrument; others are seeded the first time they are asked for
+    this.LIVE_INTERVALS = (process.env.INDICATOR_INTERVALS || '5minute,15minute')
+      .split(',')
+      .map(interval => interval.trim())
+      .filter(Boolean);
+  }
+
+  start() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+    candleAggregator.on('candle', this.candleListener);
+    logger.info(`📐 Indicators active (${this.LIVE_INTERVALS.join(', ')})`);
+  }
+
+  stop() {
+    if (!this.isRunning) return;
+    this.isRunning = false;
+    candleAggregator.off('candle', this.candleListener);
+    this.series.clear();
+  }
+
+  // Seeds the live intervals for the whole universe from stored candles, one series at a time
+  async seedAll(tokens) {
+    const started = Date.now();
+    let seeded = 0;
+
+    for (const token of tokens) {
+      for (const interval of this.LIVE_INTERVALS) {
+        try {
+          await this.ensureSeries(token, interval);
+          seeded++;
+        } catch (error) {
+          logger.error(`❌ Failed to seed indicators for ${token} ${interval}:`, error.message);
+        }
+      }
+    }
+
+    logger.info(`📐 Seeded ${seeded} indicator series in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+  }
+
+  async ensureSeries(token, interval) {
+    const key = `${token}|${interval}`;
+    let series = this.series.get(key);
+
+    if (!series) {
+      series = { set: new IndicatorSet(), ready: null, pending: [] };
+      this.series.set(key, series);
+      series.ready = this.seed(token, interval, series).catch(error => {
+        this.series.delete(key);
+        throw error;
+      });
+    }
+
+    await series.ready;
+    return series;
+  }
+
+  async seed(token, interval, series) {
+    const from = Date.now() - (SEED_LOOKBACK_DAYS[interval] || 30) * DAY_MS;
+    const candles = await marketStore.getCandles(token, interval, { from, limit: SEED_CANDLES });
+    candles.forEach(candle => series.set.update(candle));
+
+    // Candles that closed while the store was being read; IndicatorSet skips any it already has
+    const pending = series.pending;
+    series.pending = null;
+    pending.forEach(candle => this.applyCandle(series, candle));
+  }
+
+  handleCandle(candle) {
+    const series = this.series.get(`${candle.instrument_token}|${candle.interval}`);
+    if (!series) return;
+
+    if (series.pending) {
+      series.pending.push(candle);
+      return;
+    }
+    this.applyCandle(series, candle);
+  }
+
+  applyCandle(series, candle) {
+    if (!series.set.update(candle)) return;
+
+    try {
+      this.emit('update', {
+        instrument_token: candle.instrument_token,
+        interval: candle.interval,
+        candle,
+        values: series.set.snapshot()
+      });
+    } catch (error) {
+      logger.error('❌ Indicator listener failed:', error.message);
+    }
+  }
+
+  // Latest values for a series that is already warm, or null; safe to call from tick handlers
+  getIndicators(token, interval) {
+    const series = this.series.get(`${token}|${interval}`);
+    if (!series || series.pending) return null;
+    return series.set.snapshot();
+  }
+
+  async getIndicatorsAsync(token, interval) {
+    // Intervals with no live candles would go stale if cached, so they are rebuilt from the store each time
+    if (!candleAggregator.intervals.includes(interval)) {
+      const series = { set: new IndicatorSet(), pending: [] };
+      await this.seed(token, interval, series);
+      return series.set.snapshot();
+    }
+
+    const series = await this.ensureSeries(token, interval);
+    return series.set.snapshot();
+  }
+
+  getStatus() {
+    return {
+      running: this.isRunning,
+      intervals: this.LIVE_INTERVALS,
+      series: this.series.size
+    };
+  }
+}
+
+module.exports = new IndicatorService();
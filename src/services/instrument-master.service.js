@@ -0,0 +1,362 @@
+const fs = require('fs');
+const path = require('path');
+const cron = require('node-cron');
+const zerodhaService = require('./zerodha.service');
+const discordService = require('./discord.service');
+const logger = require('../utils/logger');
+const { getDataDir } = require('../utils/data-path');
+const { parseSymbol, isDerivative } = require('../utils/symbols');
+const fuzzySearch = require('../utils/fuzzy-search');
+const { isTradingDay } = require('../utils/market-calendar');
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+function getISTDateKey(time = Date.now()) {
+  return new Date(time + IST_OFFSET_MS).toISOString().split('T')[0];
+}
+
+// Kite parses expiry into a Date at UTC midnight; the day is all that matters
+function toDateKey(expiry) {
+  if (!expiry) return null;
+  const date = new Date(expiry);
+  return isNaN(date.getTime()) ? null : date.toISOString().split('T')[0];
+}
+
+// Only what lookups and formatting need, so the persisted dump stays small
+function compact(inst) {
+  return {
+    instrument_token: Number(inst.instrument_token),
+    exchange_token: Number(inst.exchange_token) || null,
+    tradingsymbol: inst.tradingsymbol,
+    name: inst.name || null,
+    exchange: inst.exchange,
+    segment: inst.segment || inst.exchange,
+    instrument_type: inst.instrument_type || null,
+    expiry: toDateKey(inst.expiry),
+    strike: Number(inst.strike) || null,
+    tick_size: Number(inst.tick_size) || null,
+    lot_size: Number(inst.lot_size) || null,
+    ...(inst.isin && { isin: inst.isin })
+  };
+}
+
+function addTo(index, key, instrument) {
+  if (!key) return;
+  if (!index.has(key)) index.set(key, []);
+  index.get(key).push(instrument);
+}
+
+class InstrumentMasterService {
+  constructor() {
+    this.instruments = [];
+    this.byToken = new Map();
+    this.bySymbol = new Map(); // "NSE:RELIANCE" -> instrument
+    this.byTradingsymbol = new Map(); // "RELIANCE" -> instruments on every exchange
+    this.byName = new Map(); // "RELIANCE INDUSTRIES" -> instruments
+    this.byUnderlying = new Map(); // "NIFTY" -> futures and options on it
+    this.byExpiry = new Map(); // "2025-12-30" -> contracts expiring that day
+    this.byIsin = new Map(); // Kite's dump has no ISIN column, this fills only when a record carries one
+    this.searchEntries = []; // [{ item, keys }] with the normalized search keys
+    this.day = null;
+    this.loadedAt = null;
+    this.loading = null;
+    this.refreshJob = null;
+    this.lastDiff = null;
+
+    // Kite regenerates the dump early each morning; the login at 5:45 can still see yesterday's
+    this.REFRESH_CRON = process.env.INSTRUMENT_REFRESH_CRON || '40 8 * * *';
+    this.KEEP_DAYS = parseInt(process.env.INSTRUMENT_KEEP_DAYS || '5');
+  }
+
+  getDumpFile(day) {
+    return path.join(getDataDir('instruments'), `${day}.json`);
+  }
+
+  start() {
+    if (this.refreshJob) return;
+
+    // Contracts only roll on days something trades; MCX keeps trading on most equity holidays
+    this.refreshJob = cron.schedule(this.REFRESH_CRON, async () => {
+      if (!isTradingDay('NSE') && !isTradingDay('MCX')) return;
+      try {
+        await this.refresh();
+      } catch (error) {
+        logger.error('❌ Instrument refresh failed:', error.message);
+      }
+    }, {
+      timezone: 'Asia/Kolkata'
+    });
+  }
+
+  stop() {
+    if (this.refreshJob) {
+      this.refreshJob.stop();
+      this.refreshJob = null;
+    }
+  }
+
+  isLoaded() {
+    return this.instruments.length > 0;
+  }
+
+  // Today's dump from memory, then disk, then Kite. Offline it settles for the newest dump on disk.
+  async load() {
+    if (this.day === getISTDateKey() && this.isLoaded()) return;
+    if (this.loading) return this.loading;
+
+    this.loading = (async () => {
+      const today = getISTDateKey();
+      const stored = this.readDump(today);
+      if (stored) {
+        this.setInstruments(stored, today);
+        logger.info(`📚 Loaded ${stored.length} instruments from today's dump`);
+        return;
+      }
+
+      if (zerodhaService.isConnected) {
+        await this.download();
+        return;
+      }
+
+      const latest = this.getStoredDays().pop();
+      if (latest && !this.isLoaded()) {
+        this.setInstruments(this.readDump(latest), latest);
+        logger.warn(`⚠️ Kite not connected, using instrument dump from ${latest}`);
+      }
+    })().finally(() => {
+      this.loading = null;
+    });
+
+    return this.loading;
+  }
+
+  async refresh() {
+    if (this.loading) await this.loading;
+    this.loading = this.download().finally(() => {
+      this.loading = null;
+    });
+    return this.loading;
+  }
+
+  async download() {
+    const started = Date.now();
+    const today = getISTDateKey();
+
+    // Without a parameter Kite returns every exchange in one dump
+    const instruments = (await zerodhaService.kite.getInstruments()).map(compact);
+    if (instruments.length === 0) throw new Error('Kite returned an empty instrument dump');
+
+    // Diff against what was in use, or the last stored day on a cold start
+    let previous = this.isLoaded() ? this.instruments : null;
+    if (!previous) {
+      const previousDay = this.getStoredDays().filter(day => day < today).pop();
+      previous = previousDay ? this.readDump(previousDay) : null;
+    }
+
+    this.setInstruments(instruments, today);
+    this.writeDump(today, instruments);
+    this.prune();
+
+    const exchanges = Array.from(new Set(instruments.map(inst => inst.exchange)));
+    logger.info(`📚 Downloaded ${instruments.length} instruments across ${exchanges.join(', ')} in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+
+    if (previous) await this.reportChanges(this.diff(previous, instruments));
+  }
+
+  setInstruments(instruments, day) {
+    this.instruments = instruments;
+    this.day = day;
+    this.loadedAt = new Date();
+
+    this.byToken = new Map();
+    this.bySymbol = new Map();
+    this.byTradingsymbol = new Map();
+    this.byName = new Map();
+    this.byUnderlying = new Map();
+    this.byExpiry = new Map();
+    this.byIsin = new Map();
+    this.searchEntries = instruments.map(inst => ({ item: inst, keys: fuzzySearch.prepare(inst) }));
+
+    instruments.forEach(inst => {
+      this.byToken.set(inst.instrument_token, inst);
+      this.bySymbol.set(`${inst.exchange}:${inst.tradingsymbol}`, inst);
+      addTo(this.byTradingsymbol, inst.tradingsymbol, inst);
+      addTo(this.byName, inst.name && inst.name.toUpperCase(), inst);
+      if (isDerivative(inst.exchange)) {
+        addTo(this.byUnderlying, inst.name && inst.name.toUpperCase(), inst);
+        addTo(this.byExpiry, inst.expiry, inst);
+      }
+      if (inst.isin) this.byIsin.set(inst.isin, inst);
+    });
+  }
+
+  readDump(day) {
+    try {
+      const file = this.getDumpFile(day);
+      return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+    } catch (error) {
+      logger.error(`❌ Could not read instrument dump for ${day}:`, error.message);
+      return null;
+    }
+  }
+
+  writeDump(day, instruments) {
+    try {
+      const file = this.getDumpFile(day);
+      fs.writeFileSync(`${file}.tmp`, JSON.stringify(instruments));
+      fs.renameSync(`${file}.tmp`, file);
+    } catch (error) {
+      logger.error('❌ Could not save instrument dump:', error.message);
+    }
+  }
+
+  getStoredDays() {
+    return fs.readdirSync(getDataDir('instruments'))
+      .filter(file => /^\d{4}-\d{2}-\d{2}\.json$/.test(file))
+      .map(file => file.replace('.json', ''))
+      .sort();
+  }
+
+  prune() {
+    const days = this.getStoredDays();
+    days.slice(0, Math.max(0, days.length - this.KEEP_DAYS)).forEach(day => {
+      try {
+        fs.unlinkSync(this.getDumpFile(day));
+      } catch (error) {
+        logger.warn(`⚠️ Could not remove old instrument dump ${day}: ${error.message}`);
+      }
+    });
+  }
+
+  // Keyed by exchange and trading symbol; tokens of unchanged instruments can be reassigned
+  diff(previous, current) {
+    const key = inst => `${inst.exchange}:${inst.tradingsymbol}`;
+    const before = new Set(previous.map(key));
+    const after = new Set(current.map(key));
+
+    const diff = {
+      added: current.filter(inst => !before.has(key(inst))),
+      removed: previous.filter(inst => !after.has(key(inst)))
+    };
+    this.lastDiff = { day: this.day, added: diff.added.length, removed: diff.removed.length };
+    return diff;
+  }
+
+  async reportChanges({ added, removed }) {
+    if (added.length === 0 && removed.length === 0) return;
+
+    // Contracts list and expire every day, so only cash-segment changes are named
+    const countByExchange = list => {
+      const counts = {};
+      list.forEach(inst => {
+        counts[inst.exchange] = (counts[inst.exchange] || 0) + 1;
+      });
+      return Object.entries(counts).map(([exchange, count]) => `${exchange} ${count}`).join(', ');
+    };
+    const listCash = list => list
+      .filter(inst => !isDerivative(inst.exchange) && inst.segment !== 'INDICES')
+      .slice(0, 15)
+      .map(inst => `• ${inst.exchange}:${inst.tradingsymbol}${inst.name ? ` - ${inst.name}` : ''}`);
+
+    let message = `📚 **Instrument Master Updated (${this.day})**\n`;
+    if (added.length > 0) {
+      message += `\n🆕 **Added ${added.length}** (${countByExchange(added)})\n`;
+      const lines = listCash(added);
+      if (lines.length > 0) message += lines.join('\n') + '\n';
+    }
+    if (removed.length > 0) {
+      message += `\n🗑️ **Removed ${removed.length}** (${countByExchange(removed)})\n`;
+      const lines = listCash(removed);
+      if (lines.length > 0) message += lines.join('\n') + '\n';
+    }
+
+    logger.info(`📚 Instrument changes: +${added.length} / -${removed.length}`);
+    await discordService.log(message.slice(0, 1990), 'info');
+  }
+
+  getByToken(token) {
+    return this.byToken.get(Number(token)) || null;
+  }
+
+  // "NSE:RELIANCE" for a token, the form used for subscriptions and quotes
+  getSymbol(token) {
+    const inst = this.getByToken(token);
+    return inst ? `${inst.exchange}:${inst.tradingsymbol}` : null;
+  }
+
+  getBySymbol(symbol) {
+    return this.bySymbol.get(parseSymbol(symbol).symbol) || null;
+  }
+
+  findByTradingsymbol(tradingsymbol) {
+    return this.byTradingsymbol.get(String(tradingsymbol).toUpperCase()) || [];
+  }
+
+  findByName(name) {
+    return this.byName.get(String(name).toUpperCase()) || [];
+  }
+
+  getByIsin(isin) {
+    return this.byIsin.get(String(isin).toUpperCase()) || null;
+  }
+
+  // Futures and options on an underlying, nearest expiry first
+  getContracts(underlying, { exchange = null, expiry = null, type = null } = {}) {
+    return (this.byUnderlying.get(String(underlying).toUpperCase()) || [])
+      .filter(inst => (!exchange || inst.exchange === exchange) &&
+        (!expiry || inst.expiry === expiry) &&
+        (!type || inst.instrument_type === type))
+      .sort((a, b) => (a.expiry || '').localeCompare(b.expiry || '') || (a.strike || 0) - (b.strike || 0));
+  }
+
+  getExpiries(underlying, exchange = null) {
+    return Array.from(new Set(this.getContracts(underlying, { exchange }).map(inst => inst.expiry))).filter(Boolean);
+  }
+
+  getExpiring(day) {
+    return this.byExpiry.get(day) || [];
+  }
+
+  // Ranked fuzzy match; equal scores follow the exchange order given, then nearest expiry and strike
+  search(query, { exchanges = null, segment = null, type = null, expiry = null, offset = 0, limit = 10 } = {}) {
+    const exchangeRank = inst => (exchanges ? exchanges.indexOf(inst.exchange) : 0);
+
+    return fuzzySearch.rank(this.searchEntries, query, {
+      filter: inst => (!exchanges || exchanges.includes(inst.exchange)) &&
+        (!segment || inst.segment === segment) &&
+        (!type || inst.instrument_type === type) &&
+        (!expiry || (inst.expiry && inst.expiry.startsWith(expiry))),
+      compare: (a, b) => exchangeRank(a) - exchangeRank(b) ||
+        (a.expiry || '').localeCompare(b.expiry || '') ||
+        (a.strike || 0) - (b.strike || 0) ||
+        a.tradingsymbol.length - b.tradingsymbol.length ||
+        a.tradingsymbol.localeCompare(b.tradingsymbol),
+      offset,
+      limit
+    });
+  }
+
+  // Closest instruments to a symbol that did not resolve, on its own exchange first
+  suggest(symbol, limit = 5) {
+    const { exchange, tradingsymbol } = parseSymbol(symbol);
+    const sameExchange = this.search(tradingsymbol, { exchanges: [exchange], limit });
+    return sameExchange.total > 0 ? sameExchange.items : this.search(tradingsymbol, { limit }).items;
+  }
+
+  getStatus() {
+    const counts = {};
+    this.instruments.forEach(inst => {
+      counts[inst.exchange] = (counts[inst.exchange] || 0) + 1;
+    });
+
+    return {
+      day: this.day,
+      loadedAt: this.loadedAt,
+      instruments: this.instruments.length,
+      exchanges: counts,
+      lastDiff: this.lastDiff
+    };
+  }
+}
+
+module.exports = new InstrumentMasterService();
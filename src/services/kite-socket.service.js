@@ -0,0 +1,737 @@
+const WebSocket = require('ws');
+const zlib = require('zlib');
+const discordService = require('./discord.service');
+const logger = require('../utils/logger');
+const tickParser = require('../utils/tick-parser');
+const { isMarketOpen } = require('../utils/market-calendar');
+const { getTokenExchange } = require('../utils/symbols');
+
+// Higher number wins when several consumers want the same token in different modes
+const MODE_PRIORITY = { ltp: 1, quote: 2, full: 3 };
+
+function formatDuration(ms) {
+  const totalSeconds = Math.round(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m ${seconds}s`;
+  return `${seconds}s`;
+}
+
+class KiteSocketService {
+  constructor() {
+    this.connections = [];
+    this.consumers = new Map(); // consumerId -> { handlers, tokens: Map<token, mode> }
+    this.tokenConsumers = new Map(); // token -> Set of consumerIds
+    this.tokenModeCounts = new Map(); // token -> { ltp, quote, full } reference counts
+    this.tokenConnection = new Map(); // token -> connection that carries it
+    this.tokenSubscribedAt = new Map(); // token -> when it was first streamed
+    this.tokenLastTick = new Map(); // token -> time of its last tick
+    this.nextConnectionId = 1;
+    this.tickCount = 0;
+    this.heartbeatCount = 0;
+    this.textMessageCount = 0;
+    this.malformedFrameCount = 0;
+    this.lastParseError = null;
+    this.lastTickTime = null;
+    this.frameTaps = new Set(); // Listeners for raw live frames (tick recorder)
+    this.offline = false; // Replay mode keeps subscriptions but stops talking to Kite
+
+    // Kite limits
+    this.MAX_TOKENS_PER_CONNECTION = 3000;
+    this.MAX_CONNECTIONS = 3;
+    this.CONNECT_TIMEOUT = 10000;
+
+    // Reconnect policy: exponential backoff with jitter, unlimited while the market is open
+    this.RECONNECT_BASE_DELAY = 1000;
+    this.RECONNECT_MAX_DELAY = 60000;
+    this.maxReconnectAttempts = 10; // Only applies outside market hours
+    this.reloginInProgress = false;
+
+    // Re-login after a 403: a few spaced-out attempts, then wait for someone to log in by hand
+    this.RELOGIN_RETRY_DELAY = 5 * 60 * 1000;
+    this.MAX_RELOGIN_ATTEMPTS = 3;
+    this.reloginAttempts = 0;
+    this.reloginTimer = null;
+  }
+
+  get isConnected() {
+    return this.connections.some(conn => conn.isConnected);
+  }
+
+  register(consumerId, handlers = {}) {
+    if (!this.consumers.has(consumerId)) {
+      this.consumers.set(consumerId, { handlers, tokens: new Map() });
+      logger.info(`🔌 Registered stream consumer: ${consumerId}`);
+    } else {
+      this.consumers.get(consumerId).handlers = handlers;
+    }
+  }
+
+  async unregister(consumerId) {
+    const consumer = this.consumers.get(consumerId);
+    if (!consumer) return;
+
+    await this.unsubscribe(consumerId, Array.from(consumer.tokens.keys()));
+    this.consumers.delete(consumerId);
+    logger.info(`🔌 Unregistered stream consumer: ${consumerId}`);
+
+    if (this.consumers.size === 0) {
+      this.disconnectAll();
+    }
+  }
+
+  async subscribe(consumerId, tokens, mode = 'quote') {
+    const consumer = this.consumers.get(consumerId);
+    if (!consumer) {
+      throw new Error(`Unknown stream consumer: ${consumerId}`);
+    }
+    if (!MODE_PRIORITY[mode]) {
+      throw new Error(`Invalid mode: ${mode}`);
+    }
+
+    const added = [];
+    const modeChanged = [];
+
+    tokens.forEach(token => {
+      const previousMode = consumer.tokens.get(token);
+      if (previousMode === mode) return;
+
+      const before = this.getEffectiveMode(token);
+      if (previousMode) {
+        this.tokenModeCounts.get(token)[previousMode]--;
+      } else {
+        if (!this.tokenConsumers.has(token)) {
+          this.tokenConsumers.set(token, new Set());
+          this.tokenModeCounts.set(token, { ltp: 0, quote: 0, full: 0 });
+        }
+        this.tokenConsumers.get(token).add(consumerId);
+      }
+
+      consumer.tokens.set(token, mode);
+      this.tokenModeCounts.get(token)[mode]++;
+
+      if (!before) {
+        added.push(token);
+      } else if (this.getEffectiveMode(token) !== before) {
+        modeChanged.push(token);
+      }
+    });
+
+    const rejected = this.assignConnections(added);
+    if (rejected.length > 0) {
+      logger.error(`❌ Connection limit reached, ${rejected.length} tokens not streamed`);
+      rejected.forEach(token => this.release(consumerId, token));
+    }
+
+    const addedSet = new Set(added);
+    const byConnection = new Map(); // connection -> tokens
+    added.concat(modeChanged).forEach(token => {
+      const conn = this.tokenConnection.get(token);
+      if (!conn) return;
+      if (!byConnection.has(conn)) byConnection.set(conn, []);
+      byConnection.get(conn).push(token);
+    });
+
+    for (const [conn, connTokens] of byConnection) {
+      if (conn.isConnected) {
+        this.sendSubscriptions(conn, connTokens, token => addedSet.has(token));
+      } else {
+        // A fresh connection subscribes its whole token set on open
+        await this.ensureConnected(conn);
+      }
+    }
+
+    return { subscribed: tokens.length - rejected.length, rejected };
+  }
+
+  async unsubscribe(consumerId, tokens) {
+    const consumer = this.consumers.get(consumerId);
+    if (!consumer) return;
+
+    const removed = new Map(); // connection -> tokens
+    const modeChanged = new Map();
+
+    tokens.forEach(token => {
+      if (!consumer.tokens.has(token)) return;
+
+      const before = this.getEffectiveMode(token);
+      const conn = this.tokenConnection.get(token);
+      this.release(consumerId, token);
+      if (!conn) return;
+
+      const after = this.getEffectiveMode(token);
+      if (!after) {
+        if (!removed.has(conn)) removed.set(conn, []);
+        removed.get(conn).push(token);
+        conn.tokens.delete(token);
+        this.tokenConnection.delete(token);
+        this.tokenSubscribedAt.delete(token);
+        this.tokenLastTick.delete(token);
+      } else if (after !== before) {
+        if (!modeChanged.has(conn)) modeChanged.set(conn, []);
+        modeChanged.get(conn).push(token);
+      }
+    });
+
+    removed.forEach((connTokens, conn) => {
+      this.send(conn, { a: 'unsubscribe', v: connTokens });
+      if (conn.tokens.size === 0) {
+        this.closeConnection(conn);
+      }
+    });
+    modeChanged.forEach((connTokens, conn) => {
+      this.sendSubscriptions(conn, connTokens, () => false);
+    });
+  }
+
+  release(consumerId, token) {
+    const consumer = this.consumers.get(consumerId);
+    const mode = consumer.tokens.get(token);
+    consumer.tokens.delete(token);
+
+    const counts = this.tokenModeCounts.get(token);
+    if (counts && mode) counts[mode]--;
+
+    const holders = this.tokenConsumers.get(token);
+    if (holders) {
+      holders.delete(consumerId);
+      if (holders.size === 0) {
+        this.tokenConsumers.delete(token);
+        this.tokenModeCounts.delete(token);
+      }
+    }
+  }
+
+  getEffectiveMode(token) {
+    const counts = this.tokenModeCounts.get(token);
+    if (!counts) return null;
+    if (counts.full > 0) return 'full';
+    if (counts.quote > 0) return 'quote';
+    if (counts.ltp > 0) return 'ltp';
+    return null;
+  }
+
+  assignConnections(tokens) {
+    const rejected = [];
+
+    tokens.forEach(token => {
+      let conn = this.connections.find(c => c.tokens.size < this.MAX_TOKENS_PER_CONNECTION);
+      if (!conn) {
+        if (this.connections.length >= this.MAX_CONNECTIONS) {
+          rejected.push(token);
+          return;
+        }
+        conn = this.createConnection();
+      }
+      conn.tokens.add(token);
+      this.tokenConnection.set(token, conn);
+      this.tokenSubscribedAt.set(token, new Date());
+    });
+
+    return rejected;
+  }
+
+  createConnection() {
+    const conn = {
+      id: this.nextConnectionId++,
+      ws: null,
+      isConnected: false,
+      closing: false,
+      connecting: null,
+      tokens: new Set(),
+      reconnectAttempts: 0,
+      reconnectTimer: null,
+      outageStart: null,
+      authFailed: false,
+      connectedAt: null,
+      tickCount: 0,
+      lastMessageTime: null,
+      lastHeartbeatTime: null,
+      lastTickTime: null
+    };
+    this.connections.push(conn);
+    logger.info(`🧩 Opened stream shard #${conn.id}`);
+    return conn;
+  }
+
+  ensureConnected(conn) {
+    if (conn.isConnected || this.offline) return Promise.resolve();
+    if (!conn.connecting) {
+      conn.connecting = this.openConnection(conn).finally(() => {
+        conn.connecting = null;
+      });
+    }
+    return conn.connecting;
+  }
+
+  openConnection(conn) {
+    return new Promise((resolve, reject) => {
+      const API_KEY = process.env.ZERODHA_API_KEY;
+      const ACCESS_TOKEN = process.env.ZERODHA_ACCESS_TOKEN;
+
+      if (!API_KEY || !ACCESS_TOKEN) {
+        reject(new Error('Missing API_KEY or ACCESS_TOKEN'));
+        return;
+      }
+
+      const WS_ROOT = process.env.KITE_WS_URL || 'wss://ws.kite.trade';
+      const WS_URL = `${WS_ROOT}?api_key=${API_KEY}&access_token=${ACCESS_TOKEN}`;
+      const ws = new WebSocket(WS_URL);
+      conn.ws = ws;
+      conn.closing = false;
+      conn.authFailed = false;
+
+      const timeout = setTimeout(() => {
+        reject(new Error('WebSocket connection timeout'));
+        ws.terminate();
+      }, this.CONNECT_TIMEOUT);
+
+      ws.on('open', () => {
+        clearTimeout(timeout);
+        logger.info(`✅ WebSocket connected (shard #${conn.id})`);
+        const attempts = conn.reconnectAttempts;
+        conn.isConnected = true;
+        conn.connectedAt = new Date();
+        conn.reconnectAttempts = 0;
+        this.cancelRelogin();
+
+        // Always replay the full token set so reconnects restore the exact subscriptions
+        this.sendSubscriptions(conn, Array.from(conn.tokens), () => true);
+        this.notifyConsumers('onConnect', conn);
+
+        if (conn.outageStart) {
+          this.reportRecovery(conn, attempts);
+        }
+        resolve();
+      });
+
+      ws.on('unexpected-response', (req, res) => {
+        logger.error(`❌ WebSocket handshake rejected (shard #${conn.id}): HTTP ${res.statusCode}`);
+        if (res.statusCode === 403) {
+          conn.authFailed = true;
+        }
+        ws.terminate();
+      });
+
+      ws.on('message', (message, isBinary) => {
+        const receivedAt = new Date();
+        this.frameTaps.forEach(tap => tap(message, isBinary, conn.id, receivedAt));
+        this.handleMessage(conn, message, receivedAt);
+      });
+
+      ws.on('close', () => {
+        if (conn.ws !== ws) return;
+        const wasConnected = conn.isConnected;
+        conn.isConnected = false;
+        logger.warn(`⚠️ WebSocket disconnected (shard #${conn.id})`);
+
+        if (wasConnected) {
+          this.notifyConsumers('onDisconnect', conn);
+        }
+        if (conn.closing || conn.tokens.size === 0) return;
+
+        if (wasConnected && !conn.outageStart) {
+          this.reportOutage(conn);
+        }
+        if (conn.authFailed) {
+          this.handleAuthFailure();
+        } else {
+          this.attemptReconnect(conn);
+        }
+      });
+
+      ws.on('error', (err) => {
+        clearTimeout(timeout);
+        logger.error(`❌ WebSocket error (shard #${conn.id}):`, err.message);
+        if (!conn.isConnected) {
+          reject(err);
+        }
+      });
+    });
+  }
+
+  sendSubscriptions(conn, tokens, isNew) {
+    if (!conn.isConnected || tokens.length === 0) return;
+
+    const fresh = tokens.filter(token => isNew(token));
+    if (fresh.length > 0) {
+      this.send(conn, { a: 'subscribe', v: fresh });
+    }
+
+    const byMode = { ltp: [], quote: [], full: [] };
+    tokens.forEach(token => {
+      const mode = this.getEffectiveMode(token);
+      if (mode) byMode[mode].push(token);
+    });
+
+    Object.entries(byMode).forEach(([mode, modeTokens]) => {
+      if (modeTokens.length > 0) {
+        this.send(conn, { a: 'mode', v: [mode, modeTokens] });
+      }
+    });
+
+    logger.info(`📡 Shard #${conn.id}: ${conn.tokens.size} tokens (${fresh.length} new)`);
+  }
+
+  send(conn, payload) {
+    if (!conn.ws || !conn.isConnected) return;
+    try {
+      conn.ws.send(JSON.stringify(payload));
+    } catch (error) {
+      logger.error(`❌ Failed to send to shard #${conn.id}:`, error.message);
+    }
+  }
+
+  async resubscribe() {
+    for (const conn of this.connections) {
+      if (conn.isConnected) {
+        this.sendSubscriptions(conn, Array.from(conn.tokens), () => true);
+      } else {
+        await this.ensureConnected(conn);
+      }
+    }
+  }
+
+  handleMessage(conn, message, receivedAt = new Date()) {
+    if (!Buffer.isBuffer(message)) return;
+    conn.lastMessageTime = receivedAt;
+
+    if (message.length > 0 && message[0] === 0x7b) {
+      try {
+        const parsed = JSON.parse(message.toString('utf8'));
+        this.textMessageCount++;
+
+        if (parsed.type === 'error') {
+          logger.error('Subscription error:', parsed.data);
+        }
+        return;
+      } catch (err) {
+        // Not valid JSON, continue to binary parsing
+      }
+    }
+
+    if (message.length === 1 && message[0] === 0x00) {
+      this.heartbeatCount++;
+      conn.lastHeartbeatTime = conn.lastMessageTime;
+      return;
+    }
+
+    try {
+      let data = message;
+      if (message.length >= 2 && message[0] === 0x78 &&
+        (message[1] === 0x9c || message[1] === 0x01 || message[1] === 0xda)) {
+        data = zlib.inflateSync(message);
+      }
+
+      const { ticks, errors } = tickParser.parseFrame(data);
+      if (errors.length > 0) {
+        this.reportMalformedFrame(conn, data, errors);
+      }
+      if (ticks.length > 0) {
+        ticks.forEach(tick => {
+          tick.received_at = receivedAt;
+        });
+        this.tickCount += ticks.length;
+        conn.tickCount += ticks.length;
+        this.lastTickTime = conn.lastMessageTime;
+        conn.lastTickTime = conn.lastMessageTime;
+        this.dispatchTicks(ticks);
+      }
+    } catch (err) {
+      logger.error('⚠️ Binary message error:', err.message);
+    }
+  }
+
+  reportMalformedFrame(conn, data, errors) {
+    this.malformedFrameCount++;
+    this.lastParseError = { time: new Date(), shard: conn.id, frameLength: data.length, errors };
+
+    // Log the first few in full, then only every 100th to keep a broken feed from flooding the log
+    if (this.malformedFrameCount <= 5 || this.malformedFrameCount % 100 === 0) {
+      logger.warn(`⚠️ Malformed frame on shard #${conn.id} (${data.length} bytes, #${this.malformedFrameCount})`, errors.slice(0, 5));
+    }
+  }
+
+  dispatchTicks(ticks) {
+    const batches = new Map(); // consumerId -> ticks
+
+    ticks.forEach(tick => {
+      const holders = this.tokenConsumers.get(tick.instrument_token);
+      if (!holders) return;
+      this.tokenLastTick.set(tick.instrument_token, tick.received_at);
+      holders.forEach(consumerId => {
+        if (!batches.has(consumerId)) batches.set(consumerId, []);
+        batches.get(consumerId).push(tick);
+      });
+    });
+
+    batches.forEach((batch, consumerId) => {
+      const consumer = this.consumers.get(consumerId);
+      if (!consumer || !consumer.handlers.onTicks) return;
+      try {
+        consumer.handlers.onTicks(batch);
+      } catch (error) {
+        logger.error(`❌ Tick handler failed for ${consumerId}:`, error.message);
+      }
+    });
+  }
+
+  notifyConsumers(event, conn) {
+    this.consumers.forEach((consumer, consumerId) => {
+      const handler = consumer.handlers[event];
+      if (!handler) return;
+      try {
+        handler(conn.id);
+      } catch (error) {
+        logger.error(`❌ ${event} handler failed for ${consumerId}:`, error.message);
+      }
+    });
+  }
+
+  getReconnectDelay(attempt) {
+    const exponential = Math.min(
+      this.RECONNECT_MAX_DELAY,
+      this.RECONNECT_BASE_DELAY * Math.pow(2, attempt - 1)
+    );
+    // Equal jitter: keep half the delay, randomise the rest so shards don't reconnect in lockstep
+    return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+  }
+
+  attemptReconnect(conn) {
+    if (conn.reconnectTimer || this.offline) return;
+
+    if (conn.reconnectAttempts >= this.maxReconnectAttempts && !this.isTradingHours(conn.tokens)) {
+      logger.error(`❌ Max reconnection attempts reached (shard #${conn.id})`);
+      discordService.log(
+        `❌ **Market Feed Reconnect Abandoned**\n` +
+        `Shard #${conn.id} gave up after ${conn.reconnectAttempts} attempts outside market hours\n` +
+        `Use \`!ticker restart\` to retry`,
+        'error'
+      );
+      return;
+    }
+
+    conn.reconnectAttempts++;
+    const delay = this.getReconnectDelay(conn.reconnectAttempts);
+    logger.info(`🔄 Reconnecting shard #${conn.id} in ${(delay / 1000).toFixed(1)}s... Attempt ${conn.reconnectAttempts}`);
+
+    conn.reconnectTimer = setTimeout(async () => {
+      conn.reconnectTimer = null;
+      try {
+        await this.ensureConnected(conn);
+        logger.info(`✅ Shard #${conn.id} reconnected successfully`);
+      } catch (error) {
+        // The close handler schedules the next attempt
+        logger.error(`❌ Reconnection failed (shard #${conn.id}):`, error.message);
+      }
+    }, delay);
+  }
+
+  // Drop a connection that looks alive but isn't; the close handler reconnects and resubscribes
+  forceReconnect(conn, reason) {
+    if (!conn.ws || conn.closing) return;
+    logger.warn(`🔁 Forcing reconnect of shard #${conn.id}: ${reason}`);
+    conn.ws.terminate();
+  }
+
+  // A shard can carry NSE stocks next to MCX futures, so tokens count as live while any of their exchanges trades
+  isTradingHours(tokens, date = new Date()) {
+    const exchanges = new Set(Array.from(tokens, getTokenExchange));
+    return Array.from(exchanges).some(exchange => isMarketOpen(exchange, date));
+  }
+
+  // Re-send subscribe + mode frames for specific tokens without touching the rest of the shard
+  refreshTokens(tokens) {
+    const byConnection = new Map();
+    tokens.forEach(token => {
+      const conn = this.tokenConnection.get(token);
+      if (!conn || !conn.isConnected) return;
+      if (!byConnection.has(conn)) byConnection.set(conn, []);
+      byConnection.get(conn).push(token);
+    });
+
+    byConnection.forEach((connTokens, conn) => {
+      this.send(conn, { a: 'unsubscribe', v: connTokens });
+      this.sendSubscriptions(conn, connTokens, () => true);
+    });
+  }
+
+  tap(listener) {
+    this.frameTaps.add(listener);
+  }
+
+  untap(listener) {
+    this.frameTaps.delete(listener);
+  }
+
+  goOffline() {
+    this.offline = true;
+    this.connections.forEach(conn => {
+      conn.closing = true;
+      if (conn.reconnectTimer) {
+        clearTimeout(conn.reconnectTimer);
+        conn.reconnectTimer = null;
+      }
+      if (conn.ws) {
+        conn.ws.close();
+      }
+      conn.isConnected = false;
+    });
+    logger.info('📴 Live feed paused');
+  }
+
+  async goOnline() {
+    this.offline = false;
+    for (const conn of this.connections) {
+      try {
+        await this.ensureConnected(conn);
+      } catch (error) {
+        logger.error(`❌ Failed to resume shard #${conn.id}:`, error.message);
+      }
+    }
+    logger.info('📶 Live feed resumed');
+  }
+
+  async handleAuthFailure() {
+    if (this.reloginInProgress || this.reloginTimer) return;
+    this.reloginInProgress = true;
+
+    logger.error(`❌ WebSocket rejected access token (403), triggering re-login (attempt ${this.reloginAttempts + 1}/${this.MAX_RELOGIN_ATTEMPTS})`);
+    if (this.reloginAttempts === 0) {
+      await discordService.log(
+        '🔑 **Market Feed Rejected Access Token**\nTriggering auto-login instead of retrying',
+        'warning'
+      );
+    }
+
+    try {
+      const scheduledAuth = require('./scheduled-auth.service');
+      const loggedIn = await scheduledAuth.performAutoLogin();
+      this.reloginAttempts = loggedIn ? 0 : this.reloginAttempts + 1;
+
+      if (loggedIn) {
+        // performAutoLogin has already restarted the tracker, which reconnected its shards with the new token.
+        // Only shards nobody restarted (no tracker running) are picked up here.
+        for (const conn of this.connections) {
+          if (!conn.isConnected && !conn.reconnectTimer && conn.tokens.size > 0) {
+            this.attemptReconnect(conn);
+          }
+        }
+        return;
+      }
+
+      // Reconnecting with the rejected token would only trigger another login, so the shards stay down
+      if (this.reloginAttempts === 1) {
+        await discordService.log(
+          `🔌 **Market Feed Down - Manual Login Needed**\n` +
+          `Auto-login failed after the feed rejected the access token\n` +
+          `Retrying up to ${this.MAX_RELOGIN_ATTEMPTS - 1} more time(s), ${this.RELOGIN_RETRY_DELAY / 60000} min apart. ` +
+          `After logging in by hand use \`!ticker restart\``,
+          'error'
+        );
+      }
+
+      if (this.reloginAttempts >= this.MAX_RELOGIN_ATTEMPTS) {
+        logger.error(`❌ Giving up on auto-login after ${this.reloginAttempts} attempts, feed stays down until a manual login`);
+        return;
+      }
+
+      const delay = this.RELOGIN_RETRY_DELAY * this.reloginAttempts;
+      logger.warn(`🔑 Retrying auto-login in ${formatDuration(delay)}`);
+      this.reloginTimer = setTimeout(() => {
+        this.reloginTimer = null;
+        this.handleAuthFailure();
+      }, delay);
+    } finally {
+      this.reloginInProgress = false;
+    }
+  }
+
+  cancelRelogin() {
+    if (this.reloginTimer) {
+      clearTimeout(this.reloginTimer);
+      this.reloginTimer = null;
+    }
+    this.reloginAttempts = 0;
+  }
+
+  reportOutage(conn) {
+    conn.outageStart = new Date();
+    discordService.log(
+      `🔌 **Market Feed Down**\n` +
+      `Shard #${conn.id} disconnected (${conn.tokens.size} tokens)\n` +
+      `Reconnecting with backoff...`,
+      'warning'
+    );
+  }
+
+  reportRecovery(conn, attempts) {
+    const outage = formatDuration(Date.now() - conn.outageStart.getTime());
+    conn.outageStart = null;
+
+    logger.info(`✅ Shard #${conn.id} recovered after ${outage}`);
+    discordService.log(
+      `🔌 **Market Feed Recovered**\n` +
+      `Shard #${conn.id} back after ${outage} (${attempts} attempt${attempts === 1 ? '' : 's'})\n` +
+      `Resubscribed ${conn.tokens.size} tokens`,
+      'success'
+    );
+  }
+
+  closeConnection(conn) {
+    conn.closing = true;
+    if (conn.reconnectTimer) {
+      clearTimeout(conn.reconnectTimer);
+      conn.reconnectTimer = null;
+    }
+    if (conn.ws) {
+      conn.ws.close();
+    }
+    conn.isConnected = false;
+    this.connections = this.connections.filter(c => c !== conn);
+    logger.info(`🧩 Closed stream shard #${conn.id}`);
+  }
+
+  disconnectAll() {
+    this.cancelRelogin();
+    this.connections.slice().forEach(conn => this.closeConnection(conn));
+    this.tokenConnection.clear();
+    this.tokenSubscribedAt.clear();
+    this.tokenLastTick.clear();
+  }
+
+  getStatus() {
+    return {
+      connected: this.isConnected,
+      offline: this.offline,
+      consumers: Array.from(this.consumers.entries()).map(([id, consumer]) => ({
+        id,
+        tokens: consumer.tokens.size
+      })),
+      connections: this.connections.map(conn => ({
+        id: conn.id,
+        connected: conn.isConnected,
+        tokens: conn.tokens.size,
+        ticks: conn.tickCount,
+        reconnectAttempts: conn.reconnectAttempts,
+        outageStart: conn.outageStart,
+        connectedAt: conn.connectedAt,
+        lastMessage: conn.lastMessageTime,
+        lastHeartbeat: conn.lastHeartbeatTime,
+        lastTick: conn.lastTickTime
+      })),
+      uniqueTokens: this.tokenConsumers.size,
+      totalTicks: this.tickCount,
+      heartbeats: this.heartbeatCount,
+      textMessages: this.textMessageCount,
+      malformedFrames: this.malformedFrameCount,
+      lastParseError: this.lastParseError,
+      lastTick: this.lastTickTime
+    };
+  }
+}
+
+module.exports = new KiteSocketService();
@@ -1,6 +1,7 @@
 const zerodhaService = require('./zerodha.service');
 const discordService = require('./discord.service');
 const logger = require('../utils/logger');
+const { displaySymbol } = require('../utils/symbols');
 
 class MarketDataService {
   constructor() {
@@ -136,7 +137,7 @@ class MarketDataService {
       const changePercent = ((change / data.ohlc.close) * 100).toFixed(2);
       const emoji = change >= 0 ? '📈' : '📉';
 
-      message += `${emoji} **${symbol.replace('NSE:', '')}**\n`;
+      message += `${emoji} **${displaySymbol(symbol)}**\n`;
       message += `Price: ₹${data.last_price.toFixed(2)} `;
       message += `(${change >= 0 ? '+' : ''}${changePercent}%)\n`;
       message += `Vol: ${(data.volume / 100000).toFixed(2)}L\n\n`;
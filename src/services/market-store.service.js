@@ -0,0 +1,400 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const cron = require('node-cron');
+const logger = require('../utils/logger');
+const { getDataDir } = require('../utils/data-path');
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const INTERVALS = ['minute', '3minute', '5minute', '10minute', '15minute', '30minute', '60minute', 'day'];
+
+// Days of history kept per interval, MARKET_STORE_RETENTION_<INTERVAL>=days overrides
+const DEFAULT_RETENTION_DAYS = {
+  minute: 60,
+  '3minute': 100,
+  '5minute': 100,
+  '10minute': 100,
+  '15minute': 200,
+  '30minute': 200,
+  '60minute': 400,
+  day: 2000
+};
+
+function getISTDateKey(time) {
+  return new Date(time + IST_OFFSET_MS).toISOString().split('T')[0];
+}
+
+// Layout under data/market:
+//   candles/<interval>/<token>/<YYYY-MM-DD>.ndjson   today's file, appended as candles close
+//   candles/<interval>/<token>/<YYYY-MM-DD>.ndjson.gz compacted past days
+//   candles/day/<token>/<YYYY>.ndjson[.gz]            daily candles are bucketed per year
+//   ticks/<token>/<YYYY-MM-DD>.ndjson[.gz]            optional raw ticks
+// Each line is a compact array: [time, open, high, low, close, volume] or [time, price, volume] for ticks.
+class MarketStoreService {
+  constructor() {
+    this.rootDir = null;
+    this.pending = new Map(); // file -> lines waiting to be appended
+    this.flushTimer = null;
+    this.flushing = null;
+    this.maintenanceJob = null;
+    this.candleListener = (candle) => this.appendCandle(candle);
+    this.candlesWritten = 0;
+    this.ticksWritten = 0;
+    this.lastMaintenance = null;
+
+    this.RECORD_TICKS = process.env.MARKET_STORE_TICKS === 'true';
+    this.TICK_RETENTION_DAYS = parseInt(process.env.MARKET_STORE_TICK_RETENTION_DAYS || '5');
+    this.FLUSH_INTERVAL = 1000;
+    this.INTERVALS = INTERVALS;
+  }
+
+  getRoot() {
+    if (!this.rootDir) {
+      this.rootDir = getDataDir('market');
+    }
+    return this.rootDir;
+  }
+
+  // Accepts Kite names plus shorthands like 5m, 1h, 1d
+  resolveInterval(name) {
+    if (!name) return null;
+    const value = name.toLowerCase();
+    if (INTERVALS.includes(value)) return value;
+
+    const match = value.match(/^(\d+)(m|min|h|d)$/);
+    if (!match) return null;
+
+    const amount = parseInt(match[1]);
+    if (match[2] === 'd') return amount === 1 ? 'day' : null;
+
+    const minutes = match[2] === 'h' ? amount * 60 : amount;
+    const interval = minutes === 1 ? 'minute' : `${minutes}minute`;
+    return INTERVALS.includes(interval) ? interval : null;
+  }
+
+  getRetentionDays(interval) {
+    const override = process.env[`MARKET_STORE_RETENTION_${interval.toUpperCase()}`];
+    return parseInt(override) || DEFAULT_RETENTION_DAYS[interval];
+  }
+
+  getSeriesDir(kind, token, interval) {
+    return kind === 'ticks'
+      ? path.join(this.getRoot(), 'ticks', String(token))
+      : path.join(this.getRoot(), 'candles', interval, String(token));
+  }
+
+  getFileKey(interval, time) {
+    const day = getISTDateKey(time);
+    return interval === 'day' ? day.slice(0, 4) : day;
+  }
+
+  start() {
+    if (this.flushTimer) return;
+
+    const candleAggregator = require('./candle-aggregator.service');
+    candleAggregator.on('candle', this.candleListener);
+
+    this.flushTimer = setInterval(() => {
+      this.flush().catch(error => logger.error('❌ Market store flush failed:', error.message));
+    }, this.FLUSH_INTERVAL);
+
+    // Compact and prune once the day's data is complete
+    this.maintenanceJob = cron.schedule('0 17 * * *', async () => {
+      await this.runMaintenance();
+    }, {
+      timezone: 'Asia/Kolkata'
+    });
+
+    logger.info(`💾 Market store started (${this.getRoot()}${this.RECORD_TICKS ? ', recording ticks' : ''})`);
+  }
+
+  async stop() {
+    if (!this.flushTimer) return;
+
+    const candleAggregator = require('./candle-aggregator.service');
+    candleAggregator.off('candle', this.candleListener);
+
+    clearInterval(this.flushTimer);
+    this.flushTimer = null;
+    if (this.maintenanceJob) {
+      this.maintenanceJob.stop();
+      this.maintenanceJob = null;
+    }
+
+    await this.flush();
+    logger.info('💾 Market store stopped');
+  }
+
+  queue(file, line) {
+    const lines = this.pending.get(file);
+    if (lines) {
+      lines.push(line);
+    } else {
+      this.pending.set(file, [line]);
+    }
+  }
+
+  appendCandle(candle) {
+    if (!INTERVALS.includes(candle.interval)) return;
+
+    const time = candle.time.getTime();
+    const dir = this.getSeriesDir('candles', candle.instrument_token, candle.interval);
+    const file = path.join(dir, `${this.getFileKey(candle.interval, time)}.ndjson`);
+
+    this.queue(file, JSON.stringify([time, candle.open, candle.high, candle.low, candle.close, candle.volume]));
+    this.candlesWritten++;
+  }
+
+  // Bulk writes (e.g. from a backfill) go through the same files; duplicates are resolved on read and compaction
+  appendCandles(token, interval, candles) {
+    candles.forEach(candle => this.appendCandle({ ...candle, instrument_token: token, interval }));
+  }
+
+  appendTicks(ticks) {
+    if (!this.RECORD_TICKS || !this.flushTimer) return;
+
+    ticks.forEach(tick => {
+      const time = (tick.exchange_timestamp || tick.received_at || new Date()).getTime();
+      const dir = this.getSeriesDir('ticks', tick.instrument_token);
+      const file = path.join(dir, `${getISTDateKey(time)}.ndjson`);
+      this.queue(file, JSON.stringify([time, tick.last_price, tick.volume_traded || 0]));
+      this.ticksWritten++;
+    });
+  }
+
+  // Only one flush runs at a time so appends to a file stay in order
+  async flush() {
+    while (this.flushing) {
+      await this.flushing;
+    }
+    if (this.pending.size === 0) return;
+
+    const batch = this.pending;
+    this.pending = new Map();
+
+    this.flushing = (async () => {
+      for (const [file, lines] of batch) {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.appendFile(file, lines.join('\n') + '\n');
+      }
+    })();
+
+    try {
+      await this.flushing;
+    } finally {
+      this.flushing = null;
+    }
+  }
+
+  async readSeriesFile(file) {
+    let content = await fs.promises.readFile(file);
+    if (file.endsWith('.gz')) {
+      content = zlib.gunzipSync(content);
+    }
+
+    return content.toString('utf8')
+      .split('\n')
+      .filter(Boolean)
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          // A crash mid-append can leave a partial last line
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  async listFileKeys(dir) {
+    if (!fs.existsSync(dir)) return [];
+
+    const keys = new Set();
+    (await fs.promises.readdir(dir))
+      .filter(file => file.endsWith('.ndjson') || file.endsWith('.ndjson.gz'))
+      .forEach(file => keys.add(file.split('.')[0]));
+
+    return Array.from(keys).sort();
+  }
+
+  // Reads both the compacted and live file for a key; later rows win for the same timestamp
+  async readKey(dir, key) {
+    const rows = new Map();
+
+    for (const file of [`${key}.ndjson.gz`, `${key}.ndjson`]) {
+      const fullPath = path.join(dir, file);
+      if (!fs.existsSync(fullPath)) continue;
+      (await this.readSeriesFile(fullPath)).forEach(row => rows.set(row[0], row));
+    }
+
+    return Array.from(rows.values()).sort((a, b) => a[0] - b[0]);
+  }
+
+  toCandle(row) {
+    return { time: new Date(row[0]), open: row[1], high: row[2], low: row[3], close: row[4], volume: row[5] };
+  }
+
+  async getCandles(token, interval, { from = null, to = null, limit = null } = {}) {
+    if (!INTERVALS.includes(interval)) {
+      throw new Error(`Unknown interval: ${interval}`);
+    }
+
+    await this.flush();
+
+    const dir = this.getSeriesDir('candles', token, interval);
+    const fromTime = from ? new Date(from).getTime() : 0;
+    const toTime = to ? new Date(to).getTime() : Infinity;
+    const fromKey = from ? this.getFileKey(interval, fromTime) : '';
+    const toKey = to ? this.getFileKey(interval, toTime) : '\uffff';
+
+    const keys = (await this.listFileKeys(dir)).filter(key => key >= fromKey && key <= toKey);
+    let candles = [];
+
+    for (const key of keys) {
+      (await this.readKey(dir, key))
+        .filter(row => row[0] >= fromTime && row[0] <= toTime)
+        .forEach(row => candles.push(this.toCandle(row)));
+    }
+
+    if (limit) {
+      candles = candles.slice(-limit);
+    }
+    return candles;
+  }
+
+  // "Last N sessions" means the last N trading days we actually have data for
+  async getSessionCandles(token, interval, sessions = 1) {
+    if (interval === 'day') {
+      return this.getCandles(token, interval, { limit: sessions });
+    }
+
+    await this.flush();
+
+    const keys = await this.listFileKeys(this.getSeriesDir('candles', token, interval));
+    const selected = keys.slice(-sessions);
+    if (selected.length === 0) return [];
+
+    return this.getCandles(token, interval, {
+      from: new Date(`${selected[0]}T00:00:00+05:30`),
+      to: new Date(`${selected[selected.length - 1]}T23:59:59+05:30`)
+    });
+  }
+
+  async getTicks(token, { from = null, to = null } = {}) {
+    await this.flush();
+
+    const dir = this.getSeriesDir('ticks', token);
+    const fromTime = from ? new Date(from).getTime() : 0;
+    const toTime = to ? new Date(to).getTime() : Infinity;
+    const fromKey = from ? getISTDateKey(fromTime) : '';
+    const toKey = to ? getISTDateKey(toTime) : '\uffff';
+    const ticks = [];
+
+    for (const key of (await this.listFileKeys(dir)).filter(k => k >= fromKey && k <= toKey)) {
+      // Ticks are not deduplicated by time, so read the files directly
+      for (const file of [`${key}.ndjson.gz`, `${key}.ndjson`]) {
+        const fullPath = path.join(dir, file);
+        if (!fs.existsSync(fullPath)) continue;
+        (await this.readSeriesFile(fullPath))
+          .filter(row => row[0] >= fromTime && row[0] <= toTime)
+          .forEach(row => ticks.push({ time: new Date(row[0]), price: row[1], volume: row[2] }));
+      }
+    }
+
+    return ticks.sort((a, b) => a.time - b.time);
+  }
+
+  async listSeries() {
+    const candlesDir = path.join(this.getRoot(), 'candles');
+    if (!fs.existsSync(candlesDir)) return [];
+
+    const series = [];
+    for (const interval of await fs.promises.readdir(candlesDir)) {
+      for (const token of await fs.promises.readdir(path.join(candlesDir, interval))) {
+        series.push({ interval, token: parseInt(token) });
+      }
+    }
+    return series;
+  }
+
+  // Folds every closed period's plain file into a sorted, deduplicated gzip and drops expired data
+  async runMaintenance(now = Date.now()) {
+    const started = Date.now();
+    await this.flush();
+
+    const stats = { compacted: 0, pruned: 0 };
+    const today = getISTDateKey(now);
+
+    for (const { interval, token } of await this.listSeries()) {
+      const dir = this.getSeriesDir('candles', token, interval);
+      const currentKey = this.getFileKey(interval, now);
+      const cutoffKey = this.getFileKey(interval, now - this.getRetentionDays(interval) * DAY_MS);
+      await this.maintainDir(dir, currentKey, cutoffKey, stats, true);
+    }
+
+    const ticksDir = path.join(this.getRoot(), 'ticks');
+    if (fs.existsSync(ticksDir)) {
+      const cutoffKey = getISTDateKey(now - this.TICK_RETENTION_DAYS * DAY_MS);
+      for (const token of await fs.promises.readdir(ticksDir)) {
+        await this.maintainDir(path.join(ticksDir, token), today, cutoffKey, stats, false);
+      }
+    }
+
+    this.lastMaintenance = new Date();
+    logger.info(`🧹 Market store maintenance: ${stats.compacted} compacted, ${stats.pruned} pruned in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+    return stats;
+  }
+
+  async maintainDir(dir, currentKey, cutoffKey, stats, dedupe) {
+    for (const key of await this.listFileKeys(dir)) {
+      const plain = path.join(dir, `${key}.ndjson`);
+      const compacted = path.join(dir, `${key}.ndjson.gz`);
+
+      if (key < cutoffKey) {
+        [plain, compacted].filter(file => fs.existsSync(file)).forEach(file => fs.unlinkSync(file));
+        stats.pruned++;
+        continue;
+      }
+
+      // The current period is still being appended to
+      if (key >= currentKey || !fs.existsSync(plain)) continue;
+
+      let rows;
+      if (dedupe) {
+        rows = await this.readKey(dir, key);
+      } else {
+        rows = [];
+        for (const file of [compacted, plain].filter(f => fs.existsSync(f))) {
+          rows.push(...await this.readSeriesFile(file));
+        }
+        rows.sort((a, b) => a[0] - b[0]);
+      }
+
+      const tmp = `${compacted}.tmp`;
+      await fs.promises.writeFile(tmp, zlib.gzipSync(rows.map(row => JSON.stringify(row)).join('\n') + '\n'));
+      await fs.promises.rename(tmp, compacted);
+      await fs.promises.unlink(plain);
+      stats.compacted++;
+    }
+
+    if ((await fs.promises.readdir(dir)).length === 0) {
+      await fs.promises.rmdir(dir);
+    }
+  }
+
+  getStatus() {
+    return {
+      running: !!this.flushTimer,
+      root: this.getRoot(),
+      recordingTicks: this.RECORD_TICKS,
+      candlesWritten: this.candlesWritten,
+      ticksWritten: this.ticksWritten,
+      pendingFiles: this.pending.size,
+      lastMaintenance: this.lastMaintenance
+    };
+  }
+}
+
+module.exports = new MarketStoreService();
@@ -0,0 +1,228 @@
+const logger = require('../utils/logger');
+const { formatPrice } = require('../utils/symbols');
+
+function formatPct(value) {
+  return `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+}
+
+// Opening bell report: tracked instruments that opened with a gap to the previous close,
+// posted a few minutes after the open, then follow-ups saying which gaps filled.
+// Works off the OHLC in the tracker's quote-mode ticks (ohlc.open, ohlc.close, running high/low).
+class OpeningReportService {
+  constructor() {
+    this.preOpenListener = (event) => this.onPreOpen(event);
+    this.openListener = (event) => this.onOpen(event);
+    this.timers = [];
+    this.day = null;
+    this.preOpenAt = null;
+    this.equilibrium = new Map(); // token -> last pre-open price (the equilibrium price)
+    this.gaps = []; // today's gaps, with filledAt once the price is back at the previous close
+
+    this.ENABLED = process.env.OPENING_REPORT !== 'false';
+    this.EXCHANGE = (process.env.OPENING_REPORT_EXCHANGE || 'NSE').toUpperCase();
+    this.GAP_PCT = parseFloat(process.env.OPENING_GAP_PCT || '2');
+    this.DELAY_MINUTES = parseInt(process.env.OPENING_REPORT_DELAY_MINUTES || '5');
+    this.FILL_CHECKS = (process.env.OPENING_FILL_CHECK_MINUTES || '15,30')
+      .split(',')
+      .map(minutes => parseInt(minutes))
+      .filter(minutes => minutes > 0)
+      .sort((a, b) => a - b);
+    this.CHANNEL = process.env.OPENING_REPORT_CHANNEL || 'alerts';
+    this.TOP = parseInt(process.env.OPENING_REPORT_TOP || '15');
+  }
+
+  start() {
+    if (!this.ENABLED) return;
+    const sessionScheduler = require('./session-scheduler.service');
+    sessionScheduler.on('preopen', this.preOpenListener);
+    sessionScheduler.on('open', this.openListener);
+  }
+
+  stop() {
+    const sessionScheduler = require('./session-scheduler.service');
+    sessionScheduler.removeListener('preopen', this.preOpenListener);
+    sessionScheduler.removeListener('open', this.openListener);
+    this.clearTimers();
+  }
+
+  clearTimers() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers = [];
+  }
+
+  schedule(at, fn) {
+    const timer = setTimeout(() => {
+      this.timers = this.timers.filter(candidate => candidate !== timer);
+      fn().catch(error => logger.error('❌ Opening report failed:', error));
+    }, Math.max(0, at - Date.now()));
+    this.timers.push(timer);
+  }
+
+  onPreOpen(event) {
+    if (event.exchange !== this.EXCHANGE) return;
+    this.preOpenAt = event.at.getTime();
+  }
+
+  onOpen(event) {
+    if (event.exchange !== this.EXCHANGE) return;
+
+    this.clearTimers();
+    this.day = event.day;
+    this.gaps = [];
+    this.captureEquilibrium(event.at.getTime());
+
+    const openAt = event.at.getTime();
+    this.schedule(openAt + this.DELAY_MINUTES * 60000, () => this.publishGaps());
+    this.FILL_CHECKS.forEach(minutes => {
+      this.schedule(openAt + minutes * 60000, () => this.publishFills(minutes));
+    });
+  }
+
+  // During pre-open the quote ticks carry the indicative price, so the last one before the open is the equilibrium
+  captureEquilibrium(openAt) {
+    const tracker = require('./token-tracker.service');
+    this.equilibrium.clear();
+
+    tracker.stockData.forEach((data, token) => {
+      const time = new Date(data.timestamp).getTime();
+      if (time >= openAt || (this.preOpenAt && time < this.preOpenAt)) return;
+      if (data.last_price) this.equilibrium.set(token, data.last_price);
+    });
+  }
+
+  findGaps() {
+    const tracker = require('./token-tracker.service');
+    const gaps = [];
+
+    tracker.stockData.forEach((data, token) => {
+      const open = data.ohlc?.open;
+      const prevClose = data.ohlc?.close;
+      if (!open || !prevClose) return;
+
+      const gapPct = ((open - prevClose) / prevClose) * 100;
+      if (Math.abs(gapPct) < this.GAP_PCT) return;
+
+      gaps.push({
+        token,
+        symbol: data.symbol,
+        exchange: data.exchange,
+        side: gapPct > 0 ? 'up' : 'down',
+        prevClose,
+        open,
+        gapPct,
+        equilibrium: this.equilibrium.get(token) || null,
+        filledAt: null
+      });
+    });
+
+    return gaps.sort((a, b) => Math.abs(b.gapPct) - Math.abs(a.gapPct));
+  }
+
+  // A gap up fills once the day's low reaches the previous close, a gap down once the high does
+  checkFills(now = Date.now()) {
+    const tracker = require('./token-tracker.service');
+    const filled = [];
+
+    this.gaps.forEach(gap => {
+      const data = tracker.stockData.get(gap.token);
+      if (gap.filledAt || !data?.ohlc) return;
+
+      const isFilled = gap.side === 'up' ? data.ohlc.low <= gap.prevClose : data.ohlc.high >= gap.prevClose;
+      if (!isFilled) return;
+
+      gap.filledAt = now;
+      gap.extreme = gap.side === 'up' ? data.ohlc.low : data.ohlc.high;
+      filled.push(gap);
+    });
+
+    return filled;
+  }
+
+  async publishGaps() {
+    const tracker = require('./token-tracker.service');
+    if (tracker.stockData.size === 0) {
+      logger.warn('⚠️ Opening report skipped, the tracker has no data');
+      return;
+    }
+
+    this.gaps = this.findGaps();
+    const up = this.gaps.filter(gap => gap.side === 'up');
+    const down = this.gaps.filter(gap => gap.side === 'down');
+    logger.info(`🔔 Opening gaps: ${up.length} up, ${down.length} down (±${this.GAP_PCT}%)`);
+
+    await this.send(this.formatGaps(up, down, tracker.stockData.size));
+  }
+
+  async publishFills(minutes) {
+    if (this.gaps.length === 0) return;
+
+    const filled = this.checkFills();
+    const open = this.gaps.filter(gap => !gap.filledAt);
+    logger.info(`🧩 Gap fills after ${minutes}m: ${filled.length} new, ${open.length} still open`);
+
+    await this.send(this.formatFills(minutes, filled, open));
+  }
+
+  async send(message) {
+    const alertRules = require('./alert-rules.service');
+    await alertRules.send(this.CHANNEL, message);
+  }
+
+  formatGap(gap, index) {
+    const iep = gap.equilibrium ? ` | IEP ${formatPrice(gap.equilibrium, gap.exchange)}` : '';
+    return `${index + 1}. **${gap.symbol}** ${formatPrice(gap.open, gap.exchange)} vs ${formatPrice(gap.prevClose, gap.exchange)} (${formatPct(gap.gapPct)})${iep}`;
+  }
+
+  formatGaps(up, down, total) {
+    const date = new Date().toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata', weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' });
+    const section = (title, gaps) => {
+      if (gaps.length === 0) return `**${title}**\nNone\n`;
+      const more = gaps.length > this.TOP ? `\n…and ${gaps.length - this.TOP} more` : '';
+      return `**${title} (${gaps.length})**\n${gaps.slice(0, this.TOP).map((gap, index) => this.formatGap(gap, index)).join('\n')}${more}\n`;
+    };
+
+    let message = `🔔 **Opening Bell - ${date}**\n`;
+    message += `Gaps beyond ±${this.GAP_PCT}%: ${up.length} up | ${down.length} down (of ${total})\n\n`;
+    message += section('⬆️ Gap Up', up);
+    message += `\n${section('⬇️ Gap Down', down)}`;
+    if (up.length + down.length > 0) {
+      message += `\nFill checks at ${this.FILL_CHECKS.map(minutes => `${minutes}m`).join(' and ')} after the open`;
+    }
+
+    // Discord caps messages at 2000 characters
+    return message.length > 1990 ? `${message.slice(0, 1950)}\n…(truncated)` : message;
+  }
+
+  formatFills(minutes, filled, open) {
+    let message = `🧩 **Gap Fill Check - first ${minutes} min**\n`;
+    message += `Filled: ${this.gaps.length - open.length}/${this.gaps.length}`;
+    message += filled.length ? ` (${filled.length} new)\n` : '\n';
+
+    filled.slice(0, this.TOP).forEach(gap => {
+      const label = gap.side === 'up' ? `⬆️ low ${formatPrice(gap.extreme, gap.exchange)}` : `⬇️ high ${formatPrice(gap.extreme, gap.exchange)}`;
+      message += `• **${gap.symbol}** gap ${formatPct(gap.gapPct)} filled to ${formatPrice(gap.prevClose, gap.exchange)} (${label})\n`;
+    });
+    if (filled.length > this.TOP) {
+      message += `…and ${filled.length - this.TOP} more\n`;
+    }
+
+    if (open.length > 0) {
+      const symbols = open.slice(0, this.TOP).map(gap => `${gap.symbol} ${formatPct(gap.gapPct)}`).join(', ');
+      message += `\nStill open (${open.length}): ${symbols}${open.length > this.TOP ? ', …' : ''}`;
+    }
+
+    return message.length > 1990 ? `${message.slice(0, 1950)}\n…(truncated)` : message;
+  }
+
+  getStatus() {
+    return {
+      enabled: this.ENABLED,
+      day: this.day,
+      gaps: this.gaps.length,
+      filled: this.gaps.filter(gap => gap.filledAt).length,
+      pending: this.timers.length
+    };
+  }
+}
+
+module.exports = new OpeningReportService();
@@ -0,0 +1,326 @@
+const fs = require('fs');
+const path = require('path');
+const discordService = require('./discord.service');
+const kiteSocket = require('./kite-socket.service');
+const logger = require('../utils/logger');
+const { getDataDir } = require('../utils/data-path');
+const { parseSymbol, formatPrice } = require('../utils/symbols');
+const { getDayKey } = require('../utils/market-calendar');
+
+// above/below/crosses compare the last price, up/down compare % change from the previous close
+const TYPES = ['above', 'below', 'crosses', 'up', 'down'];
+
+const DESCRIPTIONS = {
+  above: (alert) => `above ${formatPrice(alert.target, parseSymbol(alert.symbol).exchange)}`,
+  below: (alert) => `below ${formatPrice(alert.target, parseSymbol(alert.symbol).exchange)}`,
+  crosses: (alert) => `crosses ${formatPrice(alert.target, parseSymbol(alert.symbol).exchange)}`,
+  up: (alert) => `up ${alert.target}% from prev close`,
+  down: (alert) => `down ${alert.target}% from prev close`
+};
+
+class PriceAlertService {
+  constructor() {
+    this.consumerId = 'price-alerts';
+    this.alerts = [];
+    this.nextId = 1;
+    this.byToken = new Map(); // token -> alerts on that instrument
+    this.state = new Map(); // alert id -> { armed, lastPrice }
+    this.isRunning = false;
+    this.triggered = 0;
+    this.triggeredToday = { day: null, count: 0 };
+    this.alertsFile = null;
+    this.loaded = false;
+
+    this.MAX_PER_USER = parseInt(process.env.PRICE_ALERT_MAX_PER_USER || '25');
+    // Repeating alerts re-arm once the condition clears, but never fire more often than this
+    this.REPEAT_COOLDOWN = parseInt(process.env.PRICE_ALERT_REPEAT_COOLDOWN_MS || '300000');
+  }
+
+  getAlertsFile() {
+    if (!this.alertsFile) {
+      this.alertsFile = path.join(getDataDir(), 'price-alerts.json');
+    }
+    return this.alertsFile;
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.getAlertsFile())) {
+        const data = JSON.parse(fs.readFileSync(this.getAlertsFile(), 'utf8'));
+        this.alerts = data.alerts || [];
+        this.nextId = data.nextId || this.alerts.reduce((max, alert) => Math.max(max, alert.id + 1), 1);
+      }
+    } catch (error) {
+      logger.error('❌ Error loading price alerts:', error.message);
+      this.alerts = [];
+    }
+    this.loaded = true;
+    this.rebuildIndex();
+  }
+
+  // Alerts are managed from Discord outside market hours too, so read the file before anything touches it
+  ensureLoaded() {
+    if (!this.loaded) this.load();
+  }
+
+  save() {
+    try {
+      const tmp = `${this.getAlertsFile()}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ nextId: this.nextId, alerts: this.alerts }, null, 2));
+      fs.renameSync(tmp, this.getAlertsFile());
+    } catch (error) {
+      logger.error('❌ Error saving price alerts:', error.message);
+    }
+  }
+
+  rebuildIndex() {
+    this.byToken.clear();
+    this.alerts.forEach(alert => {
+      if (!this.byToken.has(alert.token)) this.byToken.set(alert.token, []);
+      this.byToken.get(alert.token).push(alert);
+    });
+  }
+
+  async start() {
+    if (this.isRunning) return;
+
+    this.ensureLoaded();
+    kiteSocket.register(this.consumerId, {
+      onTicks: (ticks) => this.handleTicks(ticks)
+    });
+    this.isRunning = true;
+
+    const tokens = Array.from(this.byToken.keys());
+    if (tokens.length > 0) {
+      await kiteSocket.subscribe(this.consumerId, tokens, 'quote');
+    }
+    logger.info(`🔔 Price alerts active: ${this.alerts.length} alert(s) on ${tokens.length} instrument(s)`);
+  }
+
+  async stop() {
+    if (!this.isRunning) return;
+    this.isRunning = false;
+    await kiteSocket.unregister(this.consumerId);
+    this.state.clear();
+  }
+
+  async addAlert({ userId, username, channelId, symbol, token, type, target, repeat = false, price = null }) {
+    if (!TYPES.includes(type)) {
+      throw new Error(`Type must be one of ${TYPES.join(', ')}`);
+    }
+    if (!isFinite(target) || target <= 0) {
+      throw new Error('Target must be a positive number');
+    }
+    this.ensureLoaded();
+    if (this.getUserAlerts(userId).length >= this.MAX_PER_USER) {
+      throw new Error(`You already have ${this.MAX_PER_USER} alerts, delete some first`);
+    }
+
+    const alert = {
+      id: this.nextId++,
+      userId,
+      username,
+      channelId,
+      symbol,
+      token,
+      type,
+      target,
+      repeat,
+      createdAt: new Date().toISOString(),
+      createdPrice: price,
+      triggerCount: 0,
+      lastTriggeredAt: null
+    };
+
+    this.alerts.push(alert);
+    this.rebuildIndex();
+    // Crossing needs a side to start from; the price at creation is the best we have
+    this.state.set(alert.id, { armed: true, lastPrice: price });
+    this.save();
+
+    if (this.isRunning && this.byToken.get(token).length === 1) {
+      await kiteSocket.subscribe(this.consumerId, [token], 'quote');
+    }
+
+    logger.info(`🔔 Price alert #${alert.id} added by ${username}: ${symbol} ${this.describe(alert)}`);
+    return alert;
+  }
+
+  async removeAlert(id) {
+    this.ensureLoaded();
+    const alert = this.alerts.find(a => a.id === id);
+    if (!alert) return null;
+
+    this.alerts = this.alerts.filter(a => a.id !== id);
+    this.state.delete(id);
+    this.rebuildIndex();
+    this.save();
+
+    if (this.isRunning && !this.byToken.has(alert.token)) {
+      await kiteSocket.unsubscribe(this.consumerId, [alert.token]);
+    }
+    return alert;
+  }
+
+  getAlerts() {
+    this.ensureLoaded();
+    return this.alerts;
+  }
+
+  getAlert(id) {
+    this.ensureLoaded();
+    return this.alerts.find(alert => alert.id === id) || null;
+  }
+
+  getUserAlerts(userId) {
+    this.ensureLoaded();
+    return this.alerts.filter(alert => alert.userId === userId);
+  }
+
+  describe(alert) {
+    return DESCRIPTIONS[alert.type](alert);
+  }
+
+  // Whether the condition holds right now; crossing is only defined against the previous price
+  isMet(alert, tick, lastPrice) {
+    const price = tick.last_price;
+
+    switch (alert.type) {
+      case 'above':
+        return price >= alert.target;
+      case 'below':
+        return price <= alert.target;
+      case 'crosses':
+        if (lastPrice === null || lastPrice === undefined) return false;
+        return (lastPrice < alert.target && price >= alert.target) ||
+          (lastPrice > alert.target && price <= alert.target);
+      case 'up':
+      case 'down': {
+        if (!tick.ohlc || !tick.ohlc.close) return false;
+        const changePct = ((price - tick.ohlc.close) / tick.ohlc.close) * 100;
+        return alert.type === 'up' ? changePct >= alert.target : changePct <= -alert.target;
+      }
+      default:
+        return false;
+    }
+  }
+
+  handleTicks(ticks) {
+    const now = Date.now();
+    const fired = [];
+
+    ticks.forEach(tick => {
+      const alerts = this.byToken.get(tick.instrument_token);
+      if (!alerts || !tick.last_price) return;
+
+      alerts.forEach(alert => {
+        let state = this.state.get(alert.id);
+        if (!state) {
+          state = { armed: true, lastPrice: null };
+          this.state.set(alert.id, state);
+        }
+
+        const met = this.isMet(alert, tick, state.lastPrice);
+        state.lastPrice = tick.last_price;
+
+        if (!met) {
+          state.armed = true;
+          return;
+        }
+        if (!state.armed) return;
+
+        const lastTriggered = alert.lastTriggeredAt ? new Date(alert.lastTriggeredAt).getTime() : 0;
+        if (alert.repeat && now - lastTriggered < this.REPEAT_COOLDOWN) return;
+
+        state.armed = false;
+        fired.push({ alert, tick });
+      });
+    });
+
+    if (fired.length === 0) return;
+
+    fired.forEach(({ alert, tick }) => {
+      alert.triggerCount++;
+      alert.lastTriggeredAt = new Date(now).toISOString();
+      this.triggered++;
+      this.countTrigger(now);
+      this.notify(alert, tick).catch(error => {
+        logger.error(`Failed to send price alert #${alert.id}:`, error);
+      });
+    });
+
+    // One-shot alerts are done once they have fired
+    const finished = fired.filter(({ alert }) => !alert.repeat).map(({ alert }) => alert);
+    if (finished.length > 0) {
+      const finishedIds = new Set(finished.map(alert => alert.id));
+      this.alerts = this.alerts.filter(alert => !finishedIds.has(alert.id));
+      finishedIds.forEach(id => this.state.delete(id));
+      this.rebuildIndex();
+
+      const released = Array.from(new Set(finished.map(alert => alert.token))).filter(token => !this.byToken.has(token));
+      if (released.length > 0) {
+        kiteSocket.unsubscribe(this.consumerId, released).catch(error => {
+          logger.error('❌ Failed to release price alert tokens:', error.message);
+        });
+      }
+    }
+    this.save();
+  }
+
+  formatTrigger(alert, tick) {
+    const time = new Date(tick.exchange_timestamp || tick.received_at || Date.now()).toLocaleTimeString('en-IN', {
+      timeZone: 'Asia/Kolkata',
+      hourCycle: 'h23'
+    });
+    const change = tick.ohlc && tick.ohlc.close
+      ? ((tick.last_price - tick.ohlc.close) / tick.ohlc.close) * 100
+      : null;
+
+    let message = `<@${alert.userId}> 🔔 **${alert.symbol}** ${this.describe(alert)}\n`;
+    message += `Triggered at **${formatPrice(tick.last_price, parseSymbol(alert.symbol).exchange)}**`;
+    if (change !== null) message += ` (${change >= 0 ? '+' : ''}${change.toFixed(2)}%)`;
+    message += ` at ${time} IST\n`;
+    message += alert.repeat
+      ? `🔁 Repeating alert #${alert.id} (fired ${alert.triggerCount}x) - \`!alert delete ${alert.id}\` to stop`
+      : `Alert #${alert.id} removed`;
+    return message;
+  }
+
+  async notify(alert, tick) {
+    const message = this.formatTrigger(alert, tick);
+    logger.info(`🔔 Price alert #${alert.id} ${alert.symbol} ${this.describe(alert)} @ ₹${tick.last_price}`);
+
+    if (discordService.isDisabled) return;
+
+    const channel = discordService.client.channels.cache.get(alert.channelId) ||
+      discordService.client.channels.cache.get(process.env.DISCORD_LOG_CHANNEL_ID);
+    if (!channel) {
+      logger.warn(`⚠️ No channel to deliver price alert #${alert.id}`);
+      return;
+    }
+    await channel.send(message);
+  }
+
+  countTrigger(now = Date.now()) {
+    const day = getDayKey(now);
+    if (this.triggeredToday.day !== day) this.triggeredToday = { day, count: 0 };
+    this.triggeredToday.count++;
+  }
+
+  getTriggeredCount(day = getDayKey()) {
+    return this.triggeredToday.day === day ? this.triggeredToday.count : 0;
+  }
+
+  getStatus() {
+    this.ensureLoaded();
+    return {
+      running: this.isRunning,
+      alerts: this.alerts.length,
+      instruments: this.byToken.size,
+      users: new Set(this.alerts.map(alert => alert.userId)).size,
+      triggered: this.triggered
+    };
+  }
+}
+
+module.exports = new PriceAlertService();
@@ -0,0 +1,200 @@
+const marketStore = require('./market-store.service');
+const candleAggregator = require('./candle-aggregator.service');
+const logger = require('../utils/logger');
+const { RingBuffer } = require('../utils/ring-buffer');
+const { getTokenExchange } = require('../utils/symbols');
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+function getISTDay(time) {
+  return Math.floor((time + IST_OFFSET_MS) / DAY_MS);
+}
+
+// Minutes since the session opened, fractional
+function getSessionMinute(time, session) {
+  return (((time + IST_OFFSET_MS) % DAY_MS) - session.open) / MINUTE_MS;
+}
+
+class RollingWindowService {
+  constructor() {
+    this.buffers = new Map(); // token -> RingBuffer of { time, price, volume } sampled once per second
+    this.baselines = new Map(); // token -> { day, perMinute } average volume per session minute, null while unknown
+    this.baselineQueue = Promise.resolve();
+    this.baselinesLoaded = 0;
+
+    this.WINDOW = parseInt(process.env.ALERT_MOVE_WINDOW_MS || '300000');
+    this.SAMPLE_MS = 1000;
+    // Backfill keeps BACKFILL_INTRADAY_DAYS of minute candles, enough for this many sessions
+    this.BASELINE_SESSIONS = parseInt(process.env.ALERT_VOLUME_BASELINE_SESSIONS || '5');
+    this.MIN_BASELINE_SESSIONS = 2;
+    // Shorter windows (just after open or a restart) are too noisy to compare volume on
+    this.MIN_VOLUME_WINDOW = 60 * 1000;
+
+    // One extra slot keeps the sample in effect at the window start
+    this.capacity = Math.ceil(this.WINDOW / this.SAMPLE_MS) + 2;
+  }
+
+  update(ticks) {
+    ticks.forEach(tick => {
+      if (!tick.last_price) return;
+
+      const time = new Date(tick.exchange_timestamp || tick.received_at || Date.now()).getTime();
+      const sample = { time, price: tick.last_price, volume: tick.volume_traded || 0 };
+
+      let buffer = this.buffers.get(tick.instrument_token);
+      if (!buffer) {
+        buffer = new RingBuffer(this.capacity);
+        this.buffers.set(tick.instrument_token, buffer);
+      }
+
+      const last = buffer.last();
+      if (last) {
+        if (time < last.time) return;
+        // Overnight gaps are not moves
+        if (getISTDay(time) !== getISTDay(last.time)) buffer.clear();
+      }
+
+      const latest = buffer.last();
+      if (latest && Math.floor(latest.time / this.SAMPLE_MS) === Math.floor(time / this.SAMPLE_MS)) {
+        buffer.setLast(sample);
+      } else {
+        buffer.push(sample);
+      }
+    });
+  }
+
+  // Change over the last WINDOW ms ending at the newest sample. The window starts at the price in
+  // effect at that moment; with less history than that it starts at the oldest sample instead.
+  getWindow(token) {
+    const buffer = this.buffers.get(token);
+    if (!buffer || buffer.length < 2) return null;
+
+    const end = buffer.last();
+    const cutoff = end.time - this.WINDOW;
+    const index = buffer.findLastIndex(sample => sample.time <= cutoff);
+    const start = index >= 0 ? buffer.get(index) : buffer.first();
+    const startTime = index >= 0 ? cutoff : start.time;
+
+    return {
+      startTime,
+      endTime: end.time,
+      seconds: (end.time - startTime) / 1000,
+      startPrice: start.price,
+      price: end.price,
+      changePct: ((end.price - start.price) / start.price) * 100,
+      volume: Math.max(0, end.volume - start.volume)
+    };
+  }
+
+  // Same session hours the candles are cut to, e.g. MCX trades until 23:30
+  getSession(token, time) {
+    return candleAggregator.getSession(time, getTokenExchange(token));
+  }
+
+  // Volume normally traded between two times of day, from the per-minute baseline
+  getExpectedVolume(token, from, to) {
+    const perMinute = this.getBaseline(token, to);
+    if (!perMinute) return null;
+
+    const session = this.getSession(token, to);
+    const startMinute = Math.max(0, getSessionMinute(from, session));
+    const endMinute = Math.min(perMinute.length, getSessionMinute(to, session));
+    let expected = 0;
+
+    for (let slot = Math.floor(startMinute); slot < endMinute; slot++) {
+      const overlap = Math.min(slot + 1, endMinute) - Math.max(slot, startMinute);
+      expected += perMinute[slot] * overlap;
+    }
+    return expected;
+  }
+
+  // Window volume relative to what this instrument usually trades at this time of day
+  getVolumeRatio(token) {
+    const window = this.getWindow(token);
+    if (!window || window.endTime - window.startTime < this.MIN_VOLUME_WINDOW) return null;
+
+    const expected = this.getExpectedVolume(token, window.startTime, window.endTime);
+    return expected ? window.volume / expected : null;
+  }
+
+  // Synchronous for tick handlers: returns null and queues a load the first time a token is asked for each day
+  getBaseline(token, time = Date.now()) {
+    const day = getISTDay(time);
+    const baseline = this.baselines.get(token);
+    if (baseline && baseline.day === day) return baseline.perMinute;
+
+    this.baselines.set(token, { day, perMinute: null });
+    this.baselineQueue = this.baselineQueue
+      .then(() => this.loadBaseline(token, day))
+      .catch(error => logger.error(`❌ Volume baseline failed for ${token}:`, error.message));
+    return null;
+  }
+
+  async loadBaseline(token, day) {
+    const dayStart = day * DAY_MS - IST_OFFSET_MS;
+    // Calendar days to cover BASELINE_SESSIONS trading days, allowing for weekends and holidays
+    const lookback = Math.ceil(this.BASELINE_SESSIONS * 7 / 5) + 5;
+    const candles = await marketStore.getCandles(token, 'minute', {
+      from: dayStart - lookback * DAY_MS,
+      to: dayStart - 1
+    });
+
+    const byDay = new Map();
+    candles.forEach(candle => {
+      const time = candle.time.getTime();
+      const key = getISTDay(time);
+      if (!byDay.has(key)) byDay.set(key, []);
+      byDay.get(key).push(candle);
+    });
+
+    const sessions = Array.from(byDay.values()).slice(-this.BASELINE_SESSIONS);
+    if (sessions.length < this.MIN_BASELINE_SESSIONS) {
+      this.baselines.set(token, { day, perMinute: null });
+      return;
+    }
+
+    const today = this.getSession(token, dayStart);
+    const minutes = Math.ceil((today.close - today.open) / MINUTE_MS);
+
+    // Kite skips minutes without trades, so a minute only counts for sessions that have data on both sides of it
+    const sums = new Float64Array(minutes);
+    const counts = new Uint16Array(minutes);
+    sessions.forEach(session => {
+      const hours = this.getSession(token, session[0].time.getTime());
+      const slots = session.map(candle => Math.floor(getSessionMinute(candle.time.getTime(), hours)));
+      const first = Math.max(0, slots[0]);
+      const last = Math.min(minutes - 1, slots[slots.length - 1]);
+
+      session.forEach((candle, i) => {
+        if (slots[i] >= 0 && slots[i] < minutes) sums[slots[i]] += candle.volume;
+      });
+      for (let slot = first; slot <= last; slot++) counts[slot]++;
+    });
+
+    const perMinute = new Float64Array(minutes);
+    for (let slot = 0; slot < minutes; slot++) {
+      perMinute[slot] = counts[slot] ? sums[slot] / counts[slot] : 0;
+    }
+
+    this.baselines.set(token, { day, perMinute });
+    this.baselinesLoaded++;
+  }
+
+  clear() {
+    this.buffers.clear();
+    this.baselines.clear();
+  }
+
+  getStatus() {
+    return {
+      window: this.WINDOW,
+      instruments: this.buffers.size,
+      baselines: Array.from(this.baselines.values()).filter(baseline => baseline.perMinute).length,
+      baselinesLoaded: this.baselinesLoaded
+    };
+  }
+}
+
+module.exports = new RollingWindowService();
@@ -24,7 +24,15 @@ class ScheduledAuth {
   async start() {
     // Schedule daily login at 5:45 AM IST (before 6 AM expiry)
     cron.schedule('45 0 * * *', async () => {
-      await this.performAutoLogin();
+      const loggedIn = await this.performAutoLogin();
+
+      // Quiet hours before the open are the best time to catch up on history
+      if (loggedIn) {
+        const backfill = require('./backfill.service');
+        backfill.runUniverseBackfill().catch(error => {
+          logger.error('❌ Universe backfill failed:', error);
+        });
+      }
     }, {
       timezone: 'Asia/Kolkata'
     });
@@ -44,9 +52,10 @@ class ScheduledAuth {
         logger.info('🔄 Token invalid on startup, performing auto-login...');
         await this.performAutoLogin();
         
-        // After successful login, try to start the tracker
+        // After successful login, try to start the tracker if the market is in session
         const tracker = this.getTokenTrackerService();
-        if (tracker && !tracker.isConnected) {
+        const sessionScheduler = require('./session-scheduler.service');
+        if (tracker && !tracker.isRunning && sessionScheduler.shouldStream()) {
           logger.info('🚀 Starting Token Tracker after auto-login...');
           try {
             await tracker.initialize();
@@ -88,9 +97,9 @@ class ScheduledAuth {
         await zerodhaService.initialize();
         logger.info('🔄 Zerodha service reconnected');
 
-        // Restart token tracker service with new token
+        // Restart token tracker service with new token; outside the session the scheduler starts it later
         const tracker = this.getTokenTrackerService();
-        if (tracker) {
+        if (tracker && tracker.isRunning) {
           logger.info('🔄 Restarting Token Tracker service with new token...');
           
           try {
@@ -116,10 +125,12 @@ class ScheduledAuth {
               'warning'
             );
           }
-        } else {
+        } else if (!tracker) {
           logger.warn('⚠️ Token Tracker service not available for restart');
         }
 
+        return true;
+
       } else {
         logger.error('❌ Auto-login failed:', result.error);
         
@@ -130,6 +141,7 @@ class ScheduledAuth {
           'error'
         );
       }
+      return false;
 
     } catch (error) {
       logger.error('❌ Auto-login crashed:', error);
@@ -138,6 +150,7 @@ class ScheduledAuth {
         `❌ **Auto-Login Crashed**\n${error.message}`,
         'error'
       );
+      return false;
     }
   }
 }
@@ -0,0 +1,309 @@
+const fs = require('fs');
+const path = require('path');
+const instrumentMaster = require('./instrument-master.service');
+const logger = require('../utils/logger');
+const { getDataDir } = require('../utils/data-path');
+const { parseSymbol, isDerivative } = require('../utils/symbols');
+
+const UNCLASSIFIED = 'Unclassified';
+
+function formatPct(value) {
+  return `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+}
+
+// Sector, industry and index membership for tracked instruments, from sectors.json.
+// Also watches the tracker's prices for a whole sector moving the same way.
+class SectorService {
+  constructor() {
+    this.data = null; // { symbols: { SYMBOL: { sector, industry } }, indices: { NAME: [SYMBOL] } }
+    this.indexBySymbol = new Map(); // SYMBOL -> [index names]
+    this.tokenKeys = new Map(); // token -> mapping key (trading symbol, or underlying for contracts)
+    this.states = new Map(); // sector -> up | down while it is moving together
+    this.lastAlert = new Map(); // "sector|direction" -> time
+    this.lastCheck = 0;
+    this.alertsSent = 0;
+
+    this.ALERTS = process.env.SECTOR_ALERTS !== 'false';
+    this.ALERT_PCT = parseFloat(process.env.SECTOR_ALERT_PCT || '1.5');
+    // Share of the sector that has to be on the same side of the previous close
+    this.ALERT_BREADTH = parseFloat(process.env.SECTOR_ALERT_BREADTH || '0.8');
+    this.MIN_MEMBERS = parseInt(process.env.SECTOR_MIN_MEMBERS || '3');
+    this.CHECK_INTERVAL = parseInt(process.env.SECTOR_CHECK_INTERVAL_MS || '60000');
+    this.ALERT_COOLDOWN = parseInt(process.env.SECTOR_ALERT_COOLDOWN_MS || '1800000');
+    this.UNCLASSIFIED = UNCLASSIFIED;
+  }
+
+  // The data directory copy holds edits made from Discord and wins over the bundled file
+  getMappingFile() {
+    const override = this.getOverrideFile();
+    return fs.existsSync(override) ? override : path.join(__dirname, '../../sectors.json');
+  }
+
+  getOverrideFile() {
+    return path.join(getDataDir(), 'sectors.json');
+  }
+
+  load() {
+    try {
+      const file = this.getMappingFile();
+      const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+      this.data = { _note: raw._note, symbols: raw.symbols || {}, indices: raw.indices || {} };
+      logger.info(`🏷️ Loaded ${Object.keys(this.data.symbols).length} sector mappings and ${Object.keys(this.data.indices).length} indices`);
+    } catch (error) {
+      logger.error('❌ Could not load sector mappings:', error.message);
+      this.data = { symbols: {}, indices: {} };
+    }
+
+    this.indexBySymbol.clear();
+    Object.entries(this.data.indices).forEach(([index, members]) => {
+      members.forEach(symbol => {
+        if (!this.indexBySymbol.has(symbol)) this.indexBySymbol.set(symbol, []);
+        this.indexBySymbol.get(symbol).push(index);
+      });
+    });
+    this.tokenKeys.clear();
+    return this.data;
+  }
+
+  save() {
+    const file = this.getOverrideFile();
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(this.data, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+    this.load();
+  }
+
+  ensureLoaded() {
+    if (!this.data) this.load();
+  }
+
+  // Contracts are classified by their underlying, NIFTY25DECFUT as NIFTY
+  getKey(token) {
+    if (this.tokenKeys.has(token)) return this.tokenKeys.get(token);
+
+    const inst = instrumentMaster.getByToken(token);
+    if (!inst) return null;
+    const key = isDerivative(inst.exchange) && inst.name ? inst.name : inst.tradingsymbol;
+    this.tokenKeys.set(token, key);
+    return key;
+  }
+
+  getTags(symbol) {
+    this.ensureLoaded();
+    const key = parseSymbol(symbol).tradingsymbol;
+    const mapping = this.data.symbols[key];
+    return {
+      sector: mapping?.sector || UNCLASSIFIED,
+      industry: mapping?.industry || null,
+      indices: this.indexBySymbol.get(key) || []
+    };
+  }
+
+  getTokenTags(token) {
+    const key = this.getKey(token);
+    return key ? this.getTags(key) : { sector: UNCLASSIFIED, industry: null, indices: [] };
+  }
+
+  getSector(token) {
+    return this.getTokenTags(token).sector;
+  }
+
+  // "🏷️ Banks · Private Sector Bank | NIFTY 50, NIFTY BANK", null when nothing is known
+  describe(symbol, instrument = null) {
+    const key = instrument && isDerivative(instrument.exchange) && instrument.name ? instrument.name : symbol;
+    const { sector, industry, indices } = this.getTags(key);
+    if (sector === UNCLASSIFIED && indices.length === 0) return null;
+
+    let line = `🏷️ ${sector}${industry ? ` · ${industry}` : ''}`;
+    if (indices.length > 0) line += ` | ${indices.join(', ')}`;
+    return line;
+  }
+
+  setSymbol(symbol, sector, industry = null) {
+    this.ensureLoaded();
+    const key = parseSymbol(symbol).tradingsymbol;
+    this.data.symbols[key] = industry ? { sector, industry } : { sector };
+    this.save();
+    return key;
+  }
+
+  removeSymbol(symbol) {
+    this.ensureLoaded();
+    const key = parseSymbol(symbol).tradingsymbol;
+    if (!this.data.symbols[key]) return false;
+    delete this.data.symbols[key];
+    this.save();
+    return true;
+  }
+
+  setIndexMember(index, symbol, member) {
+    this.ensureLoaded();
+    const key = parseSymbol(symbol).tradingsymbol;
+    const name = Object.keys(this.data.indices).find(candidate => candidate.toUpperCase() === index.toUpperCase()) || index.toUpperCase();
+    const members = new Set(this.data.indices[name] || []);
+
+    if (member) {
+      members.add(key);
+    } else {
+      members.delete(key);
+    }
+
+    if (members.size > 0) {
+      this.data.indices[name] = Array.from(members);
+    } else {
+      delete this.data.indices[name];
+    }
+    this.save();
+    return { index: name, symbol: key, members: members.size };
+  }
+
+  getIndices() {
+    this.ensureLoaded();
+    return Object.keys(this.data.indices);
+  }
+
+  // stockData: the tracker's token -> { symbol, last_price, ohlc } map
+  getChanges(stockData) {
+    const changes = [];
+    stockData.forEach((data, token) => {
+      const prevClose = data.ohlc?.close;
+      if (!data.last_price || !prevClose) return;
+      changes.push({ token, symbol: data.symbol, change: ((data.last_price - prevClose) / prevClose) * 100 });
+    });
+    return changes;
+  }
+
+  summarize(name, items) {
+    const sorted = [...items].sort((a, b) => b.change - a.change);
+    return {
+      name,
+      count: items.length,
+      avgChange: items.reduce((sum, item) => sum + item.change, 0) / items.length,
+      advances: items.filter(item => item.change > 0).length,
+      declines: items.filter(item => item.change < 0).length,
+      best: sorted[0],
+      worst: sorted[sorted.length - 1]
+    };
+  }
+
+  // Per-sector heat, strongest first with Unclassified at the end
+  getSectorHeat(stockData) {
+    this.ensureLoaded();
+    const groups = new Map();
+    this.getChanges(stockData).forEach(item => {
+      const sector = this.getSector(item.token);
+      if (!groups.has(sector)) groups.set(sector, []);
+      groups.get(sector).push(item);
+    });
+
+    return Array.from(groups.entries())
+      .map(([sector, items]) => this.summarize(sector, items))
+      .sort((a, b) => (a.name === UNCLASSIFIED) - (b.name === UNCLASSIFIED) || b.avgChange - a.avgChange);
+  }
+
+  getIndexHeat(stockData) {
+    this.ensureLoaded();
+    const changes = this.getChanges(stockData);
+    return Object.keys(this.data.indices)
+      .map(index => {
+        const items = changes.filter(item => this.getTokenTags(item.token).indices.includes(index));
+        return items.length > 0 ? this.summarize(index, items) : null;
+      })
+      .filter(Boolean);
+  }
+
+  getSectorMembers(stockData, sector) {
+    return this.getChanges(stockData)
+      .filter(item => this.getSector(item.token) === sector)
+      .map(item => ({ ...item, ...this.getTokenTags(item.token) }))
+      .sort((a, b) => b.change - a.change);
+  }
+
+  findSector(stockData, query) {
+    const sectors = new Set(this.getSectorHeat(stockData).map(heat => heat.name));
+    Object.values(this.data.symbols).forEach(mapping => sectors.add(mapping.sector));
+    const lower = query.toLowerCase();
+    const names = Array.from(sectors);
+    return names.find(name => name.toLowerCase() === lower) ||
+      names.find(name => name.toLowerCase().startsWith(lower)) ||
+      null;
+  }
+
+  // Called with every tracker batch, but only looks at sectors once per CHECK_INTERVAL
+  evaluate(stockData, now = Date.now()) {
+    if (!this.ALERTS || now - this.lastCheck < this.CHECK_INTERVAL) return;
+    this.lastCheck = now;
+
+    this.getSectorHeat(stockData).forEach(heat => {
+      if (heat.name === UNCLASSIFIED || heat.count < this.MIN_MEMBERS) return;
+
+      const previous = this.states.get(heat.name) || null;
+      const state = this.nextState(heat, previous);
+      if (state === previous) return;
+
+      if (state) {
+        this.states.set(heat.name, state);
+        this.alert(heat, state, now);
+      } else {
+        this.states.delete(heat.name);
+      }
+    });
+  }
+
+  // Moving together: the average is past the threshold and most members agree on direction.
+  // Once flagged, a sector stays flagged until the average falls back below half the threshold.
+  nextState(heat, previous) {
+    const upShare = heat.advances / heat.count;
+    const downShare = heat.declines / heat.count;
+
+    if (heat.avgChange >= this.ALERT_PCT && upShare >= this.ALERT_BREADTH) return 'up';
+    if (heat.avgChange <= -this.ALERT_PCT && downShare >= this.ALERT_BREADTH) return 'down';
+
+    if (previous === 'up' && heat.avgChange >= this.ALERT_PCT / 2) return 'up';
+    if (previous === 'down' && heat.avgChange <= -this.ALERT_PCT / 2) return 'down';
+    return null;
+  }
+
+  alert(heat, direction, now) {
+    const key = `${heat.name}|${direction}`;
+    const last = this.lastAlert.get(key);
+    if (last && now - last < this.ALERT_COOLDOWN) return;
+    this.lastAlert.set(key, now);
+    this.alertsSent++;
+
+    const alertRules = require('./alert-rules.service');
+    const up = direction === 'up';
+    const moving = up ? heat.advances : heat.declines;
+    const leader = up ? heat.best : heat.worst;
+
+    logger.info(`🧭 Sector ${heat.name} moving ${direction} together (${formatPct(heat.avgChange)}, ${moving}/${heat.count})`);
+    alertRules.enqueue({
+      group: `sector|${direction}`,
+      name: up ? 'Sector Rally' : 'Sector Selloff',
+      severity: up ? 'info' : 'warning',
+      channel: 'alerts',
+      message:
+        `${up ? '🟢' : '🔴'} **${heat.name}** moving ${up ? 'up' : 'down'} together\n` +
+        `Average ${formatPct(heat.avgChange)} | ${moving}/${heat.count} ${up ? 'advancing' : 'declining'}\n` +
+        `Leader: ${leader.symbol} ${formatPct(leader.change)}`,
+      line: `• **${heat.name}** ${formatPct(heat.avgChange)} | ${moving}/${heat.count} | ${leader.symbol} ${formatPct(leader.change)}`
+    });
+  }
+
+  clear() {
+    this.states.clear();
+    this.lastCheck = 0;
+  }
+
+  getStatus() {
+    this.ensureLoaded();
+    return {
+      symbols: Object.keys(this.data.symbols).length,
+      indices: Object.keys(this.data.indices).length,
+      moving: Array.from(this.states.entries()).map(([sector, direction]) => `${sector} ${direction}`),
+      alertsSent: this.alertsSent,
+      file: this.getMappingFile()
+    };
+  }
+}
+
+module.exports = new SectorService();
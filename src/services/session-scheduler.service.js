@@ -0,0 +1,284 @@
+const EventEmitter = require('events');
+const discordService = require('./discord.service');
+const zerodhaService = require('./zerodha.service');
+const logger = require('../utils/logger');
+const marketCalendar = require('../utils/market-calendar');
+
+function formatClock(date) {
+  return date.toLocaleTimeString('en-IN', { timeZone: 'Asia/Kolkata', hour: 'numeric', minute: '2-digit' });
+}
+
+function formatWhen(date) {
+  return date.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata', weekday: 'short', day: 'numeric', month: 'short', hour: 'numeric', minute: '2-digit' });
+}
+
+// Drives the trading day from the market calendar: warm-up before the first phase, streaming
+// (tracker board + price alerts) through the session, everything stopped once the last phase ends.
+// Emits 'warmup' ({ day, at }) and 'preopen' / 'open' / 'close' ({ exchange, day, at }) for reports.
+class SessionSchedulerService extends EventEmitter {
+  constructor() {
+    super();
+    this.checkInterval = null;
+    this.checking = false;
+    this.warmedUpDay = null;
+    this.fired = new Set(); // "day|exchange|event" already emitted
+    this.lastEvent = null;
+    this.waitingForLogin = false;
+    this.startFailed = false; // Reported once per session, retried every check
+
+    this.ENABLED = process.env.SESSION_SCHEDULER !== 'false';
+    this.EXCHANGES = (process.env.SESSION_EXCHANGES || 'NSE')
+      .split(',')
+      .map(exchange => exchange.trim().toUpperCase())
+      .filter(Boolean);
+    this.WARMUP_MINUTES = parseInt(process.env.SESSION_WARMUP_MINUTES) || 45;
+    this.STOP_DELAY_MINUTES = parseInt(process.env.SESSION_STOP_DELAY_MINUTES) || 5;
+    this.CHECK_INTERVAL = 30000;
+    // A restart mid-session should not replay the morning's events
+    this.EVENT_GRACE_MS = 5 * 60 * 1000;
+  }
+
+  getTracker() {
+    return require('./token-tracker.service');
+  }
+
+  // Today's window across the session exchanges, null when none of them trade
+  getWindow(now = new Date()) {
+    let start = null;
+    let end = null;
+
+    this.EXCHANGES.forEach(exchange => {
+      if (!marketCalendar.isTradingDay(exchange, now)) return;
+      const { phases } = marketCalendar.getSchedule(exchange, now);
+      const first = phases[0].start;
+      const last = phases[phases.length - 1].end;
+      if (!start || first < start) start = first;
+      if (!end || last > end) end = last;
+    });
+
+    if (!start) return null;
+    return {
+      warmupAt: new Date(start.getTime() - this.WARMUP_MINUTES * 60000),
+      startAt: start,
+      stopAt: new Date(end.getTime() + this.STOP_DELAY_MINUTES * 60000)
+    };
+  }
+
+  getEvents(now = new Date()) {
+    const events = [];
+
+    this.EXCHANGES.forEach(exchange => {
+      const { day, phases } = marketCalendar.getSchedule(exchange, now);
+      const trading = phases.filter(({ phase }) => marketCalendar.TRADING_PHASES.includes(phase));
+      if (trading.length === 0) return;
+
+      const preOpen = phases.find(({ phase }) => phase === 'pre_open');
+      if (preOpen) events.push({ event: 'preopen', exchange, day, at: preOpen.start });
+      events.push({ event: 'open', exchange, day, at: trading[0].start });
+      events.push({ event: 'close', exchange, day, at: trading[trading.length - 1].end });
+    });
+
+    return events.sort((a, b) => a.at - b.at);
+  }
+
+  // Whether the tracker should be streaming now; always true with the scheduler turned off
+  shouldStream(now = new Date()) {
+    if (!this.ENABLED) return true;
+    const window = this.getWindow(now);
+    return !!window && now >= window.startAt && now < window.stopAt;
+  }
+
+  async start() {
+    if (this.checkInterval) return;
+
+    this.checkInterval = setInterval(() => {
+      this.check().catch(error => {
+        logger.error('❌ Session check failed:', error.message);
+      });
+    }, this.CHECK_INTERVAL);
+
+    logger.info(`📅 Session scheduler started (${this.EXCHANGES.join(', ')}${this.ENABLED ? '' : ', events only'})`);
+    await this.check();
+
+    if (this.ENABLED && !this.getTracker().isRunning) {
+      const next = marketCalendar.getNextOpen(this.EXCHANGES[0]);
+      logger.info(`⏸️ Outside market session, streaming resumes ${next ? formatWhen(next) : 'with the next session'}`);
+    }
+  }
+
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+      logger.info('📅 Session scheduler stopped');
+    }
+  }
+
+  // With SESSION_SCHEDULER=false only the lifecycle events run; streaming is left to app startup
+  async check(now = new Date()) {
+    // Starting the tracker can take longer than one interval
+    if (this.checking) return;
+    this.checking = true;
+
+    try {
+      if (!this.ENABLED) {
+        this.fireEvents(now);
+        return;
+      }
+
+      const window = this.getWindow(now);
+      const day = marketCalendar.getDayKey(now);
+
+      if (window && now >= window.warmupAt && now < window.startAt && this.warmedUpDay !== day) {
+        this.warmedUpDay = day;
+        await this.warmUp(day, now);
+      }
+
+      const inSession = !!window && now >= window.startAt && now < window.stopAt;
+      const running = this.getTracker().isRunning;
+      if (inSession && !running) {
+        await this.startStreaming();
+      } else if (!inSession && running) {
+        await this.stopStreaming(now);
+      }
+      if (!inSession) this.startFailed = false;
+
+      this.fireEvents(now);
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  fireEvents(now) {
+    const day = marketCalendar.getDayKey(now);
+    this.fired.forEach(key => {
+      if (!key.startsWith(day)) this.fired.delete(key);
+    });
+
+    this.getEvents(now).forEach(event => {
+      const key = `${event.day}|${event.exchange}|${event.event}`;
+      if (this.fired.has(key) || now < event.at) return;
+
+      this.fired.add(key);
+      if (now - event.at > this.EVENT_GRACE_MS) return;
+
+      this.lastEvent = event;
+      logger.info(`📅 Session event: ${event.event} ${event.exchange}`);
+      try {
+        this.emit(event.event, event);
+      } catch (error) {
+        logger.error(`❌ Session ${event.event} listener failed:`, error.message);
+      }
+    });
+  }
+
+  // Login check, today's instrument dump and history catch-up, so the open only has to connect
+  async warmUp(day, now = new Date()) {
+    logger.info('🌅 Session warm-up started');
+    const steps = [];
+
+    if (!(await zerodhaService.initialize())) {
+      const scheduledAuth = require('./scheduled-auth.service');
+      const loggedIn = await scheduledAuth.performAutoLogin();
+      steps.push(loggedIn ? '🔑 Re-logged in' : '❌ Login failed');
+    } else {
+      steps.push('🔑 Session valid');
+    }
+
+    const instrumentMaster = require('./instrument-master.service');
+    if (zerodhaService.isConnected && instrumentMaster.getStatus().day !== day) {
+      try {
+        await instrumentMaster.refresh();
+        steps.push('📚 Instruments refreshed');
+      } catch (error) {
+        logger.error('❌ Warm-up instrument refresh failed:', error.message);
+        steps.push('❌ Instrument refresh failed');
+      }
+    }
+
+    // Already covered ranges are skipped, so this is cheap after the early-morning run
+    const backfill = require('./backfill.service');
+    backfill.runUniverseBackfill().catch(error => {
+      logger.error('❌ Warm-up backfill failed:', error);
+    });
+    steps.push('📈 Backfill queued');
+
+    const window = this.getWindow(now);
+    await discordService.log(
+      `🌅 **Session Warm-up**\n` +
+      `${steps.join(' | ')}\n` +
+      `Streaming starts at ${formatClock(window.startAt)} IST`,
+      zerodhaService.isConnected ? 'info' : 'warning'
+    );
+
+    this.emit('warmup', { day, at: now });
+  }
+
+  async startStreaming() {
+    // Retried every check until a login lands
+    if (!zerodhaService.isConnected) {
+      if (!this.waitingForLogin) {
+        this.waitingForLogin = true;
+        logger.warn('⚠️ Market session started but Zerodha is not connected, waiting for login');
+      }
+      return;
+    }
+    this.waitingForLogin = false;
+
+    // initialize() logs and swallows its own errors, leaving the tracker stopped
+    const tracker = this.getTracker();
+    await tracker.initialize();
+    if (!tracker.isRunning) {
+      if (!this.startFailed) {
+        this.startFailed = true;
+        logger.error('❌ Market session started but the tracker failed to start, retrying');
+        await discordService.log(
+          `❌ **Market Session Start Failed**\n` +
+          `Token tracker did not start, retrying every ${this.CHECK_INTERVAL / 1000}s`,
+          'error'
+        );
+      }
+      return;
+    }
+
+    logger.info('▶️ Market session started, streaming on');
+    const priceAlerts = require('./price-alert.service');
+    await priceAlerts.start();
+
+    await discordService.log(
+      `▶️ **Market Session Started**\n` +
+      `📊 Tracking ${tracker.tokens.length} instruments` +
+      (this.startFailed ? `\nRecovered after a failed start` : ''),
+      'info'
+    );
+    this.startFailed = false;
+  }
+
+  async stopStreaming(now = new Date()) {
+    logger.info('⏹️ Market session over, streaming off');
+    const priceAlerts = require('./price-alert.service');
+    await this.getTracker().stop();
+    await priceAlerts.stop();
+
+    const next = marketCalendar.getNextOpen(this.EXCHANGES[0], now);
+    await discordService.log(
+      `⏹️ **Market Session Ended**\n` +
+      `WebSocket and board updates paused` +
+      (next ? `\nNext open: ${formatWhen(next)}` : ''),
+      'info'
+    );
+  }
+
+  getStatus(now = new Date()) {
+    return {
+      enabled: this.ENABLED,
+      running: !!this.checkInterval,
+      exchanges: this.EXCHANGES,
+      streaming: this.getTracker().isRunning,
+      window: this.getWindow(now),
+      lastEvent: this.lastEvent
+    };
+  }
+}
+
+module.exports = new SessionSchedulerService();
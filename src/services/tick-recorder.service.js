@@ -0,0 +1,274 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const readline = require('readline');
+const kiteSocket = require('./kite-socket.service');
+const logger = require('../utils/logger');
+const { getDataDir } = require('../utils/data-path');
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function getISTDateKey(time) {
+  return new Date(time + IST_OFFSET_MS).toISOString().split('T')[0];
+}
+
+function getNextISTMidnight(time) {
+  return Math.floor((time + IST_OFFSET_MS) / DAY_MS) * DAY_MS + DAY_MS - IST_OFFSET_MS;
+}
+
+class TickRecorderService {
+  constructor() {
+    this.recordingsDir = null;
+    this.isRecording = false;
+    this.stream = null;
+    this.currentFile = null;
+    this.currentDay = null;
+    this.dayEndsAt = 0;
+    this.part = 0;
+    this.bytesWritten = 0;
+    this.framesRecorded = 0;
+    this.frameListener = (message, isBinary, shard, receivedAt) => {
+      this.record(message, isBinary, shard, receivedAt);
+    };
+
+    this.replayState = null;
+
+    // Roll to a new part once a file holds this much uncompressed data
+    this.MAX_FILE_BYTES = parseInt(process.env.TICK_RECORDING_MAX_MB || '512') * 1024 * 1024;
+    this.RETENTION_DAYS = parseInt(process.env.TICK_RECORDING_RETENTION_DAYS || '14');
+  }
+
+  getRecordingsDir() {
+    if (!this.recordingsDir) {
+      this.recordingsDir = getDataDir('recordings');
+    }
+    return this.recordingsDir;
+  }
+
+  start() {
+    if (this.isRecording) return;
+    this.isRecording = true;
+    kiteSocket.tap(this.frameListener);
+    logger.info(`⏺️ Tick recording started (${this.getRecordingsDir()})`);
+  }
+
+  async stop() {
+    if (!this.isRecording) return;
+    this.isRecording = false;
+    kiteSocket.untap(this.frameListener);
+    await this.closeStream();
+    logger.info(`⏹️ Tick recording stopped (${this.framesRecorded} frames)`);
+  }
+
+  record(message, isBinary, shard, receivedAt) {
+    const time = receivedAt.getTime();
+
+    if (!this.stream || time >= this.dayEndsAt || this.bytesWritten >= this.MAX_FILE_BYTES) {
+      this.rollFile(time);
+    }
+
+    const entry = { t: time, s: shard };
+    if (isBinary) {
+      entry.b = message.toString('base64');
+    } else {
+      entry.x = message.toString('utf8');
+    }
+
+    const line = JSON.stringify(entry) + '\n';
+    this.stream.write(line);
+    this.bytesWritten += line.length;
+    this.framesRecorded++;
+  }
+
+  rollFile(time) {
+    const day = getISTDateKey(time);
+
+    if (day !== this.currentDay) {
+      this.currentDay = day;
+      this.dayEndsAt = getNextISTMidnight(time);
+      this.part = Math.max(0, this.getSessionFiles(day).length - 1);
+      this.pruneOldRecordings(time);
+    } else {
+      this.part++;
+    }
+
+    this.closeStream();
+
+    const suffix = this.part === 0 ? '' : `.${this.part}`;
+    this.currentFile = path.join(this.getRecordingsDir(), `${day}${suffix}.ndjson.gz`);
+    this.bytesWritten = 0;
+
+    // Each process run writes its own gzip member, so appending to an existing file stays valid
+    const gzip = zlib.createGzip();
+    gzip.pipe(fs.createWriteStream(this.currentFile, { flags: 'a' }));
+    this.stream = gzip;
+
+    logger.info(`⏺️ Recording to ${path.basename(this.currentFile)}`);
+  }
+
+  closeStream() {
+    if (!this.stream) return Promise.resolve();
+    const stream = this.stream;
+    this.stream = null;
+    return new Promise(resolve => stream.end(resolve));
+  }
+
+  pruneOldRecordings(time) {
+    const cutoff = getISTDateKey(time - this.RETENTION_DAYS * DAY_MS);
+
+    fs.readdirSync(this.getRecordingsDir())
+      .filter(file => file.endsWith('.ndjson.gz') && file.slice(0, 10) < cutoff)
+      .forEach(file => {
+        fs.unlinkSync(path.join(this.getRecordingsDir(), file));
+        logger.info(`🗑️ Pruned old recording ${file}`);
+      });
+  }
+
+  getSessionFiles(day) {
+    const partNumber = (file) => parseInt(file.split('.')[1]) || 0;
+
+    return fs.readdirSync(this.getRecordingsDir())
+      .filter(file => file.startsWith(day) && file.endsWith('.ndjson.gz'))
+      .sort((a, b) => partNumber(a) - partNumber(b))
+      .map(file => path.join(this.getRecordingsDir(), file));
+  }
+
+  listSessions() {
+    const sessions = new Map();
+
+    fs.readdirSync(this.getRecordingsDir())
+      .filter(file => file.endsWith('.ndjson.gz'))
+      .forEach(file => {
+        const day = file.slice(0, 10);
+        const size = fs.statSync(path.join(this.getRecordingsDir(), file)).size;
+        const session = sessions.get(day) || { day, files: 0, bytes: 0 };
+        session.files++;
+        session.bytes += size;
+        sessions.set(day, session);
+      });
+
+    return Array.from(sessions.values()).sort((a, b) => a.day.localeCompare(b.day));
+  }
+
+  resolveSession(session) {
+    if (fs.existsSync(session)) return [session];
+    const files = this.getSessionFiles(session);
+    if (files.length === 0) {
+      throw new Error(`No recording found for ${session}`);
+    }
+    return files;
+  }
+
+  // speed: 1 = real time, N = N times faster, 0 = as fast as possible
+  async replay(session, { speed = 1, onFinish = null } = {}) {
+    if (this.replayState) {
+      throw new Error('A replay is already running');
+    }
+
+    const files = this.resolveSession(session);
+    const wasOffline = kiteSocket.offline;
+    if (!wasOffline) {
+      kiteSocket.goOffline();
+    }
+
+    const replayConn = {
+      id: 'replay',
+      tickCount: 0,
+      lastMessageTime: null,
+      lastHeartbeatTime: null,
+      lastTickTime: null
+    };
+    this.replayState = { session, speed, frames: 0, startedAt: new Date(), stopRequested: false, conn: replayConn };
+    logger.info(`▶️ Replaying ${session} (${files.length} file(s), speed ${speed === 0 ? 'max' : speed + 'x'})`);
+
+    let firstFrameTime = null;
+    let wallStart = null;
+
+    try {
+      for (const file of files) {
+        const lines = readline.createInterface({
+          input: fs.createReadStream(file).pipe(zlib.createGunzip()),
+          crlfDelay: Infinity
+        });
+
+        try {
+          for await (const line of lines) {
+            if (this.replayState.stopRequested) break;
+            if (!line) continue;
+
+            const entry = JSON.parse(line);
+            if (firstFrameTime === null) {
+              firstFrameTime = entry.t;
+              wallStart = Date.now();
+            }
+
+            if (speed > 0) {
+              const due = wallStart + (entry.t - firstFrameTime) / speed;
+              const wait = due - Date.now();
+              if (wait > 0) {
+                await new Promise(resolve => setTimeout(resolve, wait));
+              }
+            } else if (this.replayState.frames % 500 === 0) {
+              // Yield now and then so Discord and timers keep running during max-speed replays
+              await new Promise(resolve => setImmediate(resolve));
+            }
+
+            const message = entry.b !== undefined
+              ? Buffer.from(entry.b, 'base64')
+              : Buffer.from(entry.x, 'utf8');
+            kiteSocket.handleMessage(replayConn, message, new Date(entry.t));
+            this.replayState.frames++;
+          }
+        } catch (error) {
+          // A recording that is still being written ends mid-member; keep what was read
+          if (error.code !== 'Z_BUF_ERROR') throw error;
+          logger.warn(`⚠️ ${path.basename(file)} ended unexpectedly, continuing`);
+        }
+
+        if (this.replayState.stopRequested) break;
+      }
+    } finally {
+      const summary = {
+        session,
+        frames: this.replayState.frames,
+        ticks: replayConn.tickCount,
+        stopped: this.replayState.stopRequested,
+        duration: ((Date.now() - this.replayState.startedAt) / 1000).toFixed(1)
+      };
+      this.replayState = null;
+
+      if (!wasOffline) {
+        await kiteSocket.goOnline();
+      }
+
+      logger.info(`⏹️ Replay of ${session} finished: ${summary.frames} frames, ${summary.ticks} ticks in ${summary.duration}s`);
+      if (onFinish) {
+        await onFinish(summary);
+      }
+    }
+  }
+
+  stopReplay() {
+    if (!this.replayState) return false;
+    this.replayState.stopRequested = true;
+    return true;
+  }
+
+  getStatus() {
+    return {
+      recording: this.isRecording,
+      currentFile: this.currentFile ? path.basename(this.currentFile) : null,
+      framesRecorded: this.framesRecorded,
+      replay: this.replayState ? {
+        session: this.replayState.session,
+        speed: this.replayState.speed,
+        frames: this.replayState.frames,
+        ticks: this.replayState.conn.tickCount,
+        startedAt: this.replayState.startedAt
+      } : null
+    };
+  }
+}
+
+module.exports = new TickRecorderService();
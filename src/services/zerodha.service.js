@@ -5,7 +5,9 @@ const discordService = require('./discord.service');
 class ZerodhaService {
   constructor() {
     this.kite = new KiteConnect({
-      api_key: process.env.ZERODHA_API_KEY
+      api_key: process.env.ZERODHA_API_KEY,
+      // Point at a local stand-in (see src/dev/fake-kite.server.js) for offline runs
+      ...(process.env.KITE_API_ROOT && { root: process.env.KITE_API_ROOT })
     });
     this.isConnected = false;
   }
@@ -0,0 +1,18 @@
+const fs = require('fs');
+const path = require('path');
+
+// Railway mounts its persistent volume at /app/data; locally everything lives under ./data
+function getDataDir(...segments) {
+  const isRailway = !!process.env.RAILWAY_ENVIRONMENT || process.env.NODE_ENV === 'production';
+  const root = process.env.DATA_DIR || (isRailway ? '/app/data' : path.join(__dirname, '../../data'));
+  const dir = path.join(root, ...segments);
+
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  return dir;
+}
+
+module.exports = {
+  getDataDir
+};
@@ -0,0 +1,262 @@
+// Small expression language for alert conditions, compiled to closures without eval.
+//   move_pct <= -3 and volume_ratio > 2
+//   (price - vwap) / vwap * 100 > 1.5 or m15.rsi14 >= 70
+//   supertrend_dir == 'down' and not (rsi < 30)
+// Operators: or ||, and &&, not !, == != < <= > >=, + - * / %, unary -, parentheses.
+// Functions: abs, min, max, round. A missing value (null) makes any comparison false.
+
+const FUNCTIONS = {
+  abs: { args: 1, fn: Math.abs },
+  min: { args: -1, fn: Math.min },
+  max: { args: -1, fn: Math.max },
+  round: { args: -1, fn: (value, digits = 0) => Math.round(value * Math.pow(10, digits)) / Math.pow(10, digits) }
+};
+
+const KEYWORDS = { and: '&&', or: '||', not: '!' };
+
+class ExpressionError extends Error {
+  constructor(message, position) {
+    super(position === undefined ? message : `${message} at position ${position + 1}`);
+    this.name = 'ExpressionError';
+    this.position = position;
+  }
+}
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    const number = source.slice(i).match(/^\d+(\.\d+)?/);
+    if (number) {
+      tokens.push({ type: 'number', value: parseFloat(number[0]), pos: i });
+      i += number[0].length;
+      continue;
+    }
+
+    const word = source.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*/);
+    if (word) {
+      const lower = word[0].toLowerCase();
+      if (KEYWORDS[lower]) {
+        tokens.push({ type: 'op', value: KEYWORDS[lower], pos: i });
+      } else if (lower === 'true' || lower === 'false') {
+        tokens.push({ type: 'bool', value: lower === 'true', pos: i });
+      } else {
+        tokens.push({ type: 'name', value: word[0], pos: i });
+      }
+      i += word[0].length;
+      continue;
+    }
+
+    if (char === '\'' || char === '"') {
+      const end = source.indexOf(char, i + 1);
+      if (end === -1) throw new ExpressionError('Unterminated string', i);
+      tokens.push({ type: 'string', value: source.slice(i + 1, end), pos: i });
+      i = end + 1;
+      continue;
+    }
+
+    const op = ['&&', '||', '==', '!=', '<=', '>=', '<', '>', '!', '+', '-', '*', '/', '%', '(', ')', ',']
+      .find(candidate => source.startsWith(candidate, i));
+    if (!op) throw new ExpressionError(`Unexpected character '${char}'`, i);
+
+    tokens.push({ type: 'op', value: op, pos: i });
+    i += op.length;
+  }
+
+  tokens.push({ type: 'end', pos: source.length });
+  return tokens;
+}
+
+// Recursive descent, lowest precedence first
+function parse(source) {
+  const tokens = tokenize(source);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const isOp = (...values) => peek().type === 'op' && values.includes(peek().value);
+  const expect = (value) => {
+    const token = next();
+    if (token.type !== 'op' || token.value !== value) {
+      throw new ExpressionError(`Expected '${value}'`, token.pos);
+    }
+  };
+
+  const binary = (nextLevel, ...operators) => () => {
+    let left = nextLevel();
+    while (isOp(...operators)) {
+      const op = next().value;
+      left = { type: 'binary', op, left, right: nextLevel() };
+    }
+    return left;
+  };
+
+  const primary = () => {
+    const token = next();
+
+    if (token.type === 'number' || token.type === 'string' || token.type === 'bool') {
+      return { type: 'literal', value: token.value };
+    }
+
+    if (token.type === 'name') {
+      if (!isOp('(')) {
+        return { type: 'field', name: token.value, pos: token.pos };
+      }
+
+      const func = FUNCTIONS[token.value.toLowerCase()];
+      if (!func) throw new ExpressionError(`Unknown function '${token.value}'`, token.pos);
+
+      next();
+      const args = [];
+      if (!isOp(')')) {
+        args.push(orExpr());
+        while (isOp(',')) {
+          next();
+          args.push(orExpr());
+        }
+      }
+      expect(')');
+
+      if (func.args !== -1 && args.length !== func.args) {
+        throw new ExpressionError(`${token.value}() takes ${func.args} argument(s)`, token.pos);
+      }
+      return { type: 'call', fn: func.fn, args };
+    }
+
+    if (token.type === 'op' && token.value === '(') {
+      const inner = orExpr();
+      expect(')');
+      return inner;
+    }
+
+    if (token.type === 'end') throw new ExpressionError('Unexpected end of expression', token.pos);
+    throw new ExpressionError(`Unexpected '${token.value}'`, token.pos);
+  };
+
+  const unary = () => {
+    if (isOp('!', '-')) {
+      const op = next().value;
+      return { type: 'unary', op, operand: unary() };
+    }
+    return primary();
+  };
+
+  const multiplicative = binary(unary, '*', '/', '%');
+  const additive = binary(multiplicative, '+', '-');
+  const comparison = binary(additive, '<', '<=', '>', '>=');
+  const equality = binary(comparison, '==', '!=');
+  const andExpr = binary(equality, '&&');
+  const orExpr = binary(andExpr, '||');
+
+  const ast = orExpr();
+  if (peek().type !== 'end') {
+    throw new ExpressionError(`Unexpected '${peek().value}'`, peek().pos);
+  }
+  return ast;
+}
+
+const isMissing = (value) => value === null || value === undefined || (typeof value === 'number' && !isFinite(value));
+
+function build(node) {
+  switch (node.type) {
+    case 'literal':
+      return () => node.value;
+
+    case 'field':
+      return (resolve) => resolve(node.name);
+
+    case 'call': {
+      const args = node.args.map(build);
+      return (resolve) => {
+        const values = args.map(arg => arg(resolve));
+        return values.some(isMissing) ? null : node.fn(...values);
+      };
+    }
+
+    case 'unary': {
+      const operand = build(node.operand);
+      if (node.op === '!') return (resolve) => !operand(resolve);
+      return (resolve) => {
+        const value = operand(resolve);
+        return isMissing(value) ? null : -value;
+      };
+    }
+
+    case 'binary': {
+      const left = build(node.left);
+      const right = build(node.right);
+
+      if (node.op === '&&') return (resolve) => !!left(resolve) && !!right(resolve);
+      if (node.op === '||') return (resolve) => !!left(resolve) || !!right(resolve);
+
+      const apply = {
+        '+': (a, b) => a + b,
+        '-': (a, b) => a - b,
+        '*': (a, b) => a * b,
+        '/': (a, b) => (b === 0 ? null : a / b),
+        '%': (a, b) => (b === 0 ? null : a % b),
+        '<': (a, b) => a < b,
+        '<=': (a, b) => a <= b,
+        '>': (a, b) => a > b,
+        '>=': (a, b) => a >= b,
+        '==': (a, b) => a === b,
+        '!=': (a, b) => a !== b
+      }[node.op];
+      const isComparison = ['<', '<=', '>', '>=', '==', '!='].includes(node.op);
+
+      return (resolve) => {
+        const a = left(resolve);
+        const b = right(resolve);
+        if (isMissing(a) || isMissing(b)) return isComparison ? false : null;
+        return apply(a, b);
+      };
+    }
+
+    default:
+      throw new ExpressionError(`Unknown node ${node.type}`);
+  }
+}
+
+function collectFields(node, fields = []) {
+  if (node.type === 'field') fields.push(node);
+  if (node.left) collectFields(node.left, fields);
+  if (node.right) collectFields(node.right, fields);
+  if (node.operand) collectFields(node.operand, fields);
+  if (node.args) node.args.forEach(arg => collectFields(arg, fields));
+  return fields;
+}
+
+// isKnownField(name) lets callers reject typos at load time instead of silently never firing
+function compile(source, isKnownField = null) {
+  if (typeof source !== 'string' || !source.trim()) {
+    throw new ExpressionError('Expression is empty');
+  }
+
+  const ast = parse(source);
+  const fieldNodes = collectFields(ast);
+
+  if (isKnownField) {
+    const unknown = fieldNodes.find(field => !isKnownField(field.name));
+    if (unknown) throw new ExpressionError(`Unknown field '${unknown.name}'`, unknown.pos);
+  }
+
+  const evaluate = build(ast);
+  return {
+    source,
+    fields: Array.from(new Set(fieldNodes.map(field => field.name))),
+    evaluate
+  };
+}
+
+module.exports = {
+  compile,
+  ExpressionError
+};
@@ -0,0 +1,128 @@
+// Ranked symbol search over instrument-like records ({ tradingsymbol, name }).
+// A query is matched against the trading symbol with punctuation removed (BAJAJ-AUTO -> BAJAJAUTO)
+// and against the words of the name, strongest kind of match first, with a few typos tolerated.
+
+const SCORES = {
+  EXACT_SYMBOL: 100,
+  SYMBOL_PREFIX: 80,
+  EXACT_NAME: 70,
+  NAME_WORDS: 60,
+  SYMBOL_CONTAINS: 50,
+  NAME_CONTAINS: 40,
+  TYPO: 30
+};
+
+function normalize(text) {
+  return String(text || '').toUpperCase().replace(/[^A-Z0-9&]+/g, ' ').trim();
+}
+
+// Short queries have to be typed right, "TSC" for TCS would match half the market
+function getMaxTypos(length) {
+  if (length <= 3) return 0;
+  if (length <= 6) return 1;
+  return 2;
+}
+
+// Optimal string alignment distance (edits plus adjacent swaps), giving up once it exceeds max
+function distance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous2 = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + cost);
+      if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], previous2[j - 2] + 1);
+      }
+      best = Math.min(best, row[j]);
+    }
+    if (best > max) return max + 1;
+    previous2 = previous;
+    previous = row;
+  }
+
+  return previous[b.length];
+}
+
+// Search keys for a record, computed once per instrument
+function prepare(record) {
+  const name = normalize(record.name);
+  return {
+    symbol: normalize(record.tradingsymbol).replace(/ /g, ''),
+    name,
+    words: name ? name.split(' ') : []
+  };
+}
+
+function prepareQuery(query) {
+  const text = normalize(query);
+  const compact = text.replace(/ /g, '');
+  return {
+    text,
+    compact,
+    words: text ? text.split(' ') : [],
+    maxTypos: getMaxTypos(compact.length)
+  };
+}
+
+// 0 means no match
+function score(query, keys) {
+  const { text, compact, words, maxTypos } = query;
+  if (!compact) return 0;
+
+  if (keys.symbol === compact) return SCORES.EXACT_SYMBOL;
+  if (keys.symbol.startsWith(compact)) return SCORES.SYMBOL_PREFIX - Math.min(10, keys.symbol.length - compact.length);
+  if (keys.name && keys.name === text) return SCORES.EXACT_NAME;
+  if (keys.words.length > 0 && words.every(word => keys.words.some(candidate => candidate.startsWith(word)))) {
+    return SCORES.NAME_WORDS;
+  }
+  if (keys.symbol.includes(compact)) return SCORES.SYMBOL_CONTAINS;
+  if (keys.name && keys.name.includes(text)) return SCORES.NAME_CONTAINS;
+
+  if (maxTypos === 0) return 0;
+  let typos = Math.min(
+    distance(compact, keys.symbol, maxTypos),
+    // A misspelt start of a longer symbol, "RELAINCE" for RELIANCE or "HDFCBNK" for HDFCBANK
+    distance(compact, keys.symbol.slice(0, compact.length), maxTypos)
+  );
+  if (words.length === 1) {
+    keys.words.forEach(word => {
+      typos = Math.min(typos, distance(compact, word, maxTypos));
+    });
+  }
+  return typos <= maxTypos ? SCORES.TYPO - typos * 5 : 0;
+}
+
+// entries: [{ item, keys }] where keys come from prepare(). compare breaks ties between equal scores.
+function rank(entries, query, { filter = null, compare = null, offset = 0, limit = 10 } = {}) {
+  const prepared = prepareQuery(query);
+  const matches = [];
+
+  entries.forEach(entry => {
+    if (filter && !filter(entry.item)) return;
+    const value = score(prepared, entry.keys);
+    if (value > 0) matches.push({ item: entry.item, score: value });
+  });
+
+  matches.sort((a, b) => b.score - a.score || (compare ? compare(a.item, b.item) : 0));
+
+  return {
+    total: matches.length,
+    items: matches.slice(offset, offset + limit).map(match => match.item)
+  };
+}
+
+module.exports = {
+  SCORES,
+  normalize,
+  distance,
+  prepare,
+  prepareQuery,
+  score,
+  rank
+};
@@ -0,0 +1,371 @@
+// Incremental technical indicators. Each class takes one closed candle (or value) at a time
+// through update() and keeps only the state it needs, so nothing is recomputed from scratch.
+// Values stay null until the indicator has seen enough data.
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class SMA {
+  constructor(period) {
+    this.period = period;
+    this.window = [];
+    this.sum = 0;
+    this.value = null;
+  }
+
+  update(price) {
+    this.window.push(price);
+    this.sum += price;
+    if (this.window.length > this.period) {
+      this.sum -= this.window.shift();
+    }
+    this.value = this.window.length === this.period ? this.sum / this.period : null;
+    return this.value;
+  }
+}
+
+// Seeded with the SMA of the first `period` values, like most charting platforms
+class EMA {
+  constructor(period) {
+    this.period = period;
+    this.k = 2 / (period + 1);
+    this.seed = new SMA(period);
+    this.value = null;
+  }
+
+  update(price) {
+    if (this.value === null) {
+      this.value = this.seed.update(price);
+    } else {
+      this.value = price * this.k + this.value * (1 - this.k);
+    }
+    return this.value;
+  }
+}
+
+class WMA {
+  constructor(period) {
+    this.period = period;
+    this.window = [];
+    this.sum = 0;
+    this.weightedSum = 0;
+    this.divisor = (period * (period + 1)) / 2;
+    this.value = null;
+  }
+
+  update(price) {
+    if (this.window.length === this.period) {
+      // Every remaining value loses one weight step, the new one enters at full weight
+      this.weightedSum += this.period * price - this.sum;
+      this.sum += price - this.window.shift();
+    } else {
+      this.weightedSum += (this.window.length + 1) * price;
+      this.sum += price;
+    }
+    this.window.push(price);
+
+    this.value = this.window.length === this.period ? this.weightedSum / this.divisor : null;
+    return this.value;
+  }
+}
+
+// Wilder's smoothing: a plain average for the first `period` values, then (prev * (n - 1) + x) / n
+class WilderAverage {
+  constructor(period) {
+    this.period = period;
+    this.count = 0;
+    this.sum = 0;
+    this.value = null;
+  }
+
+  update(x) {
+    if (this.value !== null) {
+      this.value = (this.value * (this.period - 1) + x) / this.period;
+    } else {
+      this.sum += x;
+      this.count++;
+      if (this.count === this.period) {
+        this.value = this.sum / this.period;
+      }
+    }
+    return this.value;
+  }
+}
+
+class RSI {
+  constructor(period = 14) {
+    this.period = period;
+    this.previous = null;
+    this.gains = new WilderAverage(period);
+    this.losses = new WilderAverage(period);
+    this.value = null;
+  }
+
+  update(price) {
+    if (this.previous !== null) {
+      const change = price - this.previous;
+      const gain = this.gains.update(Math.max(change, 0));
+      const loss = this.losses.update(Math.max(-change, 0));
+
+      if (gain !== null) {
+        this.value = loss === 0 ? 100 : 100 - 100 / (1 + gain / loss);
+      }
+    }
+    this.previous = price;
+    return this.value;
+  }
+}
+
+class MACD {
+  constructor(fast = 12, slow = 26, signal = 9) {
+    this.fast = new EMA(fast);
+    this.slow = new EMA(slow);
+    this.signalLine = new EMA(signal);
+    this.value = null;
+  }
+
+  update(price) {
+    const fast = this.fast.update(price);
+    const slow = this.slow.update(price);
+    if (fast === null || slow === null) return null;
+
+    const macd = fast - slow;
+    const signal = this.signalLine.update(macd);
+    this.value = {
+      macd,
+      signal,
+      histogram: signal === null ? null : macd - signal
+    };
+    return this.value;
+  }
+}
+
+class BollingerBands {
+  constructor(period = 20, multiplier = 2) {
+    this.period = period;
+    this.multiplier = multiplier;
+    this.window = [];
+    this.sum = 0;
+    this.sumSquares = 0;
+    this.value = null;
+  }
+
+  update(price) {
+    this.window.push(price);
+    this.sum += price;
+    this.sumSquares += price * price;
+    if (this.window.length > this.period) {
+      const old = this.window.shift();
+      this.sum -= old;
+      this.sumSquares -= old * old;
+    }
+    if (this.window.length < this.period) return null;
+
+    const middle = this.sum / this.period;
+    // Running sums can drift a hair below zero for flat prices
+    const deviation = Math.sqrt(Math.max(0, this.sumSquares / this.period - middle * middle));
+    this.value = {
+      upper: middle + this.multiplier * deviation,
+      middle,
+      lower: middle - this.multiplier * deviation,
+      bandwidth: middle ? (2 * this.multiplier * deviation) / middle * 100 : 0,
+      percentB: deviation ? (price - (middle - this.multiplier * deviation)) / (2 * this.multiplier * deviation) : 0.5
+    };
+    return this.value;
+  }
+}
+
+class ATR {
+  constructor(period = 14) {
+    this.previousClose = null;
+    this.average = new WilderAverage(period);
+    this.value = null;
+  }
+
+  update(candle) {
+    const trueRange = this.previousClose === null
+      ? candle.high - candle.low
+      : Math.max(
+        candle.high - candle.low,
+        Math.abs(candle.high - this.previousClose),
+        Math.abs(candle.low - this.previousClose)
+      );
+
+    this.previousClose = candle.close;
+    this.value = this.average.update(trueRange);
+    return this.value;
+  }
+}
+
+class SuperTrend {
+  constructor(period = 10, multiplier = 3) {
+    this.multiplier = multiplier;
+    this.atr = new ATR(period);
+    this.upper = null;
+    this.lower = null;
+    this.previousClose = null;
+    this.value = null;
+  }
+
+  update(candle) {
+    const atr = this.atr.update(candle);
+    const previousClose = this.previousClose;
+    this.previousClose = candle.close;
+    if (atr === null) return null;
+
+    const mid = (candle.high + candle.low) / 2;
+    const basicUpper = mid + this.multiplier * atr;
+    const basicLower = mid - this.multiplier * atr;
+
+    // Bands only tighten while price stays on the same side of them
+    const upper = this.upper === null || basicUpper < this.upper || previousClose > this.upper
+      ? basicUpper
+      : this.upper;
+    const lower = this.lower === null || basicLower > this.lower || previousClose < this.lower
+      ? basicLower
+      : this.lower;
+
+    let direction;
+    if (!this.value) {
+      direction = candle.close >= mid ? 'up' : 'down';
+    } else if (this.value.direction === 'down') {
+      direction = candle.close > upper ? 'up' : 'down';
+    } else {
+      direction = candle.close < lower ? 'down' : 'up';
+    }
+
+    this.upper = upper;
+    this.lower = lower;
+    this.value = {
+      value: direction === 'up' ? lower : upper,
+      direction,
+      flipped: !!this.value && this.value.direction !== direction
+    };
+    return this.value;
+  }
+}
+
+// Anchored to the IST session, resets on the first candle of each day
+class VWAP {
+  constructor() {
+    this.day = null;
+    this.priceVolume = 0;
+    this.volume = 0;
+    this.value = null;
+  }
+
+  update(candle) {
+    const day = Math.floor((new Date(candle.time).getTime() + IST_OFFSET_MS) / DAY_MS);
+    if (day !== this.day) {
+      this.day = day;
+      this.priceVolume = 0;
+      this.volume = 0;
+    }
+
+    const typical = (candle.high + candle.low + candle.close) / 3;
+    this.priceVolume += typical * (candle.volume || 0);
+    this.volume += candle.volume || 0;
+
+    // Indices carry no volume; fall back to the typical price
+    this.value = this.volume > 0 ? this.priceVolume / this.volume : typical;
+    return this.value;
+  }
+}
+
+class Stochastic {
+  constructor(period = 14, smoothK = 3, smoothD = 3) {
+    this.period = period;
+    this.highs = [];
+    this.lows = [];
+    this.k = new SMA(smoothK);
+    this.d = new SMA(smoothD);
+    this.value = null;
+  }
+
+  update(candle) {
+    this.highs.push(candle.high);
+    this.lows.push(candle.low);
+    if (this.highs.length > this.period) {
+      this.highs.shift();
+      this.lows.shift();
+    }
+    if (this.highs.length < this.period) return null;
+
+    const highest = Math.max(...this.highs);
+    const lowest = Math.min(...this.lows);
+    const rawK = highest === lowest ? 50 : ((candle.close - lowest) / (highest - lowest)) * 100;
+
+    const k = this.k.update(rawK);
+    if (k === null) return null;
+
+    this.value = { k, d: this.d.update(k) };
+    return this.value;
+  }
+}
+
+// The standard set tracked per instrument and interval
+class IndicatorSet {
+  constructor() {
+    this.indicators = {
+      sma20: new SMA(20),
+      sma50: new SMA(50),
+      ema9: new EMA(9),
+      ema21: new EMA(21),
+      wma20: new WMA(20),
+      rsi14: new RSI(14),
+      macd: new MACD(12, 26, 9),
+      bollinger: new BollingerBands(20, 2),
+      atr14: new ATR(14),
+      supertrend: new SuperTrend(10, 3),
+      vwap: new VWAP(),
+      stochastic: new Stochastic(14, 3, 3)
+    };
+    this.candles = 0;
+    this.lastTime = null;
+    this.lastClose = null;
+  }
+
+  update(candle) {
+    const time = new Date(candle.time).getTime();
+    // Replays and backfills can hand over a candle we already have
+    if (this.lastTime !== null && time <= this.lastTime) return false;
+
+    const { sma20, sma50, ema9, ema21, wma20, rsi14, macd, bollinger } = this.indicators;
+    [sma20, sma50, ema9, ema21, wma20, rsi14, macd, bollinger].forEach(indicator => indicator.update(candle.close));
+
+    const { atr14, supertrend, vwap, stochastic } = this.indicators;
+    [atr14, supertrend, vwap, stochastic].forEach(indicator => indicator.update(candle));
+
+    this.candles++;
+    this.lastTime = time;
+    this.lastClose = candle.close;
+    return true;
+  }
+
+  snapshot() {
+    const values = {};
+    Object.entries(this.indicators).forEach(([name, indicator]) => {
+      values[name] = indicator.value;
+    });
+    return {
+      ...values,
+      close: this.lastClose,
+      time: this.lastTime ? new Date(this.lastTime) : null,
+      candles: this.candles
+    };
+  }
+}
+
+module.exports = {
+  SMA,
+  EMA,
+  WMA,
+  RSI,
+  MACD,
+  BollingerBands,
+  ATR,
+  SuperTrend,
+  VWAP,
+  Stochastic,
+  IndicatorSet
+};
@@ -0,0 +1,239 @@
+// Exchange trading calendar in IST: session phases per exchange, holidays and special sessions
+// (Muhurat, budget-day Saturdays, MCX evening-only days) from market-calendar.json.
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { getDataDir } = require('./data-path');
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// Regular weekday phases. Ticks only carry trades during normal and evening.
+const EQUITY_PHASES = [
+  { phase: 'pre_open', start: '09:00', end: '09:15' },
+  { phase: 'normal', start: '09:15', end: '15:30' },
+  { phase: 'closing', start: '15:30', end: '15:40' },
+  { phase: 'post_close', start: '15:40', end: '16:00' }
+];
+const DERIVATIVE_PHASES = [
+  { phase: 'pre_open', start: '09:00', end: '09:15' },
+  { phase: 'normal', start: '09:15', end: '15:30' }
+];
+const CURRENCY_PHASES = [
+  { phase: 'normal', start: '09:00', end: '17:00' }
+];
+// MCX closes at 23:55 while US markets are on standard time
+const COMMODITY_PHASES = [
+  { phase: 'normal', start: '09:00', end: '17:00' },
+  { phase: 'evening', start: '17:00', end: process.env.MCX_CLOSE || '23:30' }
+];
+
+const SESSIONS = {
+  NSE: EQUITY_PHASES,
+  BSE: EQUITY_PHASES,
+  NFO: DERIVATIVE_PHASES,
+  BFO: DERIVATIVE_PHASES,
+  CDS: CURRENCY_PHASES,
+  BCD: CURRENCY_PHASES,
+  MCX: COMMODITY_PHASES
+};
+
+// Segments without their own list in the file close with their parent exchange
+const CALENDAR_SOURCE = {
+  NFO: 'NSE',
+  CDS: 'NSE',
+  BSE: 'NSE',
+  BFO: 'NSE',
+  BCD: 'NSE'
+};
+
+const TRADING_PHASES = ['normal', 'evening'];
+
+const PHASE_NAMES = {
+  pre_open: 'Pre-open',
+  normal: 'Open',
+  closing: 'Closing session',
+  post_close: 'Post-close',
+  evening: 'Evening session',
+  closed: 'Closed'
+};
+
+let calendar = null;
+
+// The volume copy wins so the list can be updated without a redeploy
+function getCalendarFile() {
+  const override = path.join(getDataDir(), 'market-calendar.json');
+  return fs.existsSync(override) ? override : path.join(__dirname, '../../market-calendar.json');
+}
+
+function loadCalendar() {
+  try {
+    calendar = JSON.parse(fs.readFileSync(getCalendarFile(), 'utf8'));
+  } catch (error) {
+    logger.error('❌ Could not load market calendar, only weekends will be treated as holidays:', error.message);
+    calendar = {};
+  }
+  return calendar;
+}
+
+function getCalendar(exchange) {
+  if (!calendar) loadCalendar();
+  return calendar[exchange] || calendar[CALENDAR_SOURCE[exchange]] || {};
+}
+
+function getDayKey(date = new Date()) {
+  return new Date(new Date(date).getTime() + IST_OFFSET_MS).toISOString().split('T')[0];
+}
+
+function getDayStart(dayKey) {
+  return new Date(`${dayKey}T00:00:00Z`).getTime() - IST_OFFSET_MS;
+}
+
+function toTime(dayKey, hhmm) {
+  const [hours, minutes] = hhmm.split(':').map(Number);
+  return getDayStart(dayKey) + (hours * 60 + minutes) * MINUTE_MS;
+}
+
+function getHoliday(exchange = 'NSE', date = new Date()) {
+  const holidays = getCalendar(exchange).holidays || {};
+  return holidays[getDayKey(date)] || null;
+}
+
+// Phases for one IST day as [{ phase, start, end }] with Date bounds; empty when the exchange is shut
+function getSchedule(exchange = 'NSE', date = new Date()) {
+  const dayKey = getDayKey(date);
+  const { special_sessions: specials = {} } = getCalendar(exchange);
+  const special = specials[dayKey];
+
+  let phases;
+  let name = null;
+  if (special) {
+    phases = special.phases || [];
+    name = special.name;
+  } else if (getHoliday(exchange, date)) {
+    phases = [];
+    name = getHoliday(exchange, date);
+  } else {
+    const weekday = new Date(getDayStart(dayKey) + IST_OFFSET_MS).getUTCDay();
+    phases = weekday === 0 || weekday === 6 ? [] : (SESSIONS[exchange] || SESSIONS.NSE);
+  }
+
+  return {
+    day: dayKey,
+    name,
+    special: !!special,
+    phases: phases.map(({ phase, start, end }) => ({
+      phase,
+      start: new Date(toTime(dayKey, start)),
+      end: new Date(toTime(dayKey, end))
+    }))
+  };
+}
+
+function isTradingDay(exchange = 'NSE', date = new Date()) {
+  return getSchedule(exchange, date).phases.some(({ phase }) => TRADING_PHASES.includes(phase));
+}
+
+function getPhase(exchange = 'NSE', date = new Date()) {
+  const now = new Date(date).getTime();
+  const current = getSchedule(exchange, date).phases.find(({ start, end }) => now >= start.getTime() && now < end.getTime());
+  return current || { phase: 'closed', start: null, end: null };
+}
+
+// Start of the first and end of the last continuous trading phase, null when the exchange is shut
+function getTradingHours(exchange = 'NSE', date = new Date()) {
+  const trading = getSchedule(exchange, date).phases.filter(({ phase }) => TRADING_PHASES.includes(phase));
+  if (trading.length === 0) return null;
+  return { open: trading[0].start, close: trading[trading.length - 1].end };
+}
+
+// Continuous trading, the part of the day the feed is expected to stream
+function isMarketOpen(exchange = 'NSE', date = new Date()) {
+  return TRADING_PHASES.includes(getPhase(exchange, date).phase);
+}
+
+// Start of the next continuous trading phase after date, looking up to a month ahead
+function getNextOpen(exchange = 'NSE', date = new Date()) {
+  const now = new Date(date).getTime();
+  for (let offset = 0; offset <= 31; offset++) {
+    const { phases } = getSchedule(exchange, now + offset * DAY_MS);
+    const next = phases.find(({ phase, start }) => TRADING_PHASES.includes(phase) && start.getTime() > now);
+    if (next) return next.start;
+  }
+  return null;
+}
+
+// End of today's last trading phase, once trading has started and until it ends
+function getCloseTime(exchange = 'NSE', date = new Date()) {
+  const now = new Date(date).getTime();
+  const hours = getTradingHours(exchange, date);
+  if (!hours || now < hours.open.getTime()) return null;
+  return now < hours.close.getTime() ? hours.close : null;
+}
+
+function getTimeToClose(exchange = 'NSE', date = new Date()) {
+  const close = getCloseTime(exchange, date);
+  return close ? close.getTime() - new Date(date).getTime() : null;
+}
+
+function getTimeToOpen(exchange = 'NSE', date = new Date()) {
+  const next = getNextOpen(exchange, date);
+  return next ? next.getTime() - new Date(date).getTime() : null;
+}
+
+// "2h 5m", "45m", "30s"
+function formatDuration(ms) {
+  const minutes = Math.floor(ms / MINUTE_MS);
+  if (minutes === 0) return `${Math.max(0, Math.round(ms / 1000))}s`;
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  const rest = minutes % 60;
+  return [days && `${days}d`, hours && `${hours}h`, rest && `${rest}m`].filter(Boolean).join(' ');
+}
+
+function formatTime(date) {
+  return new Date(date).toLocaleString('en-IN', {
+    timeZone: 'Asia/Kolkata',
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+}
+
+// One line for commands, e.g. "✅ NSE Open - closes in 2h 5m" or "⏸️ NSE Closed (Holi) - opens Wed, 4 Mar, 9:15 am"
+function describeStatus(exchange = 'NSE', date = new Date()) {
+  const { phase } = getPhase(exchange, date);
+  const schedule = getSchedule(exchange, date);
+  const label = schedule.name ? ` (${schedule.name})` : '';
+
+  if (TRADING_PHASES.includes(phase)) {
+    return `✅ ${exchange} ${PHASE_NAMES[phase]}${label} - closes in ${formatDuration(getTimeToClose(exchange, date))}`;
+  }
+
+  const next = getNextOpen(exchange, date);
+  const opens = next ? ` - opens ${formatTime(next)} (in ${formatDuration(next.getTime() - new Date(date).getTime())})` : '';
+  return `${phase === 'closed' ? '⏸️' : '⏳'} ${exchange} ${PHASE_NAMES[phase]}${label}${opens}`;
+}
+
+module.exports = {
+  TRADING_PHASES,
+  PHASE_NAMES,
+  loadCalendar,
+  getDayKey,
+  getHoliday,
+  getSchedule,
+  isTradingDay,
+  getTradingHours,
+  getPhase,
+  isMarketOpen,
+  getNextOpen,
+  getCloseTime,
+  getTimeToClose,
+  getTimeToOpen,
+  formatDuration,
+  describeStatus
+};
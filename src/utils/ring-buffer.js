@@ -0,0 +1,84 @@
+// Fixed-capacity circular buffer. Pushing into a full buffer overwrites the oldest item,
+// so memory stays flat no matter how long the stream runs. Index 0 is the oldest item.
+
+class RingBuffer {
+  constructor(capacity) {
+    if (!Number.isInteger(capacity) || capacity < 1) {
+      throw new Error(`RingBuffer capacity must be a positive integer, got ${capacity}`);
+    }
+    this.capacity = capacity;
+    this.items = new Array(capacity);
+    this.start = 0;
+    this.length = 0;
+  }
+
+  push(item) {
+    const index = (this.start + this.length) % this.capacity;
+    this.items[index] = item;
+
+    if (this.length < this.capacity) {
+      this.length++;
+    } else {
+      this.start = (this.start + 1) % this.capacity;
+    }
+  }
+
+  get(index) {
+    if (index < 0 || index >= this.length) return undefined;
+    return this.items[(this.start + index) % this.capacity];
+  }
+
+  // Replaces the newest item, e.g. to coalesce samples that land in the same slot
+  setLast(item) {
+    if (this.length === 0) {
+      this.push(item);
+      return;
+    }
+    this.items[(this.start + this.length - 1) % this.capacity] = item;
+  }
+
+  first() {
+    return this.get(0);
+  }
+
+  last() {
+    return this.get(this.length - 1);
+  }
+
+  // Index of the last item for which predicate holds, assuming it holds for a prefix of the buffer
+  // (true for every item up to some point, false after). -1 when it holds for none.
+  findLastIndex(predicate) {
+    let low = 0;
+    let high = this.length - 1;
+    let found = -1;
+
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (predicate(this.get(mid))) {
+        found = mid;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return found;
+  }
+
+  toArray() {
+    const result = [];
+    for (let i = 0; i < this.length; i++) {
+      result.push(this.get(i));
+    }
+    return result;
+  }
+
+  clear() {
+    this.items = new Array(this.capacity);
+    this.start = 0;
+    this.length = 0;
+  }
+}
+
+module.exports = {
+  RingBuffer
+};
@@ -0,0 +1,131 @@
+// Exchange-qualified symbols ("NSE:RELIANCE", "NFO:NIFTY25DECFUT") and per-segment formatting.
+// A symbol without a prefix is taken to be NSE, which is how it is written everywhere for equities.
+
+const { SEGMENTS, getSegment } = require('./tick-parser');
+
+const DEFAULT_EXCHANGE = 'NSE';
+const EXCHANGES = ['NSE', 'BSE', 'NFO', 'BFO', 'MCX', 'CDS', 'BCD'];
+const DERIVATIVE_EXCHANGES = ['NFO', 'BFO', 'MCX', 'CDS', 'BCD'];
+
+// Index tokens (segment 9) are listed in the NSE dump
+const SEGMENT_EXCHANGES = {
+  [SEGMENTS.NSE]: 'NSE',
+  [SEGMENTS.NFO]: 'NFO',
+  [SEGMENTS.CDS]: 'CDS',
+  [SEGMENTS.BSE]: 'BSE',
+  [SEGMENTS.BFO]: 'BFO',
+  [SEGMENTS.BCD]: 'BCD',
+  [SEGMENTS.MCX]: 'MCX',
+  [SEGMENTS.MCXSX]: 'MCX',
+  [SEGMENTS.INDICES]: 'NSE'
+};
+
+// What one unit of the quoted price buys; the instrument dump does not say
+const PRICE_UNITS = {
+  GOLD: '10 g',
+  GOLDM: '10 g',
+  GOLDGUINEA: '8 g',
+  GOLDPETAL: '1 g',
+  SILVER: 'kg',
+  SILVERM: 'kg',
+  SILVERMIC: 'kg',
+  CRUDEOIL: 'bbl',
+  CRUDEOILM: 'bbl',
+  NATURALGAS: 'mmBtu',
+  NATGASMINI: 'mmBtu',
+  COPPER: 'kg',
+  ZINC: 'kg',
+  ALUMINIUM: 'kg',
+  LEAD: 'kg',
+  NICKEL: 'kg',
+  MENTHAOIL: 'kg',
+  COTTON: 'bale',
+  USDINR: 'USD',
+  EURINR: 'EUR',
+  GBPINR: 'GBP',
+  JPYINR: '100 JPY'
+};
+
+function parseSymbol(input, defaultExchange = DEFAULT_EXCHANGE) {
+  const value = String(input).trim().toUpperCase();
+  const separator = value.indexOf(':');
+  const prefix = separator > 0 ? value.slice(0, separator) : null;
+
+  if (prefix && EXCHANGES.includes(prefix)) {
+    return { exchange: prefix, tradingsymbol: value.slice(separator + 1), symbol: value };
+  }
+  return { exchange: defaultExchange, tradingsymbol: value, symbol: `${defaultExchange}:${value}` };
+}
+
+// "reliance" -> "NSE:RELIANCE", "mcx:crudeoil25decfut" -> "MCX:CRUDEOIL25DECFUT"
+function formatSymbol(input) {
+  return parseSymbol(input).symbol;
+}
+
+// NSE is implied, every other exchange stays visible so BSE:RELIANCE is not mistaken for NSE:RELIANCE
+function displaySymbol(input) {
+  const { exchange, tradingsymbol, symbol } = parseSymbol(input);
+  return exchange === DEFAULT_EXCHANGE ? tradingsymbol : symbol;
+}
+
+function getTokenExchange(token) {
+  return SEGMENT_EXCHANGES[getSegment(token)] || DEFAULT_EXCHANGE;
+}
+
+function isDerivative(exchange) {
+  return DERIVATIVE_EXCHANGES.includes(exchange);
+}
+
+// Currency pairs trade in paise fractions, everything else in paise
+function getPriceDecimals(exchange) {
+  return exchange === 'CDS' || exchange === 'BCD' ? 4 : 2;
+}
+
+function formatPrice(price, exchange = DEFAULT_EXCHANGE) {
+  if (price === null || price === undefined) return '-';
+  return `₹${price.toFixed(getPriceDecimals(exchange))}`;
+}
+
+function getPriceUnit(instrument) {
+  if (!instrument || !isDerivative(instrument.exchange)) return null;
+  return PRICE_UNITS[instrument.name] || null;
+}
+
+function formatExpiry(expiry) {
+  if (!expiry) return null;
+  const date = new Date(expiry);
+  if (isNaN(date.getTime())) return null;
+  return date.toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata', day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+// "FUT | Lot 75 | Expiry 30 Dec 2025" for contracts, null for cash instruments
+function describeContract(instrument) {
+  if (!instrument || !isDerivative(instrument.exchange)) return null;
+
+  const parts = [];
+  if (instrument.instrument_type) {
+    parts.push(instrument.strike ? `${instrument.strike} ${instrument.instrument_type}` : instrument.instrument_type);
+  }
+  if (instrument.lot_size) parts.push(`Lot ${Number(instrument.lot_size).toLocaleString('en-IN')}`);
+  const expiry = formatExpiry(instrument.expiry);
+  if (expiry) parts.push(`Expiry ${expiry}`);
+  const unit = getPriceUnit(instrument);
+  if (unit) parts.push(`Price per ${unit}`);
+
+  return parts.length > 0 ? parts.join(' | ') : null;
+}
+
+module.exports = {
+  DEFAULT_EXCHANGE,
+  EXCHANGES,
+  parseSymbol,
+  formatSymbol,
+  displaySymbol,
+  getTokenExchange,
+  isDerivative,
+  getPriceDecimals,
+  formatPrice,
+  getPriceUnit,
+  formatExpiry,
+  describeContract
+};
@@ -0,0 +1,281 @@
+// Decoder for Kite Connect WebSocket binary frames.
+// Frame layout: [uint16 packet count] then per packet [uint16 length][payload].
+// Payload layout depends on the packet length, see PACKET_LENGTHS below.
+
+const SEGMENTS = {
+  NSE: 1,
+  NFO: 2,
+  CDS: 3,
+  BSE: 4,
+  BFO: 5,
+  BCD: 6,
+  MCX: 7,
+  MCXSX: 8,
+  INDICES: 9
+};
+
+const PACKET_LENGTHS = {
+  LTP: 8,
+  INDEX_QUOTE: 28,
+  INDEX_FULL: 32,
+  QUOTE: 44,
+  FULL: 184
+};
+
+const DEPTH_LEVELS = 5;
+const DEPTH_ENTRY_SIZE = 12;
+
+function getSegment(instrumentToken) {
+  return instrumentToken & 0xff;
+}
+
+// Currency prices are sent with more implied decimals than equity prices
+function getPriceDivisor(segment) {
+  if (segment === SEGMENTS.CDS) return 10000000.0;
+  if (segment === SEGMENTS.BCD) return 10000.0;
+  return 100.0;
+}
+
+function toDate(seconds) {
+  return seconds ? new Date(seconds * 1000) : null;
+}
+
+function computeChange(tick) {
+  if (!tick.ohlc || !tick.ohlc.close) return;
+  tick.change = tick.last_price - tick.ohlc.close;
+  tick.change_percent = (tick.change / tick.ohlc.close) * 100;
+}
+
+function parseDepth(packet, offset, divisor) {
+  const depth = { buy: [], sell: [] };
+
+  for (let i = 0; i < DEPTH_LEVELS * 2; i++) {
+    const entryOffset = offset + i * DEPTH_ENTRY_SIZE;
+    depth[i < DEPTH_LEVELS ? 'buy' : 'sell'].push({
+      quantity: packet.readUInt32BE(entryOffset),
+      price: packet.readInt32BE(entryOffset + 4) / divisor,
+      orders: packet.readUInt16BE(entryOffset + 8)
+    });
+  }
+
+  return depth;
+}
+
+function parseIndexPacket(packet, tick, divisor) {
+  tick.mode = packet.length === PACKET_LENGTHS.INDEX_FULL ? 'full' : 'quote';
+  tick.ohlc = {
+    high: packet.readInt32BE(8) / divisor,
+    low: packet.readInt32BE(12) / divisor,
+    open: packet.readInt32BE(16) / divisor,
+    close: packet.readInt32BE(20) / divisor
+  };
+
+  // Indices carry their own net change; fall back to it when there is no close
+  tick.net_change = packet.readInt32BE(24) / divisor;
+  tick.change = tick.net_change;
+  tick.change_percent = 0;
+  computeChange(tick);
+
+  if (packet.length === PACKET_LENGTHS.INDEX_FULL) {
+    tick.exchange_timestamp = toDate(packet.readUInt32BE(28));
+  }
+}
+
+function parseEquityPacket(packet, tick, divisor) {
+  tick.mode = packet.length === PACKET_LENGTHS.FULL ? 'full' : 'quote';
+  tick.last_traded_quantity = packet.readUInt32BE(8);
+  tick.average_traded_price = packet.readInt32BE(12) / divisor;
+  tick.volume_traded = packet.readUInt32BE(16);
+  tick.total_buy_quantity = packet.readUInt32BE(20);
+  tick.total_sell_quantity = packet.readUInt32BE(24);
+  tick.ohlc = {
+    open: packet.readInt32BE(28) / divisor,
+    high: packet.readInt32BE(32) / divisor,
+    low: packet.readInt32BE(36) / divisor,
+    close: packet.readInt32BE(40) / divisor
+  };
+  tick.change = 0;
+  tick.change_percent = 0;
+  computeChange(tick);
+
+  if (packet.length === PACKET_LENGTHS.FULL) {
+    tick.last_trade_time = toDate(packet.readUInt32BE(44));
+    tick.oi = packet.readUInt32BE(48);
+    tick.oi_day_high = packet.readUInt32BE(52);
+    tick.oi_day_low = packet.readUInt32BE(56);
+    tick.exchange_timestamp = toDate(packet.readUInt32BE(60));
+    tick.depth = parseDepth(packet, 64, divisor);
+  }
+}
+
+function parsePacket(packet) {
+  const instrument_token = packet.readUInt32BE(0);
+  const segment = getSegment(instrument_token);
+  const divisor = getPriceDivisor(segment);
+
+  const tick = {
+    instrument_token,
+    segment,
+    tradable: segment !== SEGMENTS.INDICES,
+    mode: 'ltp',
+    last_price: packet.readInt32BE(4) / divisor
+  };
+
+  switch (packet.length) {
+    case PACKET_LENGTHS.LTP:
+      break;
+    case PACKET_LENGTHS.INDEX_QUOTE:
+    case PACKET_LENGTHS.INDEX_FULL:
+      parseIndexPacket(packet, tick, divisor);
+      break;
+    case PACKET_LENGTHS.QUOTE:
+    case PACKET_LENGTHS.FULL:
+      parseEquityPacket(packet, tick, divisor);
+      break;
+    default:
+      return null;
+  }
+
+  return tick;
+}
+
+// Returns every tick that could be decoded plus a description of anything that could not,
+// so one bad packet never hides the rest of the frame.
+function parseFrame(buffer) {
+  const ticks = [];
+  const errors = [];
+
+  if (!Buffer.isBuffer(buffer) || buffer.length < 2) {
+    errors.push({ reason: 'Frame shorter than packet header', length: buffer ? buffer.length : 0 });
+    return { ticks, errors };
+  }
+
+  const numPackets = buffer.readUInt16BE(0);
+  let offset = 2;
+
+  for (let i = 0; i < numPackets; i++) {
+    if (offset + 2 > buffer.length) {
+      errors.push({ packet: i, reason: `Frame truncated: expected ${numPackets} packets, found ${i}` });
+      break;
+    }
+
+    const packetLength = buffer.readUInt16BE(offset);
+    offset += 2;
+
+    if (offset + packetLength > buffer.length) {
+      errors.push({ packet: i, length: packetLength, reason: `Packet overruns frame by ${offset + packetLength - buffer.length} bytes` });
+      break;
+    }
+
+    const packet = buffer.subarray(offset, offset + packetLength);
+    offset += packetLength;
+
+    if (packetLength < PACKET_LENGTHS.LTP) {
+      errors.push({ packet: i, length: packetLength, reason: 'Packet too short' });
+      continue;
+    }
+
+    const tick = parsePacket(packet);
+    if (!tick) {
+      errors.push({ packet: i, length: packetLength, instrument_token: packet.readUInt32BE(0), reason: 'Unknown packet length' });
+      continue;
+    }
+
+    ticks.push(tick);
+  }
+
+  if (offset < buffer.length && errors.length === 0) {
+    errors.push({ reason: `${buffer.length - offset} trailing bytes after ${numPackets} packets` });
+  }
+
+  return { ticks, errors };
+}
+
+// Inverse of parsePacket, for building protocol-correct frames in tests and fake feeds
+function encodePacket(tick, mode = tick.mode || 'quote') {
+  const segment = getSegment(tick.instrument_token);
+  const divisor = getPriceDivisor(segment);
+  const price = (value) => Math.round((value || 0) * divisor);
+  const seconds = (date) => (date ? Math.floor(new Date(date).getTime() / 1000) : 0);
+  const ohlc = tick.ohlc || {};
+
+  if (mode === 'ltp') {
+    const packet = Buffer.alloc(PACKET_LENGTHS.LTP);
+    packet.writeUInt32BE(tick.instrument_token, 0);
+    packet.writeInt32BE(price(tick.last_price), 4);
+    return packet;
+  }
+
+  if (segment === SEGMENTS.INDICES) {
+    const packet = Buffer.alloc(mode === 'full' ? PACKET_LENGTHS.INDEX_FULL : PACKET_LENGTHS.INDEX_QUOTE);
+    packet.writeUInt32BE(tick.instrument_token, 0);
+    packet.writeInt32BE(price(tick.last_price), 4);
+    packet.writeInt32BE(price(ohlc.high), 8);
+    packet.writeInt32BE(price(ohlc.low), 12);
+    packet.writeInt32BE(price(ohlc.open), 16);
+    packet.writeInt32BE(price(ohlc.close), 20);
+    packet.writeInt32BE(price(tick.last_price - (ohlc.close || tick.last_price)), 24);
+    if (mode === 'full') {
+      packet.writeUInt32BE(seconds(tick.exchange_timestamp), 28);
+    }
+    return packet;
+  }
+
+  const packet = Buffer.alloc(mode === 'full' ? PACKET_LENGTHS.FULL : PACKET_LENGTHS.QUOTE);
+  packet.writeUInt32BE(tick.instrument_token, 0);
+  packet.writeInt32BE(price(tick.last_price), 4);
+  packet.writeUInt32BE(tick.last_traded_quantity || 0, 8);
+  packet.writeInt32BE(price(tick.average_traded_price), 12);
+  packet.writeUInt32BE(tick.volume_traded || 0, 16);
+  packet.writeUInt32BE(tick.total_buy_quantity || 0, 20);
+  packet.writeUInt32BE(tick.total_sell_quantity || 0, 24);
+  packet.writeInt32BE(price(ohlc.open), 28);
+  packet.writeInt32BE(price(ohlc.high), 32);
+  packet.writeInt32BE(price(ohlc.low), 36);
+  packet.writeInt32BE(price(ohlc.close), 40);
+
+  if (mode === 'full') {
+    packet.writeUInt32BE(seconds(tick.last_trade_time), 44);
+    packet.writeUInt32BE(tick.oi || 0, 48);
+    packet.writeUInt32BE(tick.oi_day_high || 0, 52);
+    packet.writeUInt32BE(tick.oi_day_low || 0, 56);
+    packet.writeUInt32BE(seconds(tick.exchange_timestamp), 60);
+
+    const depth = tick.depth || { buy: [], sell: [] };
+    ['buy', 'sell'].forEach((side, sideIndex) => {
+      depth[side].slice(0, DEPTH_LEVELS).forEach((level, i) => {
+        const offset = 64 + (sideIndex * DEPTH_LEVELS + i) * DEPTH_ENTRY_SIZE;
+        packet.writeUInt32BE(level.quantity || 0, offset);
+        packet.writeInt32BE(price(level.price), offset + 4);
+        packet.writeUInt16BE(level.orders || 0, offset + 8);
+      });
+    });
+  }
+
+  return packet;
+}
+
+function encodeFrame(packets) {
+  const header = Buffer.alloc(2);
+  header.writeUInt16BE(packets.length, 0);
+
+  const parts = [header];
+  packets.forEach(packet => {
+    const length = Buffer.alloc(2);
+    length.writeUInt16BE(packet.length, 0);
+    parts.push(length, packet);
+  });
+
+  return Buffer.concat(parts);
+}
+
+module.exports = {
+  SEGMENTS,
+  PACKET_LENGTHS,
+  getSegment,
+  getPriceDivisor,
+  parsePacket,
+  parseFrame,
+  encodePacket,
+  encodeFrame
+};
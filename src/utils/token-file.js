@@ -0,0 +1,23 @@
+const fs = require('fs');
+const path = require('path');
+
+// The tracked universe: Railway's volume copy first, fallback to the one in the repo
+function getTokenFile() {
+  const volumeFile = '/app/data/token.json';
+  return fs.existsSync(volumeFile) ? volumeFile : path.join(__dirname, '../../token.json');
+}
+
+function loadTokens() {
+  const tokenFile = getTokenFile();
+  if (!fs.existsSync(tokenFile)) {
+    throw new Error('token.json not found');
+  }
+
+  return JSON.parse(fs.readFileSync(tokenFile, 'utf8'))
+    .map(token => (typeof token === 'string' ? parseInt(token) : token));
+}
+
+module.exports = {
+  getTokenFile,
+  loadTokens
+};
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Rules edited from Discord live in the data dir; keep a developer's copy out of the test
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'alert-rules-'));
+
+const alertRules = require('../src/services/alert-rules.service');
+const rollingWindow = require('../src/services/rolling-window.service');
+const circuitLimits = require('../src/services/circuit-limit.service');
+
+const TOKEN = 738561;
+const MINUTE = 60 * 1000;
+
+// The bundled rules, with the rolling window and circuit state driven by the test
+let move = 0;
+let locked = null;
+const sent = [];
+
+rollingWindow.getWindow = () => ({ changePct: move, startPrice: 100, seconds: 300, volume: 0, startTime: 0, endTime: 0 });
+circuitLimits.getBand = () => ({ upper: 110, lower: 90 });
+circuitLimits.isLocked = (token, tick, side) => locked === side;
+alertRules.enqueue = (alert) => sent.push(alert.name);
+
+function tickAt(now, price = 100) {
+  alertRules.evaluate([{ token: TOKEN, symbol: 'RELIANCE', name: 'Reliance', tick: { last_price: price } }], now);
+}
+
+test.beforeEach(() => {
+  alertRules.load();
+  alertRules.alertState.clear();
+  sent.length = 0;
+  move = 0;
+  locked = null;
+});
+
+test('a crash escalates through -5% to the lower circuit in one thread', () => {
+  move = -3.5;
+  tickAt(0);
+  move = -5.5;
+  tickAt(MINUTE);
+  // Locked: the window flattens out but the thread does not re-arm
+  move = 0;
+  locked = 'lower';
+  tickAt(2 * MINUTE, 90);
+  tickAt(30 * MINUTE, 90);
+
+  assert.deepEqual(sent, ['Crash', 'Crash -5%', 'Crash - Lower Circuit']);
+});
+
+test('an instrument parked past the trigger is not re-sent when the cooldown runs out', () => {
+  move = -4;
+  tickAt(0);
+  tickAt(16 * MINUTE);
+  tickAt(40 * MINUTE);
+  assert.deepEqual(sent, ['Crash']);
+
+  // Clearing the rearm band arms it again
+  move = -1;
+  tickAt(41 * MINUTE);
+  move = -3.2;
+  tickAt(42 * MINUTE);
+  assert.deepEqual(sent, ['Crash', 'Crash']);
+});
+
+test('rules without a rearm condition re-arm after the cooldown once the condition clears', () => {
+  alertRules.setRules([alertRules.validateRule({ id: 'dip', condition: 'move_pct <= -2', cooldown: '15m' })]);
+
+  move = -2.5;
+  tickAt(0);
+  tickAt(20 * MINUTE);
+  move = -1;
+  tickAt(21 * MINUTE);
+  move = -2.5;
+  tickAt(22 * MINUTE);
+
+  assert.deepEqual(sent, ['dip', 'dip']);
+});
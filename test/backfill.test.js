@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const backfill = require('../src/services/backfill.service');
+
+const DAY = 24 * 60 * 60 * 1000;
+const ist = (value) => new Date(`${value}+05:30`).getTime();
+
+test.beforeEach(() => {
+  // Keep coverage in memory, the manifest file is never written by these tests
+  backfill.manifest = {};
+});
+
+test('splits a range into windows Kite accepts for the interval', () => {
+  const from = ist('2026-01-01T00:00:00');
+  const minuteWindows = backfill.splitRange('minute', from, from + 150 * DAY);
+  assert.equal(minuteWindows.length, 3);
+  assert.deepEqual(minuteWindows[0], [from, from + 60 * DAY - 1]);
+  assert.equal(minuteWindows[2][1], from + 150 * DAY);
+
+  assert.equal(backfill.splitRange('day', from, from + 1999 * DAY).length, 1);
+  assert.equal(backfill.splitRange('60minute', from, from + 400 * DAY).length, 2);
+});
+
+test('merges covered ranges and only reports the gaps', () => {
+  backfill.markCovered(1, 'minute', 100, 200);
+  backfill.markCovered(1, 'minute', 201, 300);
+  backfill.markCovered(1, 'minute', 500, 600);
+  assert.deepEqual(backfill.getCoverage(1, 'minute'), [[100, 300], [500, 600]]);
+
+  assert.deepEqual(backfill.findGaps(1, 'minute', 0, 700), [[0, 99], [301, 499], [601, 700]]);
+  assert.deepEqual(backfill.findGaps(1, 'minute', 150, 250), []);
+  assert.deepEqual(backfill.findGaps(2, 'minute', 0, 10), [[0, 10]]);
+});
+
+test('never asks for candles that have not closed', () => {
+  const now = ist('2026-10-15T11:00:30');
+  assert.equal(backfill.clampToClosed('5minute', now, now), now - 5 * 60 * 1000);
+  assert.equal(backfill.clampToClosed('day', now, now), ist('2026-10-15T00:00:00') - 1);
+  assert.equal(backfill.clampToClosed('minute', ist('2026-10-14T15:30:00'), now), ist('2026-10-14T15:30:00'));
+});
+
+test('resamples minute candles into session-aligned buckets', () => {
+  const minute = (time, open, high, low, close, volume) => ({ time: new Date(ist(time)), open, high, low, close, volume });
+  const candles = [
+    minute('2026-10-15T09:15:00', 100, 101, 99, 100.5, 10),
+    minute('2026-10-15T09:16:00', 100.5, 103, 100, 102, 20),
+    minute('2026-10-15T09:20:00', 102, 102, 98, 99, 5)
+  ];
+
+  const buckets = backfill.resample(candles, '5minute');
+  assert.equal(buckets.length, 2);
+  assert.deepEqual(
+    { ...buckets[0], time: buckets[0].time.getTime() },
+    { time: ist('2026-10-15T09:15:00'), open: 100, high: 103, low: 99, close: 102, volume: 30 }
+  );
+  assert.equal(buckets[1].time.getTime(), ist('2026-10-15T09:20:00'));
+});
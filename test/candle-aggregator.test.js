@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SEGMENTS } = require('../src/utils/tick-parser');
+const { getTokenExchange } = require('../src/utils/symbols');
+const candleAggregator = require('../src/services/candle-aggregator.service');
+
+const NSE_TOKEN = (408065 << 8) | SEGMENTS.NSE;
+const MCX_TOKEN = (5000 << 8) | SEGMENTS.MCX;
+const CDS_TOKEN = (1000 << 8) | SEGMENTS.CDS;
+
+const ist = (value) => new Date(`${value}+05:30`).getTime();
+const clock = (time) => new Date(time + 330 * 60 * 1000).toISOString().slice(11, 16);
+
+test.afterEach(() => {
+  candleAggregator.stop();
+  candleAggregator.clock = 0;
+});
+
+test('aligns NSE buckets to the 9:15 open and drops ticks after the close', () => {
+  assert.equal(clock(candleAggregator.getBucketStart(ist('2026-10-15T09:07:00'), '5minute', 'NSE')), '09:15');
+  assert.equal(clock(candleAggregator.getBucketStart(ist('2026-10-15T10:21:00'), '60minute', 'NSE')), '10:15');
+  assert.equal(clock(candleAggregator.getBucketEnd(ist('2026-10-15T15:15:00'), '60minute', 'NSE')), '15:30');
+  assert.equal(candleAggregator.getBucketStart(ist('2026-10-15T15:31:00'), 'minute', 'NSE'), null);
+});
+
+test('uses the exchange hours for currency and commodity ticks', () => {
+  assert.equal(clock(candleAggregator.getBucketStart(ist('2026-10-15T09:07:00'), '5minute', 'CDS')), '09:05');
+  assert.equal(clock(candleAggregator.getBucketStart(ist('2026-10-15T09:07:00'), '5minute', 'MCX')), '09:05');
+  assert.equal(clock(candleAggregator.getBucketStart(ist('2026-10-15T16:10:00'), '60minute', 'MCX')), '16:00');
+  assert.equal(clock(candleAggregator.getBucketStart(ist('2026-10-15T21:42:00'), '15minute', 'MCX')), '21:30');
+  assert.equal(candleAggregator.getBucketStart(ist('2026-10-15T23:40:00'), 'minute', 'MCX'), null);
+  assert.equal(getTokenExchange(MCX_TOKEN), 'MCX');
+  assert.equal(getTokenExchange(CDS_TOKEN), 'CDS');
+});
+
+test('follows special sessions from the calendar', () => {
+  // Muhurat 2025: trading 13:45-14:45
+  assert.equal(clock(candleAggregator.getBucketStart(ist('2025-10-21T13:50:00'), '60minute', 'NSE')), '13:45');
+  assert.equal(clock(candleAggregator.getBucketEnd(ist('2025-10-21T13:45:00'), '60minute', 'NSE')), '14:45');
+  assert.equal(candleAggregator.getBucketStart(ist('2025-10-21T15:00:00'), 'minute', 'NSE'), null);
+});
+
+test('builds MCX evening candles from ticks', () => {
+  const closed = [];
+  const listener = (candle) => closed.push(candle);
+  candleAggregator.on('candle', listener);
+
+  const tick = (time, price) => ({ instrument_token: MCX_TOKEN, last_price: price, exchange_timestamp: new Date(ist(time)) });
+  candleAggregator.processTicks([tick('2026-10-15T18:00:05', 100), tick('2026-10-15T18:00:40', 102)]);
+  candleAggregator.processTicks([tick('2026-10-15T18:01:10', 101)]);
+  candleAggregator.removeListener('candle', listener);
+
+  const minute = closed.find(candle => candle.interval === 'minute');
+  assert.equal(clock(minute.time.getTime()), '18:00');
+  assert.equal(minute.open, 100);
+  assert.equal(minute.close, 102);
+});
+
+test('counts volume from the first tick when started mid-session', () => {
+  const closed = [];
+  const listener = (candle) => closed.push(candle);
+  candleAggregator.on('candle', listener);
+
+  const tick = (time, volume) => ({ instrument_token: NSE_TOKEN, last_price: 100, volume_traded: volume, exchange_timestamp: new Date(ist(time)) });
+  candleAggregator.processTicks([tick('2026-10-15T11:00:05', 5000000), tick('2026-10-15T11:00:30', 5000100)]);
+  candleAggregator.processTicks([tick('2026-10-15T11:01:10', 5000150)]);
+  candleAggregator.processTicks([tick('2026-10-15T11:02:10', 5000200)]);
+  candleAggregator.removeListener('candle', listener);
+
+  const minutes = closed.filter(candle => candle.interval === 'minute');
+  assert.deepEqual(minutes.map(candle => [clock(candle.time.getTime()), candle.volume]), [['11:00', 100], ['11:01', 50]]);
+});
+
+test('keeps pre-open volume when the first tick lands in the first candle', () => {
+  const closed = [];
+  const listener = (candle) => closed.push(candle);
+  candleAggregator.on('candle', listener);
+
+  const tick = (time, volume) => ({ instrument_token: NSE_TOKEN, last_price: 100, volume_traded: volume, exchange_timestamp: new Date(ist(time)) });
+  candleAggregator.processTicks([tick('2026-10-15T09:15:02', 40000), tick('2026-10-15T09:15:30', 40500)]);
+  candleAggregator.processTicks([tick('2026-10-15T09:16:10', 40600)]);
+  candleAggregator.removeListener('candle', listener);
+
+  const first = closed.find(candle => candle.interval === 'minute');
+  assert.equal(clock(first.time.getTime()), '09:15');
+  assert.equal(first.volume, 40500);
+});
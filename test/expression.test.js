@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compile, ExpressionError } = require('../src/utils/expression');
+
+const run = (source, values = {}) => compile(source).evaluate(name => (name in values ? values[name] : null));
+
+test('follows arithmetic and boolean precedence', () => {
+  assert.equal(run('1 + 2 * 3'), 7);
+  assert.equal(run('(1 + 2) * 3'), 9);
+  assert.equal(run('-2 * -3'), 6);
+  assert.equal(run('10 % 4'), 2);
+  assert.equal(run('true or false and false'), true);
+  assert.equal(run('not (1 > 2) && 2 >= 2'), true);
+});
+
+test('reads fields, including interval-prefixed ones', () => {
+  const values = { move_pct: -3.5, volume_ratio: 2.5, 'm15.rsi14': 72, supertrend_dir: 'down' };
+  assert.equal(run('move_pct <= -3 and volume_ratio > 2', values), true);
+  assert.equal(run('m15.rsi14 >= 70', values), true);
+  assert.equal(run("supertrend_dir == 'down'", values), true);
+  assert.deepEqual(compile('m15.rsi14 > 70 and rsi > 1 or rsi < 0').fields, ['m15.rsi14', 'rsi']);
+});
+
+test('missing values make comparisons false instead of throwing', () => {
+  assert.equal(run('price > 100'), false);
+  assert.equal(run('price < 100'), false);
+  assert.equal(run('price / 0 > 1', { price: 5 }), false);
+  assert.equal(run('abs(change) > 1', { change: null }), false);
+});
+
+test('supports abs, min, max and round', () => {
+  assert.equal(run('abs(-2.5)'), 2.5);
+  assert.equal(run('min(3, 1, 2)'), 1);
+  assert.equal(run('max(3, 1, 2)'), 3);
+  assert.equal(run('round(2.345, 2)'), 2.35);
+});
+
+test('reports syntax errors and unknown fields with their position', () => {
+  assert.throws(() => compile(''), ExpressionError);
+  assert.throws(() => compile('price >'), ExpressionError);
+  assert.throws(() => compile('(price > 1'), ExpressionError);
+  assert.throws(() => compile("name == 'abc"), /Unterminated string at position 9/);
+  assert.throws(() => compile('prise > 1', name => name === 'price'), /Unknown field 'prise' at position 1/);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SCORES, distance, prepare, prepareQuery, score, rank } = require('../src/utils/fuzzy-search');
+
+const INSTRUMENTS = [
+  { tradingsymbol: 'TCS', name: 'TATA CONSULTANCY SERV LT' },
+  { tradingsymbol: 'TCSLTD', name: 'TCS LIMITED' },
+  { tradingsymbol: 'TATAMOTORS', name: 'TATA MOTORS LIMITED' },
+  { tradingsymbol: 'TATASTEEL', name: 'TATA STEEL LIMITED' },
+  { tradingsymbol: 'RELIANCE', name: 'RELIANCE INDUSTRIES' },
+  { tradingsymbol: 'BAJAJ-AUTO', name: 'BAJAJ AUTO' },
+  { tradingsymbol: 'HDFCBANK', name: 'HDFC BANK' }
+];
+
+const entries = INSTRUMENTS.map(item => ({ item, keys: prepare(item) }));
+const search = (query, options) => rank(entries, query, options).items.map(item => item.tradingsymbol);
+const scoreOf = (query, tradingsymbol) => score(prepareQuery(query), prepare(INSTRUMENTS.find(item => item.tradingsymbol === tradingsymbol)));
+
+test('ranks an exact symbol before a prefix before a name match', () => {
+  assert.equal(scoreOf('TCS', 'TCS'), SCORES.EXACT_SYMBOL);
+  assert.ok(scoreOf('TCS', 'TCSLTD') < SCORES.EXACT_SYMBOL);
+  assert.ok(scoreOf('TCS', 'TCSLTD') > SCORES.EXACT_NAME);
+  assert.deepEqual(search('TCS').slice(0, 2), ['TCS', 'TCSLTD']);
+
+  // "tata" prefixes two symbols and only names the third
+  assert.deepEqual(search('tata'), ['TATASTEEL', 'TATAMOTORS', 'TCS']);
+  assert.equal(scoreOf('tata consultancy', 'TCS'), SCORES.NAME_WORDS);
+});
+
+test('ignores punctuation in symbols', () => {
+  assert.equal(scoreOf('bajajauto', 'BAJAJ-AUTO'), SCORES.EXACT_SYMBOL);
+  assert.equal(scoreOf('BAJAJ-AUTO', 'BAJAJ-AUTO'), SCORES.EXACT_SYMBOL);
+});
+
+test('distance counts an adjacent swap as one edit', () => {
+  assert.equal(distance('RELIANCE', 'RELIANCE', 2), 0);
+  assert.equal(distance('RELAINCE', 'RELIANCE', 2), 1);
+  assert.equal(distance('HDFCBNK', 'HDFCBANK', 2), 1);
+  assert.equal(distance('ERLAINCE', 'RELIANCE', 2), 2);
+  // Gives up past the limit instead of computing the full distance
+  assert.equal(distance('INFY', 'RELIANCE', 2), 3);
+});
+
+test('tolerates typos only in longer queries', () => {
+  assert.deepEqual(search('RELAINCE'), ['RELIANCE']);
+  assert.deepEqual(search('HDFCBNK'), ['HDFCBANK']);
+  assert.equal(scoreOf('RELAINCE', 'RELIANCE'), SCORES.TYPO - 5);
+
+  // Three letters have to be typed right
+  assert.equal(prepareQuery('TSC').maxTypos, 0);
+  assert.deepEqual(search('TSC'), []);
+});
+
+test('filters and pages the ranked results', () => {
+  const result = rank(entries, 'tata', { filter: item => item.tradingsymbol !== 'TCS', offset: 1, limit: 1 });
+  assert.equal(result.total, 2);
+  assert.deepEqual(result.items.map(item => item.tradingsymbol), ['TATAMOTORS']);
+});
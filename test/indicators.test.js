@@ -0,0 +1,210 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SMA, EMA, RSI, MACD, ATR, SuperTrend, VWAP, IndicatorSet } = require('../src/utils/indicators');
+
+const MINUTE = 60 * 1000;
+const START = new Date('2026-01-05T09:15:00+05:30').getTime();
+
+// Deterministic random walk so failures reproduce
+function makeCandles(count, seed = 7) {
+  let state = seed;
+  const random = () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+
+  const candles = [];
+  let close = 1000;
+  for (let i = 0; i < count; i++) {
+    const open = close;
+    close = Math.max(1, open + (random() - 0.5) * 20);
+    candles.push({
+      // 375 one-minute candles per session, then the next day
+      time: new Date(START + Math.floor(i / 375) * 24 * 60 * MINUTE + (i % 375) * MINUTE),
+      open,
+      high: Math.max(open, close) + random() * 5,
+      low: Math.min(open, close) - random() * 5,
+      close,
+      volume: Math.floor(random() * 10000)
+    });
+  }
+  return candles;
+}
+
+const candles = makeCandles(900);
+const closes = candles.map(candle => candle.close);
+
+function assertClose(actual, expected, label) {
+  if (expected === null) {
+    assert.equal(actual, null, label);
+    return;
+  }
+  assert.ok(Math.abs(actual - expected) <= 1e-6 * Math.max(1, Math.abs(expected)), `${label}: ${actual} != ${expected}`);
+}
+
+// From-scratch references: each value is rebuilt from the full history up to that candle
+
+function referenceSMA(values, period) {
+  return values.map((_, i) => {
+    if (i < period - 1) return null;
+    return values.slice(i - period + 1, i + 1).reduce((sum, value) => sum + value, 0) / period;
+  });
+}
+
+function referenceEMA(values, period) {
+  const k = 2 / (period + 1);
+  const result = [];
+  values.forEach((value, i) => {
+    if (i < period - 1) result.push(null);
+    else if (i === period - 1) result.push(referenceSMA(values.slice(0, period), period)[period - 1]);
+    else result.push(value * k + result[i - 1] * (1 - k));
+  });
+  return result;
+}
+
+function referenceWilder(values, period) {
+  const result = [];
+  values.forEach((value, i) => {
+    if (i < period - 1) result.push(null);
+    else if (i === period - 1) result.push(values.slice(0, period).reduce((sum, x) => sum + x, 0) / period);
+    else result.push((result[i - 1] * (period - 1) + value) / period);
+  });
+  return result;
+}
+
+function referenceRSI(values, period) {
+  const changes = values.slice(1).map((value, i) => value - values[i]);
+  const gains = referenceWilder(changes.map(change => Math.max(change, 0)), period);
+  const losses = referenceWilder(changes.map(change => Math.max(-change, 0)), period);
+  return [null, ...gains.map((gain, i) => {
+    if (gain === null) return null;
+    return losses[i] === 0 ? 100 : 100 - 100 / (1 + gain / losses[i]);
+  })];
+}
+
+function referenceTrueRange(series) {
+  return series.map((candle, i) => (i === 0
+    ? candle.high - candle.low
+    : Math.max(candle.high - candle.low, Math.abs(candle.high - series[i - 1].close), Math.abs(candle.low - series[i - 1].close))));
+}
+
+function referenceSuperTrend(series, period, multiplier) {
+  const atr = referenceWilder(referenceTrueRange(series), period);
+  const result = [];
+  let upper = null;
+  let lower = null;
+  let direction = null;
+
+  series.forEach((candle, i) => {
+    if (atr[i] === null) {
+      result.push(null);
+      return;
+    }
+    const mid = (candle.high + candle.low) / 2;
+    const basicUpper = mid + multiplier * atr[i];
+    const basicLower = mid - multiplier * atr[i];
+    const previousClose = series[i - 1].close;
+
+    upper = upper === null || basicUpper < upper || previousClose > upper ? basicUpper : upper;
+    lower = lower === null || basicLower > lower || previousClose < lower ? basicLower : lower;
+
+    if (direction === null) direction = candle.close >= mid ? 'up' : 'down';
+    else if (direction === 'down') direction = candle.close > upper ? 'up' : 'down';
+    else direction = candle.close < lower ? 'down' : 'up';
+
+    result.push({ value: direction === 'up' ? lower : upper, direction });
+  });
+  return result;
+}
+
+const istDay = (candle) => new Date(candle.time.getTime() + 330 * MINUTE).toISOString().slice(0, 10);
+
+function referenceVWAP(series) {
+  return series.map((candle, i) => {
+    const session = series.slice(0, i + 1).filter(other => istDay(other) === istDay(candle));
+    const volume = session.reduce((sum, other) => sum + other.volume, 0);
+    const priceVolume = session.reduce((sum, other) => sum + (other.high + other.low + other.close) / 3 * other.volume, 0);
+    return priceVolume / volume;
+  });
+}
+
+test('SMA and EMA match a from-scratch computation', () => {
+  const sma = new SMA(20);
+  const ema = new EMA(21);
+  const expectedSMA = referenceSMA(closes, 20);
+  const expectedEMA = referenceEMA(closes, 21);
+
+  closes.forEach((close, i) => {
+    assertClose(sma.update(close), expectedSMA[i], `sma20 #${i}`);
+    assertClose(ema.update(close), expectedEMA[i], `ema21 #${i}`);
+  });
+});
+
+test('RSI matches Wilder smoothing over the full history', () => {
+  const rsi = new RSI(14);
+  const expected = referenceRSI(closes, 14);
+
+  closes.forEach((close, i) => assertClose(rsi.update(close), expected[i], `rsi14 #${i}`));
+  assert.equal(expected[13], null);
+  assert.notEqual(expected[14], null);
+});
+
+test('MACD matches the difference of two EMAs and its signal line', () => {
+  const macd = new MACD(12, 26, 9);
+  const fast = referenceEMA(closes, 12);
+  const slow = referenceEMA(closes, 26);
+  const line = closes.map((_, i) => (slow[i] === null ? null : fast[i] - slow[i]));
+  const signal = [...line.slice(0, 25), ...referenceEMA(line.slice(25), 9)];
+
+  closes.forEach((close, i) => {
+    const value = macd.update(close);
+    if (line[i] === null) {
+      assert.equal(value, null);
+      return;
+    }
+    assertClose(value.macd, line[i], `macd #${i}`);
+    assertClose(value.signal, signal[i], `signal #${i}`);
+    assertClose(value.histogram, signal[i] === null ? null : line[i] - signal[i], `histogram #${i}`);
+  });
+});
+
+test('ATR and SuperTrend match a from-scratch computation', () => {
+  const atr = new ATR(14);
+  const supertrend = new SuperTrend(10, 3);
+  const expectedATR = referenceWilder(referenceTrueRange(candles), 14);
+  const expectedTrend = referenceSuperTrend(candles, 10, 3);
+
+  candles.forEach((candle, i) => {
+    assertClose(atr.update(candle), expectedATR[i], `atr14 #${i}`);
+
+    const value = supertrend.update(candle);
+    if (expectedTrend[i] === null) {
+      assert.equal(value, null);
+      return;
+    }
+    assertClose(value.value, expectedTrend[i].value, `supertrend #${i}`);
+    assert.equal(value.direction, expectedTrend[i].direction, `supertrend direction #${i}`);
+  });
+  assert.ok(expectedTrend.some((value, i) => value && expectedTrend[i - 1] && value.direction !== expectedTrend[i - 1].direction));
+});
+
+test('VWAP accumulates within a session and resets the next day', () => {
+  const vwap = new VWAP();
+  const expected = referenceVWAP(candles);
+
+  candles.forEach((candle, i) => assertClose(vwap.update(candle), expected[i], `vwap #${i}`));
+  const second = candles[375];
+  assertClose(new VWAP().update(second), (second.high + second.low + second.close) / 3, 'first candle of a session');
+});
+
+test('IndicatorSet ignores candles it has already seen', () => {
+  const set = new IndicatorSet();
+  candles.slice(0, 30).forEach(candle => set.update(candle));
+  const before = set.snapshot();
+
+  assert.equal(set.update(candles[10]), false);
+  assert.equal(set.update(candles[29]), false);
+  assert.deepEqual(set.snapshot(), before);
+  assert.equal(before.candles, 30);
+  assertClose(before.sma20, referenceSMA(closes.slice(0, 30), 20)[29], 'sma20');
+});
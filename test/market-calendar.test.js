@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const marketCalendar = require('../src/utils/market-calendar');
+
+const ist = (value) => new Date(`${value}+05:30`);
+const clock = (date) => new Date(date.getTime() + 330 * 60 * 1000).toISOString().slice(0, 16).replace('T', ' ');
+
+test('NSE is open only during continuous trading on weekdays', () => {
+  assert.equal(marketCalendar.isMarketOpen('NSE', ist('2026-10-15T10:00:00')), true);
+  assert.equal(marketCalendar.isMarketOpen('NSE', ist('2026-10-15T09:05:00')), false);
+  assert.equal(marketCalendar.getPhase('NSE', ist('2026-10-15T09:05:00')).phase, 'pre_open');
+  assert.equal(marketCalendar.getPhase('NSE', ist('2026-10-15T15:35:00')).phase, 'closing');
+  assert.equal(marketCalendar.isMarketOpen('NSE', ist('2026-10-17T10:00:00')), false);
+});
+
+test('holidays close the exchange and the segments that follow it', () => {
+  assert.equal(marketCalendar.getHoliday('NSE', ist('2026-10-20T10:00:00')), 'Dussehra');
+  assert.equal(marketCalendar.isTradingDay('NSE', ist('2026-10-20T10:00:00')), false);
+  assert.equal(marketCalendar.isTradingDay('CDS', ist('2026-10-20T10:00:00')), false);
+  assert.equal(marketCalendar.isTradingDay('NFO', ist('2026-10-20T10:00:00')), false);
+  assert.match(marketCalendar.describeStatus('NSE', ist('2026-10-20T10:00:00')), /Closed \(Dussehra\)/);
+});
+
+test('MCX trades into the evening, and only the evening on exchange holidays', () => {
+  assert.equal(marketCalendar.isMarketOpen('MCX', ist('2026-10-15T21:00:00')), true);
+  assert.equal(marketCalendar.getPhase('MCX', ist('2026-10-15T21:00:00')).phase, 'evening');
+  assert.equal(marketCalendar.isMarketOpen('MCX', ist('2026-10-20T10:00:00')), false);
+  assert.equal(marketCalendar.isMarketOpen('MCX', ist('2026-10-20T18:00:00')), true);
+
+  const hours = marketCalendar.getTradingHours('MCX', ist('2026-10-15T12:00:00'));
+  assert.equal(clock(hours.open), '2026-10-15 09:00');
+  assert.equal(clock(hours.close), '2026-10-15 23:30');
+  assert.equal(marketCalendar.getTradingHours('NSE', ist('2026-10-17T12:00:00')), null);
+});
+
+test('special sessions replace the regular phases', () => {
+  const schedule = marketCalendar.getSchedule('NSE', ist('2025-10-21T12:00:00'));
+  assert.equal(schedule.special, true);
+  assert.equal(marketCalendar.isMarketOpen('NSE', ist('2025-10-21T10:00:00')), false);
+  assert.equal(marketCalendar.isMarketOpen('NSE', ist('2025-10-21T14:00:00')), true);
+  assert.equal(clock(marketCalendar.getCloseTime('NSE', ist('2025-10-21T14:00:00'))), '2025-10-21 14:45');
+  assert.equal(marketCalendar.isTradingDay('NSE', ist('2025-02-01T12:00:00')), true);
+});
+
+test('finds the next open across weekends and holidays', () => {
+  assert.equal(clock(marketCalendar.getNextOpen('NSE', ist('2026-10-16T16:00:00'))), '2026-10-19 09:15');
+  assert.equal(clock(marketCalendar.getNextOpen('NSE', ist('2026-10-19T16:00:00'))), '2026-10-21 09:15');
+  assert.equal(marketCalendar.getTimeToClose('NSE', ist('2026-10-15T15:00:00')), 30 * 60 * 1000);
+  assert.equal(marketCalendar.getTimeToClose('NSE', ist('2026-10-15T16:00:00')), null);
+  assert.equal(marketCalendar.formatDuration(2 * 3600000 + 5 * 60000), '2h 5m');
+});
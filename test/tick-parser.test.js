@@ -0,0 +1,180 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SEGMENTS, PACKET_LENGTHS, getPriceDivisor, parsePacket, parseFrame, encodePacket, encodeFrame } = require('../src/utils/tick-parser');
+
+// Tokens carry their segment in the low byte
+const NSE_TOKEN = (408065 << 8) | SEGMENTS.NSE;
+const CDS_TOKEN = (1000 << 8) | SEGMENTS.CDS;
+const BCD_TOKEN = (2000 << 8) | SEGMENTS.BCD;
+const INDEX_TOKEN = (1024 << 8) | SEGMENTS.INDICES;
+
+const quote = {
+  instrument_token: NSE_TOKEN,
+  last_price: 1523.45,
+  last_traded_quantity: 10,
+  average_traded_price: 1520.1,
+  volume_traded: 123456,
+  total_buy_quantity: 5000,
+  total_sell_quantity: 7000,
+  ohlc: { open: 1510, high: 1530.5, low: 1505.25, close: 1500 }
+};
+
+// Hand-built so the decoder is not only checked against its own encoder
+function ltpFixture(token, rawPrice) {
+  const packet = Buffer.alloc(8);
+  packet.writeUInt32BE(token, 0);
+  packet.writeInt32BE(rawPrice, 4);
+  return packet;
+}
+
+test('decodes an 8 byte LTP packet', () => {
+  const tick = parsePacket(ltpFixture(NSE_TOKEN, 152345));
+  assert.equal(tick.mode, 'ltp');
+  assert.equal(tick.instrument_token, NSE_TOKEN);
+  assert.equal(tick.segment, SEGMENTS.NSE);
+  assert.equal(tick.tradable, true);
+  assert.equal(tick.last_price, 1523.45);
+  assert.equal(tick.ohlc, undefined);
+});
+
+test('decodes a 44 byte quote packet', () => {
+  const packet = encodePacket(quote, 'quote');
+  assert.equal(packet.length, PACKET_LENGTHS.QUOTE);
+
+  const tick = parsePacket(packet);
+  assert.equal(tick.mode, 'quote');
+  assert.equal(tick.last_price, 1523.45);
+  assert.equal(tick.last_traded_quantity, 10);
+  assert.equal(tick.average_traded_price, 1520.1);
+  assert.equal(tick.volume_traded, 123456);
+  assert.equal(tick.total_buy_quantity, 5000);
+  assert.equal(tick.total_sell_quantity, 7000);
+  assert.deepEqual(tick.ohlc, quote.ohlc);
+  assert.ok(Math.abs(tick.change - 23.45) < 1e-9);
+  assert.ok(Math.abs(tick.change_percent - (23.45 / 1500) * 100) < 1e-9);
+  assert.equal(tick.depth, undefined);
+});
+
+test('decodes a 184 byte full packet with depth', () => {
+  const exchangeTime = new Date('2025-10-20T05:00:00Z');
+  const full = {
+    ...quote,
+    last_trade_time: new Date('2025-10-20T04:59:58Z'),
+    exchange_timestamp: exchangeTime,
+    oi: 900,
+    oi_day_high: 1000,
+    oi_day_low: 800,
+    depth: {
+      buy: [1, 2, 3, 4, 5].map(i => ({ quantity: i * 10, price: 1523 - i * 0.05, orders: i })),
+      sell: [1, 2, 3, 4, 5].map(i => ({ quantity: i * 20, price: 1523.5 + i * 0.05, orders: i + 1 }))
+    }
+  };
+  const packet = encodePacket(full, 'full');
+  assert.equal(packet.length, PACKET_LENGTHS.FULL);
+
+  const tick = parsePacket(packet);
+  assert.equal(tick.mode, 'full');
+  assert.equal(tick.exchange_timestamp.getTime(), exchangeTime.getTime());
+  assert.equal(tick.last_trade_time.getTime(), full.last_trade_time.getTime());
+  assert.equal(tick.oi, 900);
+  assert.equal(tick.oi_day_high, 1000);
+  assert.equal(tick.oi_day_low, 800);
+  assert.equal(tick.depth.buy.length, 5);
+  assert.equal(tick.depth.sell.length, 5);
+  assert.deepEqual(tick.depth.buy[0], { quantity: 10, price: 1522.95, orders: 1 });
+  assert.deepEqual(tick.depth.sell[4], { quantity: 100, price: 1523.75, orders: 6 });
+});
+
+test('decodes 28 and 32 byte index packets', () => {
+  const index = { instrument_token: INDEX_TOKEN, last_price: 25100.5, ohlc: { open: 25000, high: 25150, low: 24980, close: 25000 } };
+
+  const quoteTick = parsePacket(encodePacket(index, 'quote'));
+  assert.equal(quoteTick.mode, 'quote');
+  assert.equal(quoteTick.tradable, false);
+  assert.deepEqual(quoteTick.ohlc, index.ohlc);
+  assert.equal(quoteTick.net_change, 100.5);
+
+  const fullPacket = encodePacket({ ...index, exchange_timestamp: new Date('2025-10-20T05:00:00Z') }, 'full');
+  assert.equal(fullPacket.length, PACKET_LENGTHS.INDEX_FULL);
+  const fullTick = parsePacket(fullPacket);
+  assert.equal(fullTick.mode, 'full');
+  assert.equal(fullTick.exchange_timestamp.toISOString(), '2025-10-20T05:00:00.000Z');
+});
+
+test('index change comes from the close, falling back to the packet net change', () => {
+  const withClose = parsePacket(encodePacket({ instrument_token: INDEX_TOKEN, last_price: 25100.5, ohlc: { open: 1, high: 1, low: 1, close: 25000 } }, 'quote'));
+  assert.equal(withClose.change, 100.5);
+  assert.ok(Math.abs(withClose.change_percent - 0.402) < 1e-9);
+
+  // No close: keep the net change sent by the exchange and leave the percentage at 0
+  const packet = Buffer.alloc(PACKET_LENGTHS.INDEX_QUOTE);
+  packet.writeUInt32BE(INDEX_TOKEN, 0);
+  packet.writeInt32BE(2510050, 4);
+  packet.writeInt32BE(-12345, 24);
+  const withoutClose = parsePacket(packet);
+  assert.equal(withoutClose.net_change, -123.45);
+  assert.equal(withoutClose.change, -123.45);
+  assert.equal(withoutClose.change_percent, 0);
+});
+
+test('currency segments use their own price divisors', () => {
+  assert.equal(getPriceDivisor(SEGMENTS.CDS), 1e7);
+  assert.equal(getPriceDivisor(SEGMENTS.BCD), 1e4);
+  assert.equal(getPriceDivisor(SEGMENTS.NSE), 100);
+
+  assert.equal(parsePacket(ltpFixture(CDS_TOKEN, 832512500)).last_price, 83.25125);
+  assert.equal(parsePacket(ltpFixture(BCD_TOKEN, 832513)).last_price, 83.2513);
+
+  const cds = parsePacket(encodePacket({ instrument_token: CDS_TOKEN, last_price: 83.2525, ohlc: { open: 83.1, high: 83.3, low: 83.05, close: 83.2 } }, 'quote'));
+  assert.equal(cds.last_price, 83.2525);
+  assert.equal(cds.ohlc.low, 83.05);
+});
+
+test('parses every packet in a frame', () => {
+  const frame = encodeFrame([
+    ltpFixture(NSE_TOKEN, 100),
+    encodePacket(quote, 'quote'),
+    encodePacket({ instrument_token: INDEX_TOKEN, last_price: 100, ohlc: { close: 99 } }, 'full')
+  ]);
+  const { ticks, errors } = parseFrame(frame);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(ticks.map(tick => tick.mode), ['ltp', 'quote', 'full']);
+});
+
+test('reports frames shorter than the header', () => {
+  assert.equal(parseFrame(Buffer.alloc(1)).errors[0].reason, 'Frame shorter than packet header');
+  assert.equal(parseFrame(null).errors.length, 1);
+});
+
+test('reports a frame that ends before its packet count', () => {
+  const frame = encodeFrame([ltpFixture(NSE_TOKEN, 100), ltpFixture(NSE_TOKEN, 200)]);
+  frame.writeUInt16BE(3, 0);
+
+  const { ticks, errors } = parseFrame(frame);
+  assert.equal(ticks.length, 2);
+  assert.equal(errors.length, 1);
+  assert.match(errors[0].reason, /expected 3 packets, found 2/);
+});
+
+test('reports a packet that overruns the frame and keeps earlier ticks', () => {
+  const frame = encodeFrame([ltpFixture(NSE_TOKEN, 100), encodePacket(quote, 'quote')]);
+  const { ticks, errors } = parseFrame(frame.subarray(0, frame.length - 10));
+  assert.equal(ticks.length, 1);
+  assert.equal(errors[0].length, PACKET_LENGTHS.QUOTE);
+  assert.match(errors[0].reason, /overruns frame by 10 bytes/);
+});
+
+test('skips short and unknown packets without dropping the rest', () => {
+  const frame = encodeFrame([Buffer.alloc(4), Buffer.alloc(20), ltpFixture(NSE_TOKEN, 100)]);
+  const { ticks, errors } = parseFrame(frame);
+  assert.equal(ticks.length, 1);
+  assert.deepEqual(errors.map(error => error.reason), ['Packet too short', 'Unknown packet length']);
+  assert.equal(errors[1].length, 20);
+});
+
+test('reports trailing bytes after the last packet', () => {
+  const frame = Buffer.concat([encodeFrame([ltpFixture(NSE_TOKEN, 100)]), Buffer.alloc(3)]);
+  const { ticks, errors } = parseFrame(frame);
+  assert.equal(ticks.length, 1);
+  assert.match(errors[0].reason, /3 trailing bytes/);
+});